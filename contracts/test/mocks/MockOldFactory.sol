@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: AGPL-3.0
+// Copyright Fathom 2023
+
+pragma solidity 0.8.19;
+
+// solhint-disable comprehensive-interface
+/// @notice Mock of a factory deployed before FactoryPackage (IFactoryOld): a single vault package,
+/// set with updateVaultPackage(), and no isVaultPackage()/addVaultPackage().
+contract MockOldFactory {
+    address public vaultPackage;
+    address[] public vaults;
+
+    function updateVaultPackage(address _vaultPackage) external {
+        vaultPackage = _vaultPackage;
+    }
+
+    function addVault(address _vault) external {
+        vaults.push(_vault);
+    }
+
+    function getVaults() external view returns (address[] memory) {
+        return vaults;
+    }
+}
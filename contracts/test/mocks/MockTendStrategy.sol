@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: AGPL-3.0
+// Copyright Fathom 2023
+
+pragma solidity 0.8.19;
+
+import { MockTokenizedStrategy } from "./MockTokenizedStrategy.sol";
+import { ITokenizedStrategy } from "../../strategy/interfaces/ITokenizedStrategy.sol";
+
+// solhint-disable comprehensive-interface, custom-errors
+/// @notice Mock strategy whose tendTrigger() is toggled by hand, counting the tends it gets.
+contract MockTendStrategy is MockTokenizedStrategy {
+    bool public tendTriggerOn;
+    uint256 public tendCount;
+
+    event Tended(uint256 totalIdle);
+
+    constructor(
+        address _asset,
+        string memory _name,
+        address _management,
+        address _keeper,
+        uint32 _profitMaxUnlockTime,
+        address _factory
+    ) MockTokenizedStrategy(_asset, _name, _management, _keeper, _profitMaxUnlockTime, _factory) {}
+
+    function setTendTrigger(bool _tendTriggerOn) external {
+        tendTriggerOn = _tendTriggerOn;
+    }
+
+    /// @notice Callback of tend(), as the one of BaseStrategy.
+    function tendThis(uint256 _totalIdle) external {
+        require(msg.sender == address(this), "!self");
+        tendCount++;
+        emit Tended(_totalIdle);
+    }
+
+    function tendTrigger() external view returns (bool, bytes memory) {
+        return (tendTriggerOn, abi.encodeWithSelector(ITokenizedStrategy.tend.selector));
+    }
+}
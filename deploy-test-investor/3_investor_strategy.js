@@ -1,22 +1,13 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getAddressBook } = require("../utils/addressBook");
 
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
-    }
-};
-
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre;
     const { deploy } = deployments;
     const { deployer } = await getNamedAccounts();
+    const addressBook = getAddressBook(hre, { preferDeployments: true });
 
-    const asset = ""; // Real asset address
+    const asset = await addressBook.get("asset");
     console.log("Asset address: ", asset);
     
     console.log("WARN: Ensure to set real asset address!!!");
@@ -25,8 +16,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     console.log("Sleeping for 60 seconds to give a thought...");
     await new Promise(r => setTimeout(r, 60000));
 
-    const investorFile = getTheAbi("Investor");
-    const investorAddress = investorFile.address;
+    const investorAddress = await addressBook.get("Investor");
     const investor = await ethers.getContractAt("Investor", investorAddress);
 
     const strategy = await deploy("InvestorStrategy", {
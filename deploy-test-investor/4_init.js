@@ -1,18 +1,8 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
-    }
-};
+const { getAddressBook } = require("../utils/addressBook");
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts } = hre;
     
     console.log("WARN: Ensure to set real asset address!!!");
     console.log("WARN: Ensure profitMaxUnlockTime is matching TokenizedStrategy!!!");
@@ -33,26 +23,22 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 
     const { deployer } = await getNamedAccounts();
 
-    const factoryFile = getTheAbi("Factory");
-    const accountantFile = getTheAbi("GenericAccountant");
-    const strategyFile = getTheAbi("InvestorStrategy");
-    const vaultPackageFile = getTheAbi("VaultPackage");
-    const investorFile = getTheAbi("Investor");
+    const addressBook = getAddressBook(hre, { preferDeployments: true });
 
-    const assetAddress = ""; // Real asset address
+    const assetAddress = await addressBook.get("asset");
     const asset = await ethers.getContractAt("ERC20", assetAddress);
 
-    const strategyAddress = strategyFile.address;
+    const strategyAddress = await addressBook.get("InvestorStrategy");
     const strategy = await ethers.getContractAt("TokenizedStrategy", strategyAddress);
 
-    const investorAddress = investorFile.address;
+    const investorAddress = await addressBook.get("Investor");
     const investor = await ethers.getContractAt("Investor", investorAddress);
 
-    const accountantAddress = accountantFile.address;
+    const accountantAddress = await addressBook.get("accountant");
 
-    const vaultPackageAddress = vaultPackageFile.address;
+    const vaultPackageAddress = await addressBook.get("VaultPackage");
 
-    const factoryAddress = factoryFile.address;
+    const factoryAddress = await addressBook.get("factory");
     const factory = await ethers.getContractAt("FactoryPackage", factoryAddress);
 
     const factoryInitTx = await factory.initialize(vaultPackageAddress, deployer, protocolFee);
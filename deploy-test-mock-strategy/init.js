@@ -1,18 +1,8 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
-    }
-};
+const { getAddressBook } = require("../utils/addressBook");
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts } = hre;
     const amount = ethers.parseUnits("1000000", 18);
     const depositAmount = ethers.parseUnits("1000", 18);
     const withdrawAmount = ethers.parseUnits("9", 18);
@@ -30,23 +20,19 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     const { deployer } = await getNamedAccounts();
     const recipientAddress = "0x0db96Eb1dc48554bB0f8203A6dE449B2FcCF51a6"
 
-    const factoryFile = getTheAbi("Factory");
-    const accountantFile = getTheAbi("GenericAccountant");
-    const tokenFile = getTheAbi("Token");
-    const strategyFile = getTheAbi("MockTokenizedStrategy");
-    const vaultPackageFile = getTheAbi("VaultPackage");
+    const addressBook = getAddressBook(hre, { preferDeployments: true });
 
-    const assetAddress = tokenFile.address;
+    const assetAddress = await addressBook.get("asset");
     const asset = await ethers.getContractAt("Token", assetAddress);
 
-    const strategyAddress = strategyFile.address;
+    const strategyAddress = await addressBook.get("MockTokenizedStrategy");
     const strategy = await ethers.getContractAt("MockTokenizedStrategy", strategyAddress);
 
-    const accountantAddress = accountantFile.address;
+    const accountantAddress = await addressBook.get("accountant");
 
-    const vaultPackageAddress = vaultPackageFile.address;
+    const vaultPackageAddress = await addressBook.get("VaultPackage");
 
-    const factoryAddress = factoryFile.address;
+    const factoryAddress = await addressBook.get("factory");
     const factory = await ethers.getContractAt("FactoryPackage", factoryAddress);
 
     const factoryInitTx = await factory.initialize(vaultPackageAddress, recipientAddress, protocolFee);
@@ -1,26 +1,18 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
-
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
-    }
-};
+const { getAddressBook } = require("../utils/addressBook");
+const { createEnsurer } = require("../utils/ensure");
+const { getDeployedVault } = require("../utils/vaultSpec");
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre;
     const { deploy } = deployments;
     const { deployer } = await getNamedAccounts();
+    const addressBook = getAddressBook(hre);
+    const ensure = createEnsurer(hre, { name: "deploy-tf-vault" });
 
-    const uint256max = ethers.MaxUint256;
-
-    const assetAddress = "0x49d3f7543335cf38Fa10889CCFF10207e22110B5";
-    const factoryAddress = "0x0c6e3fd64D5f33eac0DCCDd887A8c7512bCDB7D6";
-    const processingBot = "0x716fb962A0295b5dB0a0Ee1125f52c067aA4D8f1";
+    const assetAddress = await addressBook.get("asset");
+    const factoryAddress = await addressBook.get("factory");
+    const processingBot = await addressBook.get("processingBot");
 
     const depositEndsAt = 1720598400; // Thursday, July 10, 2024 12:00:00 PM
     const lockEndsAt = 1736496000; // Friday, January 10, 2025 12:00:00 PM
@@ -35,7 +27,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     const factory = await ethers.getContractAt("IFactoryOld", factoryAddress);
     const asset = await ethers.getContractAt("ERC20", assetAddress);
 
-    const accountant = "0x427Fd46B341C5a3E1eA19BE11D36E5c526A885d4"
+    const accountant = await addressBook.get("accountant");
     const vaultLogic = await deploy("VaultLogic", {
         from: deployer,
         args: [],
@@ -57,29 +49,32 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 
     // return; // Comment this line to continue
 
-    console.log("Updating Vault Package ...");
-    const updateVaultPackageTx = await factory.updateVaultPackage(vaultPackage.address);
-    await updateVaultPackageTx.wait();
-
-    console.log("Deploying Vault ...");
-    const deployVaultTx = await factory.deployVault(
-        profitMaxUnlockTime,
-        1, // assetType
-        assetAddress,
-        vaultTokenName,
-        vaultTokenSymbol,
-        accountant,
-        deployer
-    );
-    await deployVaultTx.wait();
-
-    const vaults = await factory.getVaults();
-    console.log("Existing Vaults = ", vaults);
-    const vaultsCopy = [...vaults];
-    const vaultAddress = vaultsCopy.pop();
+    // The vault is saved as a deployment so that a re-run resumes with it instead of deploying another one.
+    let vaultDeployment = await deployments.getOrNull("TradeFintechVault");
+    if (!vaultDeployment) {
+        console.log("Updating Vault Package ...");
+        const updateVaultPackageTx = await factory.updateVaultPackage(vaultPackage.address);
+        await updateVaultPackageTx.wait();
+
+        console.log("Deploying Vault ...");
+        const deployVaultTx = await factory.deployVault(
+            profitMaxUnlockTime,
+            1, // assetType
+            assetAddress,
+            vaultTokenName,
+            vaultTokenSymbol,
+            accountant,
+            deployer
+        );
+        const factoryInterface = (await ethers.getContractFactory("FactoryPackage")).interface;
+        const deployedVault = getDeployedVault(factoryInterface, await deployVaultTx.wait());
+        vaultDeployment = { address: deployedVault, abi: (await deployments.getArtifact("VaultPackage")).abi };
+        await deployments.save("TradeFintechVault", vaultDeployment);
+    }
+    const vaultAddress = vaultDeployment.address;
 
     const vault = await ethers.getContractAt("VaultPackage", vaultAddress);
-    console.log("The Last Vault Address = ", vaultAddress);
+    console.log("Vault Address = ", vaultAddress);
 
     const strategy = await deploy("TradeFintechStrategy", {
         from: deployer,
@@ -104,55 +99,28 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     });
     console.log("KYC Deposit Limit Module Address = ", kycDepositLimitModule.address);
 
-    const STRATEGY_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("STRATEGY_MANAGER"));
-    const REPORTING_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("REPORTING_MANAGER"));
-    const DEBT_PURCHASER = ethers.keccak256(ethers.toUtf8Bytes("DEBT_PURCHASER"));
-
-    let grantRoleTx = await vault.grantRole(STRATEGY_MANAGER, deployer);
-    await grantRoleTx.wait();
-    grantRoleTx = await vault.grantRole(STRATEGY_MANAGER, processingBot);
-    await grantRoleTx.wait();
-    grantRoleTx = await vault.grantRole(REPORTING_MANAGER, deployer);
-    await grantRoleTx.wait();
-    grantRoleTx = await vault.grantRole(DEBT_PURCHASER, deployer);
-    await grantRoleTx.wait();
+    await ensure.role(vault, "STRATEGY_MANAGER", deployer);
+    await ensure.role(vault, "STRATEGY_MANAGER", processingBot);
+    await ensure.role(vault, "REPORTING_MANAGER", deployer);
+    await ensure.role(vault, "DEBT_PURCHASER", deployer);
 
     console.log("Roles granted ...");
 
-    // Set new manager
-    // await strategy.setPendingManagement(address);
-    // await strategy.acceptManagement();
+    // To hand the strategy over to a new manager, run strategy:transfer-management
+    // and let the new manager run strategy:accept-management.
 
     const tStrategy = await ethers.getContractAt("TokenizedStrategy", strategy.address);
     
-    console.log("Setting profit max unlock time...");
-    const setProfitMaxUnlockTx = await tStrategy.setProfitMaxUnlockTime(0);
-    await setProfitMaxUnlockTx.wait();
-
-    console.log("Setting keeper...");
-    const setKeeperTx = await tStrategy.setKeeper(deployer);
-    await setKeeperTx.wait();
-
-    console.log("Setting deposit limit...");
-    const setDepositLimitTx = await vault.setDepositLimit(uint256max);
-    await setDepositLimitTx.wait();
-
-    console.log("Setting deposit limit module...");
-    const setDepositLimitModuleTx = await vault.setDepositLimitModule(kycDepositLimitModule.address);
-    await setDepositLimitModuleTx.wait();
-
-    console.log("Adding strategy...");
-    const addStrategy = await vault.addStrategy(strategy.address);
-    await addStrategy.wait();
-
-    console.log("Setting max debt for strategy...");
-    const setMaxDebt = await vault.updateMaxDebtForStrategy(strategy.address, depositLimit);
-    await setMaxDebt.wait();
-    // Set minimum deposit
-
-    console.log("Setting minimum deposit...");
-    const setMinDeposit = await vault.setMinUserDeposit(minimumDeposit);
-    await setMinDeposit.wait();
+    await ensure.profitMaxUnlockTime(tStrategy, 0);
+    await ensure.keeper(tStrategy, deployer);
+
+    // Sets the deposit limit to max uint256 first, as the module overrides it
+    await ensure.depositLimitModule(vault, kycDepositLimitModule.address);
+
+    await ensure.strategyAdded(vault, strategy.address);
+    await ensure.maxDebt(vault, strategy.address, depositLimit);
+
+    await ensure.minUserDeposit(vault, minimumDeposit);
 
     console.log("Done ...");
     console.log("strategy.address", strategy.address);
@@ -0,0 +1,8 @@
+// Stops the deployment before anything is sent when a package is over the code size limit or its
+// storage layout isn't an upgrade-safe change of the deployed one. FIRST_DEPLOYMENT=true lets a live
+// network without deployed packages through.
+module.exports = async (hre) => {
+    await hre.run("upgrade:check", { firstDeployment: process.env.FIRST_DEPLOYMENT === "true" });
+};
+
+module.exports.tags = ["UpgradeCheck"];
@@ -30,3 +30,4 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 };
 
 module.exports.tags = ["Factory","GenericAccountant","Token"];
+module.exports.dependencies = ["UpgradeCheck"];
@@ -1,23 +1,12 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getAddressBook } = require("../utils/addressBook");
 
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
-    }
-};
-
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre;
     const { deploy } = deployments;
     const { deployer } = await getNamedAccounts();
+    const addressBook = getAddressBook(hre, { preferDeployments: true });
 
-    const factoryFile = getTheAbi("Factory");
-    const factoryAddress = factoryFile.address;
+    const factoryAddress = await addressBook.get("factory");
 
     const strategy = await deploy("TokenizedStrategy", {
         from: deployer,
@@ -27,3 +16,4 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 };
 
 module.exports.tags = ["TokenizedStrategy"];
+module.exports.dependencies = ["UpgradeCheck"];
@@ -10,3 +10,4 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 };
 
 module.exports.tags = ["Investor"];
+module.exports.dependencies = ["UpgradeCheck"];
@@ -1,34 +1,18 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getAddressBook } = require("../utils/addressBook");
 
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
-    }
-};
-
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts, deployments } = hre;
     const { deploy } = deployments;
     const { deployer } = await getNamedAccounts();
+    const addressBook = getAddressBook(hre, { preferDeployments: true });
 
-    const asset = "0x0000000000000000000000000000000000000000"; // Real asset address
-
-    if (asset === "0x0000000000000000000000000000000000000000") {
-        console.log("3_investor_strategy - Error: Please provide a real asset address");
-        return;
-    }
+    const asset = await addressBook.get("asset");
 
-    const investorFile = getTheAbi("Investor");
-    const investorAddress = investorFile.address;
+    const investorAddress = await addressBook.get("Investor");
     const investor = await ethers.getContractAt("Investor", investorAddress);
 
-    const tokenizedStrategyFile = getTheAbi("TokenizedStrategy");
-    const tokenizedStrategyAddress = tokenizedStrategyFile.address;
+    const tokenizedStrategyAddress = await addressBook.get("TokenizedStrategy");
 
     const strategy = await deploy("InvestorStrategy", {
         from: deployer,
@@ -42,3 +26,4 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 };
 
 module.exports.tags = ["InvestorStrategy"];
+module.exports.dependencies = ["UpgradeCheck"];
@@ -1,18 +1,10 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getAddressBook } = require("../utils/addressBook");
+const { createEnsurer } = require("../utils/ensure");
+const { findOrDeployVault } = require("../utils/vaultSpec");
 
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
-    }
-};
-
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async (hre) => {
+    const { getNamedAccounts } = hre;
     let depositLimit = ethers.parseUnits("1000000", 18);
     const maxDebt = ethers.parseUnits("1000000", 18);
     const profitMaxUnlockTime = 604800; // 1 week in seconds
@@ -23,70 +15,55 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     const vaultTokenSymbol = "fvFXD1";
 
     const { deployer } = await getNamedAccounts();
+    const addressBook = getAddressBook(hre, { preferDeployments: true });
+    const ensure = createEnsurer(hre, { name: "4_init" });
 
-    const factoryFile = getTheAbi("Factory");
-    const accountantFile = getTheAbi("GenericAccountant");
-    const strategyFile = getTheAbi("InvestorStrategy");
-    const vaultPackageFile = getTheAbi("VaultPackage");
-
-    const assetAddress = "0x0000000000000000000000000000000000000000"; // Real asset address
-
-    if (assetAddress === "0x0000000000000000000000000000000000000000") {
-        console.log("4_init - Error: Please provide a real asset address");
-        return;
-    }
+    const assetAddress = await addressBook.get("asset");
 
-    const strategyAddress = strategyFile.address;
+    const strategyAddress = await addressBook.get("InvestorStrategy");
     const strategy = await ethers.getContractAt("TokenizedStrategy", strategyAddress);
 
-    const accountantAddress = accountantFile.address;
+    const accountantAddress = await addressBook.get("accountant");
 
-    const vaultPackageAddress = vaultPackageFile.address;
+    const vaultPackageAddress = await addressBook.get("VaultPackage");
 
-    const factoryAddress = factoryFile.address;
+    const factoryAddress = await addressBook.get("factory");
     const factory = await ethers.getContractAt("FactoryPackage", factoryAddress);
 
-    const factoryInitTx = await factory.initialize(vaultPackageAddress, deployer, protocolFee);
-    await factoryInitTx.wait();
+    await ensure.step(
+        "Initialize Factory",
+        () => factory.initialized(),
+        () => factory.initialize(vaultPackageAddress, deployer, protocolFee)
+    );
+    await ensure.step(
+        "Add Vault Package to the Factory",
+        () => factory.isVaultPackage(vaultPackageAddress),
+        () => factory.addVaultPackage(vaultPackageAddress)
+    );
 
-    const deployVaultTx = await factory.deployVault(
+    const { vault: vaultAddress } = await findOrDeployVault(ethers, {
+        factory: factoryAddress,
+        vaultPackage: vaultPackageAddress,
         profitMaxUnlockTime,
         assetType,
-        assetAddress,
-        vaultTokenName,
-        vaultTokenSymbol,
-        accountantAddress,
-        deployer
-    );
-    await deployVaultTx.wait();
-    const vaults = await factory.getVaults();
-    console.log("Existing Vaults = ", vaults);
-    const vaultsCopy = [...vaults];
-    const vaultAddress = vaultsCopy.pop();
+        asset: assetAddress,
+        name: vaultTokenName,
+        symbol: vaultTokenSymbol,
+        accountant: accountantAddress,
+        admin: deployer,
+    });
     const vault = await ethers.getContractAt("VaultPackage", vaultAddress);
-    console.log("The Last Vault Address = ", vaultAddress);
-
-    const STRATEGY_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("STRATEGY_MANAGER"));
-    const REPORTING_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("REPORTING_MANAGER"));
-    const DEBT_PURCHASER = ethers.keccak256(ethers.toUtf8Bytes("DEBT_PURCHASER"));
+    console.log("Vault Address = ", vaultAddress);
 
-    let grantRoleTx = await vault.grantRole(STRATEGY_MANAGER, deployer);
-    await grantRoleTx.wait();
-    grantRoleTx = await vault.grantRole(REPORTING_MANAGER, deployer);
-    await grantRoleTx.wait();
-    grantRoleTx = await vault.grantRole(DEBT_PURCHASER, deployer);
-    await grantRoleTx.wait();
+    await ensure.role(vault, "STRATEGY_MANAGER", deployer);
+    await ensure.role(vault, "REPORTING_MANAGER", deployer);
+    await ensure.role(vault, "DEBT_PURCHASER", deployer);
 
-    console.log("Setting deposit limit...");
-    const setDepositLimitTx = await vault.setDepositLimit(depositLimit);
-    await setDepositLimitTx.wait(); // Wait for the transaction to be confirmed
+    await ensure.depositLimit(vault, depositLimit);
 
-    console.log("Adding Strategy to the Vault...");
-    const addStrategyTx = await vault.addStrategy(strategy.target);
-    await addStrategyTx.wait();
-    console.log("Setting Vault's Strategy maxDebt...");
-    const updateMaxDebtForStrategyTx = await vault.updateMaxDebtForStrategy(strategy.target, maxDebt);
-    await updateMaxDebtForStrategyTx.wait();
+    await ensure.strategyAdded(vault, strategy.target);
+    await ensure.maxDebt(vault, strategy.target, maxDebt);
 };
 
 module.exports.tags = ["Init"];
+module.exports.dependencies = ["UpgradeCheck"];
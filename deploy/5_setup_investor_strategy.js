@@ -1,35 +1,24 @@
 const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { getAddressBook } = require("../utils/addressBook");
 
-const getTheAbi = (contract) => {
-    try {
-        const dir = path.join(__dirname, "..", "deployments", "apothem", `${contract}.json`);
-        const json = JSON.parse(fs.readFileSync(dir, "utf8"));
-        return json;
-    } catch (e) {
-        console.log(`e`, e);
+module.exports = async (hre) => {
+    // A schedule of several periods is set up by investor:schedule instead of the single week below.
+    if (process.env.INVESTOR_SCHEDULE) {
+        await hre.run("investor:schedule", { schedule: process.env.INVESTOR_SCHEDULE });
+        return;
     }
-};
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
+    const addressBook = getAddressBook(hre, { preferDeployments: true });
     const distributedAmount = ethers.parseUnits("1", "ether");
     const blockTimestamp = (await ethers.provider.getBlock('latest')).timestamp;
     const distributionTime = 604800; // 1 week in seconds
     const startDistribution = blockTimestamp + 10;
     const endDistribution = blockTimestamp + distributionTime;
 
-    const assetAddress = "0x0000000000000000000000000000000000000000"; // Real asset address
-
-    if (assetAddress === "0x0000000000000000000000000000000000000000") {
-        console.log("5_setup_investor_strategy - Error: Please provide a real asset address");
-        return;
-    }
-
+    const assetAddress = await addressBook.get("asset");
     const asset = await ethers.getContractAt("Token", assetAddress);
 
-    const investorFile = getTheAbi("Investor");
-    const investorAddress = investorFile.address;
+    const investorAddress = await addressBook.get("Investor");
     const investor = await ethers.getContractAt("Investor", investorAddress);
 
     // Setup Investor
@@ -42,4 +31,5 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     await tx.wait();
 };
 
-module.exports.tags = ["SetupInvestorStrategy"];
\ No newline at end of file
+module.exports.tags = ["SetupInvestorStrategy"];
+module.exports.dependencies = ["UpgradeCheck"];
\ No newline at end of file
@@ -2,6 +2,27 @@ require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-ethers");
 require("hardhat-deploy");
 require('./tasks/updateProfitUnlockTime.js');
+require('./tasks/vaultsStatus.js');
+require('./tasks/vaultDeploy.js');
+require('./tasks/rolesAudit.js');
+require('./tasks/keeperRun.js');
+require('./tasks/debtAllocate.js');
+require('./tasks/strategyManagement.js');
+require('./tasks/emergencyShutdown.js');
+require('./tasks/sdkExportAbis.js');
+require('./tasks/indexerRun.js');
+require('./tasks/vaultsApy.js');
+require('./tasks/vaultStatement.js');
+require('./tasks/feesReport.js');
+require('./tasks/simulate.js');
+require('./tasks/gasProfile.js');
+require('./tasks/upgradeCheck.js');
+require('./tasks/vaultUpgrade.js');
+require('./tasks/keeperTend.js');
+require('./tasks/kycSync.js');
+require('./tasks/tradeFintech.js');
+require('./tasks/rwaReportNav.js');
+require('./tasks/investorSchedule.js');
 const fs = require("fs");
 
 /** @type import('hardhat/config').HardhatUserConfig */
@@ -14,6 +35,8 @@ module.exports = {
                 runs: 5,
                 details: { yul: true },
             },
+            // For the storage layout checks of upgrade:check.
+            outputSelection: { "*": { "*": ["storageLayout"] } },
         },
     },
     networks: {
@@ -0,0 +1,139 @@
+import type { BigNumberish, Contract, ContractRunner, ContractTransactionReceipt, Signer, TypedDataDomain, TypedDataField } from "ethers";
+
+export declare const MAX_BPS: bigint;
+
+// Decoded log of the vault: its event name and args keyed by name.
+export interface VaultEvent {
+    name: string;
+    args: Record<string, any>;
+    logIndex: number;
+}
+
+// What every write of the vault returns. `event` holds the args of the event of the write
+// (Deposit, Withdraw or Approval), null when the vault didn't emit it.
+export interface WriteResult<TEvent = Record<string, any>> {
+    hash: string;
+    receipt: ContractTransactionReceipt;
+    events: VaultEvent[];
+    event: TEvent | null;
+}
+
+export interface DepositEvent {
+    sender: string;
+    owner: string;
+    assets: bigint;
+    shares: bigint;
+}
+
+export interface WithdrawEvent {
+    sender: string;
+    receiver: string;
+    owner: string;
+    assets: bigint;
+    shares: bigint;
+}
+
+export interface ApprovalEvent {
+    owner: string;
+    spender: string;
+    value: bigint;
+}
+
+// "exact" approves the amount, "max" approves MaxUint256 and false never approves.
+export type ApproveMode = "exact" | "max" | false;
+
+export interface DepositOptions {
+    receiver?: string;
+    approve?: ApproveMode;
+}
+
+export interface DepositResult extends WriteResult<DepositEvent> {
+    approval: string | null;
+}
+
+// maxLoss is in basis points, between 0 and MAX_BPS.
+export interface WithdrawOptions {
+    receiver?: string;
+    owner?: string;
+    maxLoss?: BigNumberish;
+    strategies?: string[];
+}
+
+export interface MaxWithdrawOptions {
+    maxLoss?: BigNumberish;
+    strategies?: string[];
+}
+
+export interface PermitDomain {
+    name: string;
+    version: string;
+    chainId: BigNumberish;
+    verifyingContract: string;
+}
+
+export interface PermitMessage {
+    owner: string;
+    spender: string;
+    value: BigNumberish;
+    nonce: BigNumberish;
+    deadline: BigNumberish;
+}
+
+// A permit signed with signPermit(): everything permit() takes.
+export interface SignedPermit extends PermitMessage {
+    v: number;
+    r: string;
+    s: string;
+}
+
+export interface PermitTypedData {
+    domain: PermitDomain;
+    types: typeof PERMIT_TYPES;
+    message: PermitMessage;
+}
+
+export declare class Vault {
+    readonly address: string;
+    readonly runner: ContractRunner | null | undefined;
+    readonly contract: Contract;
+
+    // `runner` is a signer for writes or a provider for reads only.
+    constructor(address: string, runner?: ContractRunner | null);
+
+    connect(runner: ContractRunner | null): Vault;
+    asset(): Promise<Contract>;
+    decodeEvents(receipt: ContractTransactionReceipt): VaultEvent[];
+
+    deposit(assets: BigNumberish, options?: DepositOptions): Promise<DepositResult>;
+    mint(shares: BigNumberish, options?: DepositOptions): Promise<DepositResult>;
+    withdraw(assets: BigNumberish, options?: WithdrawOptions): Promise<WriteResult<WithdrawEvent>>;
+    redeem(shares: BigNumberish, options?: WithdrawOptions): Promise<WriteResult<WithdrawEvent>>;
+
+    previewDeposit(assets: BigNumberish): Promise<bigint>;
+    previewMint(shares: BigNumberish): Promise<bigint>;
+    previewWithdraw(assets: BigNumberish): Promise<bigint>;
+    previewRedeem(shares: BigNumberish): Promise<bigint>;
+    convertToShares(assets: BigNumberish): Promise<bigint>;
+    convertToAssets(shares: BigNumberish): Promise<bigint>;
+    maxDeposit(receiver: string): Promise<bigint>;
+    maxMint(receiver: string): Promise<bigint>;
+    maxWithdraw(owner: string, options?: MaxWithdrawOptions): Promise<bigint>;
+    maxRedeem(owner: string, options?: MaxWithdrawOptions): Promise<bigint>;
+    balanceOf(account: string): Promise<bigint>;
+
+    permitDomain(): Promise<PermitDomain>;
+    signPermit(spender: string, value: BigNumberish, options?: { deadline?: BigNumberish; nonce?: BigNumberish }): Promise<SignedPermit>;
+    permit(signed: SignedPermit): Promise<WriteResult<ApprovalEvent>>;
+    redeemWithPermit(
+        signed: SignedPermit,
+        options?: { receiver?: string; maxLoss?: BigNumberish; strategies?: string[] }
+    ): Promise<{ permit: WriteResult<ApprovalEvent>; redeem: WriteResult<WithdrawEvent> }>;
+}
+
+export declare const PERMIT_TYPES: Record<"Permit", TypedDataField[]>;
+
+export declare function buildPermitTypedData(domain: PermitDomain, permit: PermitMessage): PermitTypedData;
+export declare function signPermit(signer: Signer, domain: TypedDataDomain, permit: Omit<PermitMessage, "owner">): Promise<SignedPermit>;
+export declare function permitDomainSeparator(domain: TypedDataDomain): string;
+export declare function hashPermit(domain: TypedDataDomain, permit: PermitMessage): string;
+export declare function recoverPermitSigner(domain: TypedDataDomain, signed: SignedPermit): string;
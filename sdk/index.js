@@ -0,0 +1,20 @@
+const { Vault, MAX_BPS } = require("./src/Vault");
+const {
+    PERMIT_TYPES,
+    buildPermitTypedData,
+    signPermit,
+    permitDomainSeparator,
+    hashPermit,
+    recoverPermitSigner,
+} = require("./src/permit");
+
+module.exports = {
+    Vault,
+    MAX_BPS,
+    PERMIT_TYPES,
+    buildPermitTypedData,
+    signPermit,
+    permitDomainSeparator,
+    hashPermit,
+    recoverPermitSigner,
+};
@@ -0,0 +1,221 @@
+const { Contract, MaxUint256, getAddress, getBigInt } = require("ethers");
+const VAULT_ABI = require("../abi/Vault.json");
+const ERC20_ABI = require("../abi/ERC20.json");
+const { signPermit } = require("./permit");
+
+const MAX_BPS = 10000n;
+
+const toMaxLoss = (maxLoss) => {
+    const value = getBigInt(maxLoss, "maxLoss");
+    if (value < 0n || value > MAX_BPS) {
+        throw new Error(`Invalid maxLoss ${maxLoss}: expected basis points between 0 and ${MAX_BPS}`);
+    }
+    return value;
+};
+
+// Decoded event args keyed by name, e.g. { sender, owner, assets, shares } for Deposit.
+const toNamedArgs = (log) => {
+    const args = {};
+    log.fragment.inputs.forEach((input, i) => {
+        args[input.name] = log.args[i];
+    });
+    return args;
+};
+
+// Wraps a vault (the proxy, with the VaultPackage ABI) for deposits, withdrawals and previews.
+// `runner` is an ethers v6 signer for writes or a provider for reads only.
+// Amounts are bigints (numbers and numeric strings are accepted too), maxLoss is in basis points.
+class Vault {
+    constructor(address, runner) {
+        this.address = getAddress(address);
+        this.runner = runner;
+        this.contract = new Contract(this.address, VAULT_ABI, runner);
+        this._asset = null;
+    }
+
+    connect(runner) {
+        return new Vault(this.address, runner);
+    }
+
+    // The ERC20 the vault takes deposits in.
+    async asset() {
+        if (!this._asset) {
+            this._asset = new Contract(await this.contract.asset(), ERC20_ABI, this.runner);
+        }
+        return this._asset;
+    }
+
+    async _account() {
+        if (!this.runner || typeof this.runner.getAddress !== "function") {
+            throw new Error("A signer is needed to send transactions");
+        }
+        return this.runner.getAddress();
+    }
+
+    // Decodes the logs the vault emitted in `receipt`.
+    decodeEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (getAddress(log.address) !== this.address) {
+                continue;
+            }
+            const parsed = this.contract.interface.parseLog(log);
+            if (parsed) {
+                events.push({ name: parsed.name, args: toNamedArgs(parsed), logIndex: log.index });
+            }
+        }
+        return events;
+    }
+
+    async _send(txPromise, eventName) {
+        const tx = await txPromise;
+        const receipt = await tx.wait();
+        const events = this.decodeEvents(receipt);
+        const event = events.find((e) => e.name === eventName);
+        return { hash: tx.hash, receipt, events, event: event ? event.args : null };
+    }
+
+    // Approves the vault for `amount` of the asset when the allowance is short.
+    // approve: "exact" approves `amount`, "max" approves MaxUint256 and false never approves.
+    async _ensureAllowance(amount, approve) {
+        if (approve === false) {
+            return null;
+        }
+        if (approve !== "exact" && approve !== "max") {
+            throw new Error(`Invalid approve ${approve}: expected "exact", "max" or false`);
+        }
+        const asset = await this.asset();
+        const owner = await this._account();
+        if ((await asset.allowance(owner, this.address)) >= amount) {
+            return null;
+        }
+        const tx = await asset.approve(this.address, approve === "max" ? MaxUint256 : amount);
+        await tx.wait();
+        return tx.hash;
+    }
+
+    async deposit(assets, { receiver, approve = "exact" } = {}) {
+        const amount = getBigInt(assets, "assets");
+        const account = await this._account();
+        const approval = await this._ensureAllowance(amount, approve);
+        const result = await this._send(this.contract.deposit(amount, receiver || account), "Deposit");
+        return { ...result, approval };
+    }
+
+    async mint(shares, { receiver, approve = "exact" } = {}) {
+        const amount = getBigInt(shares, "shares");
+        const account = await this._account();
+        const approval = await this._ensureAllowance(await this.contract.previewMint(amount), approve);
+        const result = await this._send(this.contract.mint(amount, receiver || account), "Deposit");
+        return { ...result, approval };
+    }
+
+    // maxLoss defaults to 0 bps: any loss on the withdrawal from the strategies reverts.
+    async withdraw(assets, { receiver, owner, maxLoss = 0, strategies = [] } = {}) {
+        const account = await this._account();
+        return this._send(
+            this.contract.withdraw(getBigInt(assets, "assets"), receiver || account, owner || account, toMaxLoss(maxLoss), strategies),
+            "Withdraw"
+        );
+    }
+
+    // maxLoss defaults to MAX_BPS: the shares are redeemed whatever the strategies give back.
+    async redeem(shares, { receiver, owner, maxLoss = MAX_BPS, strategies = [] } = {}) {
+        const account = await this._account();
+        return this._send(
+            this.contract.redeem(getBigInt(shares, "shares"), receiver || account, owner || account, toMaxLoss(maxLoss), strategies),
+            "Withdraw"
+        );
+    }
+
+    previewDeposit(assets) {
+        return this.contract.previewDeposit(getBigInt(assets, "assets"));
+    }
+
+    previewMint(shares) {
+        return this.contract.previewMint(getBigInt(shares, "shares"));
+    }
+
+    previewWithdraw(assets) {
+        return this.contract.previewWithdraw(getBigInt(assets, "assets"));
+    }
+
+    previewRedeem(shares) {
+        return this.contract.previewRedeem(getBigInt(shares, "shares"));
+    }
+
+    convertToShares(assets) {
+        return this.contract.convertToShares(getBigInt(assets, "assets"));
+    }
+
+    convertToAssets(shares) {
+        return this.contract.convertToAssets(getBigInt(shares, "shares"));
+    }
+
+    maxDeposit(receiver) {
+        return this.contract.maxDeposit(receiver);
+    }
+
+    maxMint(receiver) {
+        return this.contract.maxMint(receiver);
+    }
+
+    async maxWithdraw(owner, { maxLoss = 0, strategies = [] } = {}) {
+        return this.contract.maxWithdraw(owner, toMaxLoss(maxLoss), strategies);
+    }
+
+    async maxRedeem(owner, { maxLoss = MAX_BPS, strategies = [] } = {}) {
+        return this.contract.maxRedeem(owner, toMaxLoss(maxLoss), strategies);
+    }
+
+    balanceOf(account) {
+        return this.contract.balanceOf(account);
+    }
+
+    // EIP-712 domain the vault checks permits against.
+    async permitDomain() {
+        const { chainId } = await this.contract.runner.provider.getNetwork();
+        return {
+            name: await this.contract.name(),
+            version: await this.contract.apiVersion(),
+            chainId,
+            verifyingContract: this.address,
+        };
+    }
+
+    // Signs, without sending anything, a permit of `value` shares of the signer to `spender`.
+    // The deadline defaults to one hour after the latest block.
+    async signPermit(spender, value, { deadline, nonce } = {}) {
+        const owner = await this._account();
+        if (deadline === undefined) {
+            const block = await this.contract.runner.provider.getBlock("latest");
+            deadline = BigInt(block.timestamp) + 3600n;
+        }
+        return signPermit(this.runner, await this.permitDomain(), {
+            spender: getAddress(spender),
+            value: getBigInt(value, "value"),
+            nonce: nonce === undefined ? await this.contract.nonces(owner) : getBigInt(nonce, "nonce"),
+            deadline: getBigInt(deadline, "deadline"),
+        });
+    }
+
+    // Sends a permit signed with signPermit(), from any account.
+    async permit({ owner, spender, value, deadline, v, r, s }) {
+        return this._send(this.contract.permit(owner, spender, value, deadline, v, r, s), "Approval");
+    }
+
+    // Redeems, on behalf of the owner, the shares of a permit signed to the account of the runner:
+    // sends the permit, then redeems its value to `receiver` (the runner by default).
+    async redeemWithPermit(signed, { receiver, maxLoss = MAX_BPS, strategies = [] } = {}) {
+        const account = await this._account();
+        if (getAddress(signed.spender) !== account) {
+            throw new Error(`Permit spender ${signed.spender} is not the sender ${account}`);
+        }
+        const checkedMaxLoss = toMaxLoss(maxLoss);
+        const permit = await this.permit(signed);
+        const redeem = await this.redeem(signed.value, { receiver: receiver || account, owner: signed.owner, maxLoss: checkedMaxLoss, strategies });
+        return { permit, redeem };
+    }
+}
+
+module.exports = { Vault, MAX_BPS };
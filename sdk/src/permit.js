@@ -0,0 +1,45 @@
+const { Signature, TypedDataEncoder, verifyTypedData } = require("ethers");
+
+// Must match PERMIT_TYPE_HASH of the vault.
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+// EIP-712 domain of the vault: its name and apiVersion(), see DOMAIN_SEPARATOR().
+const buildPermitTypedData = ({ name, version, chainId, verifyingContract }, { owner, spender, value, nonce, deadline }) => ({
+    domain: { name, version, chainId, verifyingContract },
+    types: PERMIT_TYPES,
+    message: { owner, spender, value, nonce, deadline },
+});
+
+// Signs a permit of `value` vault shares of `signer` to `spender`. The returned object carries
+// everything permit() takes.
+const signPermit = async (signer, domain, { spender, value, nonce, deadline }) => {
+    const owner = await signer.getAddress();
+    const { types, message } = buildPermitTypedData(domain, { owner, spender, value, nonce, deadline });
+    const { v, r, s } = Signature.from(await signer.signTypedData(domain, types, message));
+    return { owner, spender, value, nonce, deadline, v, r, s };
+};
+
+// What DOMAIN_SEPARATOR() of the vault returns for `domain`.
+const permitDomainSeparator = (domain) => TypedDataEncoder.hashDomain(domain);
+
+// The digest the vault recovers the signer of a permit from.
+const hashPermit = (domain, permit) => {
+    const { types, message } = buildPermitTypedData(domain, permit);
+    return TypedDataEncoder.hash(domain, types, message);
+};
+
+// The account that signed a permit, which the vault requires to be its owner.
+const recoverPermitSigner = (domain, { v, r, s, ...permit }) => {
+    const { types, message } = buildPermitTypedData(domain, permit);
+    return verifyTypedData(domain, types, message, { v, r, s });
+};
+
+module.exports = { PERMIT_TYPES, buildPermitTypedData, signPermit, permitDomainSeparator, hashPermit, recoverPermitSigner };
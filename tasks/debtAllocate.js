@@ -0,0 +1,40 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { writeReport } = require("../utils/cli");
+const { loadAllocation, validateAllocation, planDebtAllocation, executeDebtAllocation } = require("../utils/debtAllocator");
+
+task("debt:allocate", "Rebalances the debt of a vault across its strategies according to target ratios")
+    .addParam("allocation", "YAML or JSON file with the vault and the target ratio (bps) of every strategy")
+    .addOptionalParam("vault", "The vault to rebalance (overrides the allocation file)", "")
+    .addOptionalParam("format", "Output format of the plan: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv plan to (defaults to stdout)", "")
+    .addFlag("planOnly", "Only print the updateDebt calls, don't send them")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+
+        const allocation = loadAllocation(taskArgs.allocation);
+        const errors = validateAllocation(ethers, allocation);
+        if (errors.length > 0) {
+            throw new Error(`Invalid debt allocation ${taskArgs.allocation}:\n  - ${errors.join("\n  - ")}`);
+        }
+
+        const vaultAddr = taskArgs.vault || allocation.vault;
+        if (!vaultAddr || !ethers.isAddress(vaultAddr)) {
+            throw new Error(`Invalid vault address: ${vaultAddr}`);
+        }
+
+        const plan = await planDebtAllocation(ethers, ethers.getAddress(vaultAddr), allocation.targets);
+        writeReport(plan, { format: taskArgs.format, output: taskArgs.output });
+
+        if (taskArgs.planOnly) {
+            return { vault: vaultAddr, plan, results: [] };
+        }
+
+        const [signer] = await ethers.getSigners();
+        const results = await executeDebtAllocation(ethers, vaultAddr, plan, signer);
+        for (const result of results) {
+            console.log(`updateDebt ${result.strategy} = `, result.status === "done" ? result.newDebt : `failed: ${result.error}`);
+        }
+
+        return { vault: vaultAddr, plan, results };
+    });
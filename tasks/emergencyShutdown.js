@@ -0,0 +1,72 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { parseAddressList, parseAddress, writeReport } = require("../utils/cli");
+const { loadShutdownTargets, checkShutdownPermissions, runEmergencyShutdown, getRecoverableFunds } = require("../utils/emergency");
+const { getAdminAccounts, getSimulationSigner } = require("../utils/simulation");
+
+// The admin of the vault, or the management of one of its strategies, holding every permission the shutdown
+// needs, else the first of them.
+const findShutdownOperator = async (ethers, vaultAddr, options, blockRange) => {
+    const targets = await loadShutdownTargets(ethers, vaultAddr);
+    const accounts = await getAdminAccounts(ethers, [vaultAddr], blockRange);
+    for (const account of accounts) {
+        const permissions = await checkShutdownPermissions(ethers, targets, account, options);
+        if (permissions.every((row) => row.granted)) return account;
+    }
+    return accounts[0];
+};
+
+task("vault:emergency-shutdown", "Shuts down every strategy of a vault, takes their debt back and shuts down the vault")
+    .addParam("vault", "The vault to shut down")
+    .addFlag("emergencyWithdraw", "Also withdraw the funds of the strategies from their yield source after shutting them down")
+    .addOptionalParam("collaterals", "Comma-separated collateral tokens to withdraw from liquidation strategies", "")
+    .addFlag("simulate", "Run the sequence on the in-process hardhat network, report the resulting balances and revert")
+    .addOptionalParam("fork", "Network whose RPC the simulation forks, e.g. xdc", "")
+    .addOptionalParam("impersonate", "Account running the simulation (defaults to the vault admin or strategy management holding the permissions)", "")
+    .addOptionalParam("fromBlock", "First block to scan for the admins of the vault", 0, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 100000, types.int)
+    .addOptionalParam("format", "Output format of the recovery report: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv recovery report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network } = hre;
+        const vaultAddr = parseAddress(ethers, taskArgs.vault, "vault");
+        const collaterals = parseAddressList(ethers, taskArgs.collaterals);
+        const options = { emergencyWithdraw: taskArgs.emergencyWithdraw, collaterals };
+
+        const blockRange = { fromBlock: taskArgs.fromBlock, chunkSize: taskArgs.chunkSize };
+        const findOperator = () => findShutdownOperator(ethers, vaultAddr, options, blockRange);
+        const signer = taskArgs.simulate ? await getSimulationSigner(hre, taskArgs, { findOperator }) : (await ethers.getSigners())[0];
+        const snapshot = taskArgs.simulate ? await network.provider.request({ method: "evm_snapshot", params: [] }) : null;
+        console.log(taskArgs.simulate ? "Simulating as = " : "Operator = ", signer.address);
+
+        try {
+            const targets = await loadShutdownTargets(ethers, vaultAddr);
+            const permissions = await checkShutdownPermissions(ethers, targets, signer.address, options);
+            console.table(permissions);
+            const missing = permissions.filter((row) => !row.granted);
+            if (missing.length > 0) {
+                throw new Error(`${signer.address} is missing permissions: ${missing.map((row) => `${row.permission} on ${row.contract}`).join(", ")}`);
+            }
+
+            const steps = await runEmergencyShutdown(ethers, targets, signer, options);
+            console.table(steps);
+
+            const recovery = await getRecoverableFunds(ethers, targets);
+            writeReport(recovery, { format: taskArgs.format, output: taskArgs.output, csvRows: recovery.strategies });
+            if (taskArgs.format === "table") {
+                console.log("Vault shut down = ", recovery.shutdown);
+                console.log("Recoverable now (vault idle) = ", recovery.recoverableNow);
+                console.log("Recoverable from strategies = ", recovery.recoverableFromStrategies);
+                console.log("Locked in strategies = ", recovery.locked);
+            }
+
+            return { simulated: taskArgs.simulate, operator: signer.address, permissions, steps, recovery };
+        } finally {
+            if (taskArgs.simulate) {
+                await network.provider.request({ method: "evm_revert", params: [snapshot] });
+                await network.provider.request({ method: "hardhat_stopImpersonatingAccount", params: [signer.address] });
+                console.log("Simulation reverted");
+            }
+        }
+    });
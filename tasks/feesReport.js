@@ -0,0 +1,93 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { parseAddressList, toPlain, writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { getFeeTotals, getAccountantBalances, getFeeRecipientHoldings, checkDistributeRole, distributeFees } = require("../utils/fees");
+
+task("fees:report", "Sums the fees the factory vaults paid and shows where they are, optionally distributing them")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults (defaults to all factory vaults)", "")
+    .addOptionalParam("period", "Period the fees are summed per: all, day, week or month", "month")
+    .addOptionalParam("fromBlock", "First block to scan for StrategyReported events", 0, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 100000, types.int)
+    .addOptionalParam("distribute", "Comma-separated tokens to call distribute(token) for on the accountants of the vaults", "")
+    .addOptionalParam("minBalance", "Accountant balance, in token units, a token needs to be distributed", "0")
+    .addOptionalParam("format", "Output format: table, json or csv (the csv lists the fee totals)", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const vaults = await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+        const distributeTokens = parseAddressList(ethers, taskArgs.distribute);
+        const factory = await ethers.getContractAt("IFactory", factoryAddr);
+        const [protocolFeeBps, protocolFeeRecipient] = await factory.protocolFeeConfig();
+
+        const fees = [];
+        const holdings = [];
+        // Accountant => the vault shares and assets it can hold.
+        const accountantTokens = new Map();
+        for (const vaultAddr of vaults) {
+            const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+            fees.push(
+                ...(await getFeeTotals(ethers, vaultAddr, {
+                    fromBlock: taskArgs.fromBlock,
+                    chunkSize: taskArgs.chunkSize,
+                    period: taskArgs.period,
+                }))
+            );
+
+            const accountantAddr = await vault.accountant();
+            if (accountantAddr === ethers.ZeroAddress) {
+                holdings.push(...(await getFeeRecipientHoldings(ethers, vaultAddr, { protocolFeeRecipient })));
+                continue;
+            }
+            const accountant = await ethers.getContractAt("GenericAccountant", accountantAddr);
+            holdings.push(
+                ...(await getFeeRecipientHoldings(ethers, vaultAddr, {
+                    accountant: accountantAddr,
+                    feeRecipient: await accountant.feeRecipient(),
+                    protocolFeeRecipient,
+                }))
+            );
+            const tokens = accountantTokens.get(accountantAddr) || new Set();
+            tokens.add(vaultAddr);
+            tokens.add(await vault.asset());
+            accountantTokens.set(accountantAddr, tokens);
+        }
+
+        const accountants = [];
+        for (const [accountantAddr, tokens] of accountantTokens) {
+            accountants.push(await getAccountantBalances(ethers, accountantAddr, [...tokens]));
+        }
+
+        const distributions = [];
+        if (distributeTokens.length > 0) {
+            const [signer] = await ethers.getSigners();
+            await checkDistributeRole(ethers, [...accountantTokens.keys()], signer.address);
+            for (const accountantAddr of accountantTokens.keys()) {
+                distributions.push(...(await distributeFees(ethers, accountantAddr, distributeTokens, signer, { minBalance: taskArgs.minBalance })));
+            }
+        }
+
+        const report = { protocolFee: { bps: protocolFeeBps, recipient: protocolFeeRecipient }, fees, accountants, holdings, distributions };
+        writeReport(report, { format: taskArgs.format, output: taskArgs.output, csvRows: fees });
+        if (taskArgs.format === "table") {
+            console.log("Protocol fee (bps) = ", protocolFeeBps, "recipient", protocolFeeRecipient);
+            console.table(
+                toPlain(
+                    accountants.flatMap(({ accountant, performanceFee, feeRecipient, balances }) =>
+                        balances.map((balance) => ({ accountant, performanceFee, feeRecipient, ...balance }))
+                    )
+                )
+            );
+            console.table(toPlain(holdings));
+            if (distributions.length > 0) {
+                console.table(toPlain(distributions));
+            }
+        }
+
+        return report;
+    });
@@ -0,0 +1,74 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const fs = require("fs");
+const path = require("path");
+
+const { types } = require("hardhat/config");
+const { writeReport } = require("../utils/cli");
+const { profileGas, toBaseline, readBaseline, compareToBaseline, toMarkdown } = require("../utils/gasProfile");
+
+task("gas:profile", "Measures the gas of the vault operations for 1..N strategies and optimizer settings against a baseline")
+    .addOptionalParam("strategies", "Up to how many strategies the queue of the benchmark vault has", 3, types.int)
+    .addOptionalParam("runs", "Comma-separated optimizer runs to compare (defaults to the configured ones)", "")
+    .addOptionalParam("baseline", "JSON baseline the configured optimizer setting is compared to", "gas-baseline.json")
+    .addOptionalParam("threshold", "Gas increase over the baseline, in percent, that fails the task", 2, types.float)
+    .addFlag("updateBaseline", "Write the results of the configured optimizer setting to the baseline instead of comparing")
+    .addOptionalParam("markdown", "File to write the markdown table to (defaults to stdout)", "")
+    .addOptionalParam("format", "Output format: table, json or csv (the csv lists the results)", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { network, config } = hre;
+        if (network.name !== "hardhat") {
+            throw new Error(`The gas profile runs on the in-process hardhat network, not on ${network.name}`);
+        }
+        const configuredRuns = config.solidity.compilers[0].settings.optimizer.runs;
+        const runs = taskArgs.runs ? taskArgs.runs.split(",").map((value) => parseInt(value.trim(), 10)) : [];
+        if (runs.some((value) => !Number.isInteger(value) || value < 1)) {
+            throw new Error(`Invalid optimizer runs: ${taskArgs.runs}`);
+        }
+        if (runs.length > 0 && !runs.includes(configuredRuns)) {
+            runs.unshift(configuredRuns);
+        }
+
+        const settings = await profileGas(hre, { maxStrategies: taskArgs.strategies, runs });
+        const configured = settings.find((setting) => setting.optimizerRuns === configuredRuns);
+        if (configured.error) {
+            throw new Error(`Gas profile failed with the configured optimizer runs: ${configured.error}`);
+        }
+
+        let comparison = null;
+        const baseline = readBaseline(taskArgs.baseline);
+        if (taskArgs.updateBaseline) {
+            fs.mkdirSync(path.dirname(path.resolve(taskArgs.baseline)), { recursive: true });
+            fs.writeFileSync(taskArgs.baseline, JSON.stringify(toBaseline(configured), null, 2) + "\n");
+            console.log("Baseline written to = ", taskArgs.baseline);
+        } else if (baseline) {
+            if (baseline.optimizerRuns !== configuredRuns) {
+                console.log(`Warning: the baseline was measured with ${baseline.optimizerRuns} optimizer runs, the config has ${configuredRuns}`);
+            }
+            comparison = compareToBaseline(configured, baseline, taskArgs.threshold);
+        } else {
+            console.log("No baseline at = ", taskArgs.baseline);
+        }
+
+        const markdown = toMarkdown(settings, comparison);
+        if (taskArgs.markdown) {
+            fs.mkdirSync(path.dirname(path.resolve(taskArgs.markdown)), { recursive: true });
+            fs.writeFileSync(taskArgs.markdown, markdown);
+            console.log("Markdown written to = ", taskArgs.markdown);
+        } else if (taskArgs.format === "table") {
+            console.log(markdown);
+        }
+        const report = { threshold: taskArgs.threshold, settings, comparison };
+        if (taskArgs.format !== "table") {
+            const rows = settings.flatMap((setting) => setting.results.map((row) => ({ optimizerRuns: setting.optimizerRuns, ...row })));
+            writeReport(report, { format: taskArgs.format, output: taskArgs.output, csvRows: rows });
+        }
+
+        const regressions = (comparison || []).filter((row) => row.regression);
+        if (regressions.length > 0) {
+            const list = regressions.map((row) => `${row.operation} with ${row.strategies} strategies (${row.change.toFixed(2)}%)`);
+            throw new Error(`Gas regressions over ${taskArgs.threshold}%: ${list.join(", ")}`);
+        }
+        return report;
+    });
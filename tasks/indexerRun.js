@@ -0,0 +1,45 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const path = require("path");
+const { types } = require("hardhat/config");
+const { writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { openIndexerDb, runIndexer } = require("../utils/indexer");
+
+task("indexer:run", "Indexes the events of the factory vaults and their strategies into a local SQLite database")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults to index (defaults to all factory vaults)", "")
+    .addOptionalParam("db", "SQLite database file (defaults to .indexer/<network>.sqlite)", "")
+    .addOptionalParam("fromBlock", "Block to start from for contracts not indexed yet", 0, types.int)
+    .addOptionalParam("confirmations", "Blocks below the head left out, as they can still be reorganized", 12, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 10000, types.int)
+    .addOptionalParam("format", "Output format of the summary: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv summary to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network } = hre;
+
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const vaults = await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+        const dbFile = taskArgs.db || path.join(__dirname, "..", ".indexer", `${network.name}.sqlite`);
+        const { chainId } = await ethers.provider.getNetwork();
+
+        const db = openIndexerDb(dbFile, chainId);
+        try {
+            const result = await runIndexer(ethers, db, vaults, {
+                startBlock: taskArgs.fromBlock,
+                confirmations: taskArgs.confirmations,
+                chunkSize: taskArgs.chunkSize,
+            });
+            console.log("Database = ", dbFile);
+            console.log("Indexed up to block = ", result.toBlock);
+            writeReport(result.summary, {
+                format: taskArgs.format,
+                output: taskArgs.output,
+                csvRows: result.summary.map((row) => ({ ...row, contracts: row.contracts.join(" ") })),
+            });
+            return result;
+        } finally {
+            db.close();
+        }
+    });
@@ -0,0 +1,126 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { roleId } = require("../utils/ensure");
+const { DAY, loadSchedule, toDate, validateSchedule, getInvestorState, planSchedule } = require("../utils/investorSchedule");
+
+const formatRows = (ethers, state, plan) =>
+    plan.rows.map((row) => ({
+        period: row.index,
+        start: toDate(row.start),
+        end: toDate(row.end),
+        amount: ethers.formatUnits(row.realAmount, state.decimals),
+        rewardPerDay: ethers.formatUnits(row.rate * DAY, state.decimals),
+        status: row.status,
+        funding: row.status === "next" ? ethers.formatUnits(plan.funding, state.decimals) : "",
+    }));
+
+// One pass: checks the schedule against the investor and sets up the next period when the current
+// distribution is over. With `reportStrategy`, a distribution that ended but wasn't reported yet is
+// reported through the investor strategy first.
+const runSchedule = async (ethers, investor, schedule, signer, { statusOnly, reportStrategy, minGap }) => {
+    let state = await getInvestorState(ethers, investor);
+    const { periods, errors } = validateSchedule(ethers, schedule, { ...state, minGap: BigInt(minGap) });
+    if (errors.length > 0) {
+        throw new Error(`Invalid investor schedule: ${errors.join(", ")}`);
+    }
+
+    if (!statusOnly && reportStrategy && state.now >= state.distributionEnd && state.lastReport < state.distributionEnd) {
+        const strategy = await ethers.getContractAt("TokenizedStrategy", state.strategy, signer);
+        if ((await strategy.management()) !== signer.address && (await strategy.keeper()) !== signer.address) {
+            throw new Error(`${signer.address} is neither the keeper nor the management of the investor strategy ${state.strategy}`);
+        }
+        const reportTx = await strategy.report();
+        await reportTx.wait();
+        console.log("Strategy Reported = ", reportTx.hash);
+        state = await getInvestorState(ethers, investor);
+    }
+
+    const plan = planSchedule(state, periods, { minGap: BigInt(minGap) });
+    const amount = (value) => ethers.formatUnits(value, state.decimals);
+    console.table([
+        {
+            start: toDate(state.distributionStart),
+            end: toDate(state.distributionEnd),
+            rewardPerDay: amount(state.rewardRate * DAY),
+            total: amount(state.totalRewards),
+            distributed: amount(state.distributedRewards),
+            accrued: amount(state.rewardsAccrued),
+            left: amount(state.rewardsLeft),
+            balance: amount(state.balance),
+        },
+    ]);
+    console.table(formatRows(ethers, state, plan));
+    console.log("Runway = ", `${plan.runway.days.toFixed(1)} days, until ${plan.runway.ends}`);
+    for (const gap of plan.gaps) console.log("Gap = ", `${gap.from} - ${gap.to}`);
+    if (plan.errors.length > 0) {
+        throw new Error(`Investor schedule doesn't fit the current distribution: ${plan.errors.join(", ")}`);
+    }
+
+    const result = { state, plan, setup: null };
+    if (statusOnly || !plan.next) return result;
+    if (!plan.ready) {
+        console.log("Next period waiting = ", plan.waiting);
+        return result;
+    }
+
+    const { next, funding } = plan;
+    const setupErrors = [];
+    if (!(await investor.hasRole(roleId(ethers, "DEFAULT_ADMIN_ROLE"), signer.address))) {
+        setupErrors.push(`${signer.address} is missing DEFAULT_ADMIN_ROLE on the investor`);
+    }
+    if ((await state.asset.balanceOf(signer.address)) < funding) {
+        setupErrors.push(`${signer.address} holds less than the ${amount(funding)} to fund`);
+    }
+    if (setupErrors.length > 0) {
+        throw new Error(`Can't set up periods[${next.index}]: ${setupErrors.join(", ")}`);
+    }
+
+    const asset = state.asset.connect(signer);
+    if (funding > 0n && (await asset.allowance(signer.address, investor.target)) < funding) {
+        const approveTx = await asset.approve(investor.target, funding);
+        await approveTx.wait();
+        console.log("Funding Approved = ", approveTx.hash);
+    }
+    const setupTx = await investor.connect(signer).setupDistribution(next.amount, next.start, next.end);
+    await setupTx.wait();
+    console.log(`Distribution Set Up (periods[${next.index}]) = `, setupTx.hash);
+    result.setup = { period: next.index, amount: next.realAmount, start: next.start, end: next.end, funding, tx: setupTx.hash };
+    return result;
+};
+
+task("investor:schedule", "Checks a schedule of Investor distributions and sets up the next one when the current one is over")
+    .addParam("schedule", "YAML or JSON schedule of the distribution periods (amount, start, end)")
+    .addOptionalParam("investor", "The Investor address (defaults to the schedule, then the network address book)", "")
+    .addFlag("statusOnly", "Only print the status, the projected reward rates and the runway")
+    .addOptionalParam("minGap", "Least seconds between two periods, to report the ended one and set up the next", 3600, types.int)
+    .addFlag("reportStrategy", "Report the investor strategy when the current distribution ended but wasn't reported yet")
+    .addOptionalParam("poll", "Seconds between two runs (0 to run once)", 0, types.int)
+    .addOptionalParam("format", "Output format of the returned periods: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const [signer] = await ethers.getSigners();
+
+        const schedule = loadSchedule(taskArgs.schedule);
+        if (schedule.investor !== undefined && schedule.investor !== null && typeof schedule.investor !== "string") {
+            throw new Error(`Invalid investor schedule ${taskArgs.schedule}: investor must be an address or a name, quoted`);
+        }
+        const investorAddr = await getAddressBook(hre).resolve(taskArgs.investor || schedule.investor, "Investor");
+        const investor = await ethers.getContractAt("Investor", investorAddr);
+        console.log("Investor = ", investorAddr);
+
+        for (;;) {
+            const { state, plan, setup } = await runSchedule(ethers, investor, schedule, signer, taskArgs);
+            if (!taskArgs.poll) {
+                const report = { investor: investorAddr, periods: plan.rows, runway: plan.runway, gaps: plan.gaps, setup };
+                if (taskArgs.format !== "table") {
+                    writeReport(report, { format: taskArgs.format, output: taskArgs.output, csvRows: formatRows(ethers, state, plan) });
+                }
+                return report;
+            }
+            await new Promise((r) => setTimeout(r, taskArgs.poll * 1000));
+        }
+    });
@@ -0,0 +1,43 @@
+require("@nomicfoundation/hardhat-toolbox");
+require("dotenv").config();
+
+const { types } = require("hardhat/config");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { getKeeperSigner, createKeeper } = require("../utils/keeper");
+
+task("keeper:run", "Reports the factory vault strategies on a schedule and processes the reports on their vaults")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults to keep (defaults to all factory vaults)", "")
+    .addOptionalParam("interval", "Seconds after the last report when a strategy is reported", 86400, types.int)
+    .addOptionalParam("minProfit", "Also report when the unrealised profit reaches this amount in asset units", "")
+    .addOptionalParam("maxGasPrice", "Skip a round when the gas price is above this value in gwei", "")
+    .addOptionalParam("gasLimit", "Gas limit of every transaction (0 to estimate)", 0, types.int)
+    .addOptionalParam("poll", "Seconds between two rounds", 300, types.int)
+    .addOptionalParam("logFile", "File the StrategyReported results are appended to as JSON lines", "")
+    .addFlag("once", "Run a single round and exit")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const signer = await getKeeperSigner(ethers);
+        console.log("Keeper = ", signer.address);
+
+        const keeper = createKeeper(ethers, {
+            signer,
+            interval: taskArgs.interval,
+            minProfit: taskArgs.minProfit || null,
+            maxGasPrice: taskArgs.maxGasPrice ? ethers.parseUnits(taskArgs.maxGasPrice, "gwei") : null,
+            gasLimit: taskArgs.gasLimit || null,
+            logFile: taskArgs.logFile,
+        });
+
+        // Vaults are listed again on every round to pick up newly deployed ones.
+        const listVaults = () => getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+        if (taskArgs.once) return keeper.runOnce(await listVaults());
+
+        for (;;) {
+            await keeper.runRound(listVaults);
+            await new Promise((r) => setTimeout(r, taskArgs.poll * 1000));
+        }
+    });
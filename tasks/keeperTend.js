@@ -0,0 +1,50 @@
+require("@nomicfoundation/hardhat-toolbox");
+require("dotenv").config();
+
+const { types } = require("hardhat/config");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { getKeeperSigner } = require("../utils/keeper");
+const { createTendWatcher, startMetricsServer } = require("../utils/tendWatcher");
+
+task("keeper:tend", "Polls tendTrigger() of the factory vault strategies and calls tend() on the triggered ones")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults to watch (defaults to all factory vaults)", "")
+    .addOptionalParam("cooldown", "Seconds after a tend before the same strategy is tended again", 3600, types.int)
+    .addOptionalParam("maxGasPrice", "Don't send tends while the gas price is above this value in gwei", "")
+    .addOptionalParam("gasLimit", "Gas limit of every transaction (0 to estimate)", 0, types.int)
+    .addOptionalParam("poll", "Seconds between two rounds", 60, types.int)
+    .addOptionalParam("metricsPort", "Port of the Prometheus /metrics endpoint (0 to disable)", 0, types.int)
+    .addOptionalParam("logFile", "File the tends and skips are appended to as JSON lines", "")
+    .addFlag("once", "Run a single round and exit")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const signer = await getKeeperSigner(ethers);
+        console.log("Keeper = ", signer.address);
+
+        const watcher = createTendWatcher(ethers, {
+            signer,
+            cooldown: taskArgs.cooldown,
+            maxGasPrice: taskArgs.maxGasPrice ? ethers.parseUnits(taskArgs.maxGasPrice, "gwei") : null,
+            gasLimit: taskArgs.gasLimit || null,
+            logFile: taskArgs.logFile,
+        });
+        if (taskArgs.metricsPort && !taskArgs.once) {
+            await startMetricsServer(taskArgs.metricsPort, watcher.metrics.render);
+            console.log("Metrics = ", `http://0.0.0.0:${taskArgs.metricsPort}/metrics`);
+        }
+
+        // Vaults are listed again on every round to pick up newly deployed ones.
+        const listVaults = () => getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+        if (taskArgs.once) {
+            const results = await watcher.runOnce(await listVaults());
+            return { results, metrics: watcher.metrics.render() };
+        }
+
+        for (;;) {
+            await watcher.runRound(listVaults);
+            await new Promise((r) => setTimeout(r, taskArgs.poll * 1000));
+        }
+    });
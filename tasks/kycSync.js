@@ -0,0 +1,51 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { toPlain, writeReport } = require("../utils/cli");
+const { getKYCProvider } = require("../utils/roles");
+const { readKycList, defaultAuditLog, readAuditLog, planKycSync, syncKyc } = require("../utils/kyc");
+
+task("kyc:sync", "Syncs the KYC allow-list of a KYCDepositLimitModule with a CSV/JSON list from the compliance team")
+    .addParam("module", "The KYCDepositLimitModule address")
+    .addParam("file", "CSV (address[,passed]) or JSON list of the approved accounts")
+    .addOptionalParam("auditLog", "JSON lines file of the approvals and revocations (defaults to .kyc/<network>/<module>.jsonl)", "")
+    .addFlag("keepMissing", "Don't revoke accounts approved by a previous sync that are missing from the list")
+    .addOptionalParam("maxGas", "Gas limit of a single setKYCPassedBatch transaction", 5000000, types.int)
+    .addOptionalParam("batchSize", "Maximum number of accounts per transaction", 200, types.int)
+    .addFlag("dryRun", "Print the plan without sending any transaction")
+    .addOptionalParam("format", "Output format: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network } = hre;
+        const moduleAddr = ethers.getAddress(taskArgs.module);
+        const [signer] = await ethers.getSigners();
+        const module = await ethers.getContractAt("KYCDepositLimitModule", moduleAddr, signer);
+        console.log("KYC Module = ", moduleAddr);
+
+        // Like the ensure progress files, no audit log is kept by default on the in-process network.
+        const auditLog = taskArgs.auditLog || (network.name === "hardhat" ? "" : defaultAuditLog(network.name, moduleAddr));
+        const entries = readKycList(ethers, taskArgs.file);
+        const plan = await planKycSync(module, entries, readAuditLog(auditLog, moduleAddr), { keepMissing: taskArgs.keepMissing });
+        const approvals = plan.filter((row) => row.action === "approve").length;
+        const revocations = plan.filter((row) => row.action === "revoke").length;
+        console.log(`Plan: ${approvals} approval(s), ${revocations} revocation(s), ${plan.length - approvals - revocations} unchanged`);
+
+        let batches = [];
+        if (taskArgs.dryRun) {
+            console.log("Dry run: no transaction sent");
+        } else if (approvals + revocations > 0) {
+            const provider = await getKYCProvider(ethers, moduleAddr);
+            if (provider !== signer.address) {
+                throw new Error(`Signer ${signer.address} is not the KYC provider ${provider} of ${moduleAddr}`);
+            }
+            batches = await syncKyc(ethers, module, plan, { signer, maxGas: taskArgs.maxGas, batchSize: taskArgs.batchSize, auditLog });
+            if (auditLog) console.log("Audit log = ", auditLog);
+        }
+
+        const report = { module: moduleAddr, plan, batches };
+        writeReport(report, { format: taskArgs.format, output: taskArgs.output, csvRows: plan });
+        if (taskArgs.format === "table" && batches.length > 0) {
+            console.table(toPlain(batches));
+        }
+        return report;
+    });
@@ -0,0 +1,142 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { ADMIN_ROLES, getRoleHolders, getKYCProvider } = require("../utils/roles");
+
+const entryKey = ({ contract, role, account }) => `${contract}:${role}:${account}`.toLowerCase();
+
+// The expected roles file maps contract address -> role -> list of accounts.
+const readExpectedRoles = (file) => {
+    const expected = JSON.parse(fs.readFileSync(file, "utf8"));
+    const entries = [];
+    for (const [contract, roles] of Object.entries(expected)) {
+        for (const [role, accounts] of Object.entries(roles)) {
+            for (const account of accounts) {
+                entries.push({ contract, role, account });
+            }
+        }
+    }
+    return entries;
+};
+
+task("roles:audit", "Lists every privileged account on the factory, its vaults, their strategies, accountants and deposit limit modules")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults to audit (defaults to all factory vaults)", "")
+    .addOptionalParam("fromBlock", "First block to scan for RoleGranted/RoleRevoked events", 0, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 100000, types.int)
+    .addOptionalParam("maxAdmin", "Flag EOAs holding an admin role on more than this many contracts", 1, types.int)
+    .addOptionalParam("expected", "JSON file of expected roles ({ contract: { role: [accounts] } }) to diff against", "")
+    .addOptionalParam("format", "Output format: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .addFlag("strict", "Fail when admin concentration or an expected roles diff is found")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const blockRange = { fromBlock: taskArgs.fromBlock, chunkSize: taskArgs.chunkSize };
+
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const vaults = await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+
+        const entries = [];
+        const audited = new Set();
+        const addRoleHolders = async (contractType, address) => {
+            if (audited.has(address)) return;
+            audited.add(address);
+            for (const { role, account } of await getRoleHolders(ethers, address, blockRange)) {
+                entries.push({ contractType, contract: address, role, account });
+            }
+        };
+        const addGetters = async (contractType, address, getters) => {
+            if (audited.has(address)) return;
+            audited.add(address);
+            for (const [role, read] of Object.entries(getters)) {
+                const account = await read();
+                if (account !== ethers.ZeroAddress) {
+                    entries.push({ contractType, contract: address, role, account });
+                }
+            }
+        };
+
+        console.log("Auditing Factory = ", factoryAddr);
+        await addRoleHolders("Factory", factoryAddr);
+
+        for (const vaultAddr of vaults) {
+            console.log("Auditing Vault = ", vaultAddr);
+            const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+            await addRoleHolders("Vault", vaultAddr);
+
+            const accountant = await vault.accountant();
+            if (accountant !== ethers.ZeroAddress) {
+                await addRoleHolders("Accountant", accountant);
+            }
+
+            const depositLimitModule = await vault.depositLimitModule();
+            if (depositLimitModule !== ethers.ZeroAddress) {
+                const module = await ethers.getContractAt("KYCDepositLimitModule", depositLimitModule);
+                await addGetters("KYCDepositLimitModule", depositLimitModule, {
+                    owner: () => module.owner(),
+                    kycProvider: () => getKYCProvider(ethers, depositLimitModule),
+                });
+            }
+
+            for (const strategyAddr of await vault.getDefaultQueue()) {
+                const strategy = await ethers.getContractAt("TokenizedStrategy", strategyAddr);
+                await addGetters("Strategy", strategyAddr, {
+                    management: () => strategy.management(),
+                    pendingManagement: () => strategy.pendingManagement(),
+                    keeper: () => strategy.keeper(),
+                    emergencyAdmin: () => strategy.emergencyAdmin(),
+                });
+            }
+        }
+
+        // EOAs holding an admin role on more than `maxAdmin` contracts
+        const adminContracts = new Map();
+        for (const entry of entries.filter((e) => ADMIN_ROLES.includes(e.role))) {
+            const contracts = adminContracts.get(entry.account) || new Set();
+            contracts.add(entry.contract);
+            adminContracts.set(entry.account, contracts);
+        }
+        const adminConcentration = [];
+        for (const [account, contracts] of adminContracts) {
+            if (contracts.size > taskArgs.maxAdmin && (await ethers.provider.getCode(account)) === "0x") {
+                adminConcentration.push({ account, adminOn: contracts.size, contracts: [...contracts] });
+            }
+        }
+
+        let diff = null;
+        if (taskArgs.expected) {
+            const expected = readExpectedRoles(taskArgs.expected);
+            const actualKeys = new Set(entries.map(entryKey));
+            const expectedKeys = new Set(expected.map(entryKey));
+            diff = {
+                missing: expected.filter((entry) => !actualKeys.has(entryKey(entry))),
+                unexpected: entries.filter((entry) => !expectedKeys.has(entryKey(entry))),
+            };
+        }
+
+        const report = { entries, adminConcentration, diff };
+        writeReport(report, { format: taskArgs.format, output: taskArgs.output, csvRows: entries });
+
+        if (taskArgs.format === "table") {
+            if (adminConcentration.length > 0) {
+                console.log(`EOAs with an admin role on more than ${taskArgs.maxAdmin} contract(s):`);
+                console.table(adminConcentration.map(({ contracts, ...row }) => row));
+            }
+            if (diff) {
+                console.log(`Expected roles diff: ${diff.missing.length} missing, ${diff.unexpected.length} unexpected`);
+                if (diff.missing.length > 0) console.table(diff.missing);
+                if (diff.unexpected.length > 0) console.table(diff.unexpected);
+            }
+        }
+
+        const findings = adminConcentration.length + (diff ? diff.missing.length + diff.unexpected.length : 0);
+        if (taskArgs.strict && findings > 0) {
+            throw new Error(`Role audit failed with ${findings} finding(s)`);
+        }
+
+        return report;
+    });
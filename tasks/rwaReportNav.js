@@ -0,0 +1,111 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { toPlain } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { reportAndProcess } = require("../utils/strategies");
+const {
+    readSignedNav,
+    defaultReconciliationLog,
+    readLastReconciliation,
+    appendReconciliation,
+    loadRWAStrategy,
+    planNavReport,
+} = require("../utils/rwa");
+
+// Brings the assets of an RWA strategy (totalInvested() plus idle) to the NAV of its position: the RWA manager
+// reports the difference as a gain (paid into the strategy) or a loss, then the strategy is reported and
+// the vault processes the report. Each run is appended to the reconciliation log, which also keeps an
+// older NAV from being replayed.
+task("rwa:report-nav", "Reports the signed off-chain NAV of an RWA strategy as a gain or loss and processes it on the vault")
+    .addParam("strategy", "The RWAStrategy address")
+    .addParam("vault", "The vault the strategy reports to")
+    .addParam("nav", "Signed NAV JSON file: { strategy, chainId, nav, asOf, signature }")
+    .addOptionalParam("navSigner", "Address the NAV must be signed by (defaults to rwaNavSigner of the network address book)", "")
+    .addOptionalParam("maxDelta", "Largest accepted difference between the NAV and totalInvested, in basis points", 500, types.int)
+    .addOptionalParam("maxAge", "Largest accepted age of the NAV in seconds (0 for no limit)", 7 * 86400, types.int)
+    .addOptionalParam("log", "Reconciliation log, JSON lines (defaults to .rwa/<network>/<strategy>.jsonl)", "")
+    .addFlag("dryRun", "Check the NAV and print the plan without sending any transaction")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network } = hre;
+        const [signer] = await ethers.getSigners();
+        const strategyAddr = ethers.getAddress(taskArgs.strategy);
+        const strategy = await loadRWAStrategy(ethers, strategyAddr, signer);
+        const vault = await ethers.getContractAt("VaultPackage", ethers.getAddress(taskArgs.vault), signer);
+        const decimals = await strategy.asset.decimals();
+
+        const navSigner = await getAddressBook(hre).resolve(taskArgs.navSigner, "rwaNavSigner");
+        const nav = readSignedNav(ethers, taskArgs.nav);
+        console.log("NAV Signer = ", nav.signer);
+
+        // Like the ensure progress files, no log is kept by default on the in-process network.
+        const logFile = taskArgs.log || (network.name === "hardhat" ? "" : defaultReconciliationLog(network.name, strategyAddr));
+        const last = readLastReconciliation(logFile);
+        const { plan, errors } = await planNavReport(ethers, strategy, vault, nav, signer.address, {
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            navSigner,
+            maxDeltaBps: taskArgs.maxDelta,
+            maxAge: taskArgs.maxAge,
+            now: BigInt((await ethers.provider.getBlock("latest")).timestamp),
+            lastAsOf: last ? BigInt(last.asOf) : null,
+        });
+        const amount = (value) => ethers.formatUnits(value, decimals);
+        console.table([{ strategy: strategyAddr, totalInvested: amount(plan.totalInvested), idle: amount(plan.idle), nav: amount(plan.nav), delta: amount(plan.delta), deltaBps: plan.deltaBps.toString(), action: plan.action }]);
+        if (errors.length > 0) {
+            throw new Error(`Can't report the NAV of ${strategyAddr}: ${errors.join(", ")}`);
+        }
+        if (taskArgs.dryRun) {
+            console.log("Dry run: no transaction sent");
+            return { plan, reconciliation: null };
+        }
+
+        let navTx = null;
+        if (plan.action === "gain") {
+            const gain = plan.delta;
+            if ((await strategy.asset.allowance(signer.address, strategyAddr)) < gain) {
+                const approveTx = await strategy.asset.approve(strategyAddr, gain);
+                await approveTx.wait();
+                console.log("Gain Approved = ", approveTx.hash);
+            }
+            navTx = await strategy.rwa.reportGain(gain);
+        } else if (plan.action === "loss") {
+            navTx = await strategy.rwa.reportLoss(-plan.delta);
+        }
+        if (navTx) {
+            await navTx.wait();
+            console.log(`Reported ${plan.action} = `, navTx.hash);
+        }
+
+        const reported = await reportAndProcess(strategy.tokenized, vault);
+        console.log("Vault Gain = ", amount(reported.gain));
+        console.log("Vault Loss = ", amount(reported.loss));
+
+        // What report() couldn't deploy stays idle, the next run counts it with the NAV.
+        const totalInvestedAfter = await strategy.rwa.totalInvested();
+        const idleAfter = await strategy.asset.balanceOf(strategyAddr);
+        if (totalInvestedAfter !== nav.nav) {
+            console.log(`Warning: totalInvested is ${amount(totalInvestedAfter)}, not the NAV, ${amount(idleAfter)} stays idle in the strategy`);
+        }
+
+        const reconciliation = {
+            time: new Date().toISOString(),
+            strategy: strategyAddr,
+            vault: vault.target,
+            asOf: nav.asOf,
+            nav: nav.nav,
+            navSigner: nav.signer,
+            signature: nav.signature,
+            totalInvestedBefore: plan.totalInvested,
+            idleBefore: plan.idle,
+            totalInvestedAfter,
+            idleAfter,
+            delta: plan.delta,
+            action: plan.action,
+            operator: signer.address,
+            navTx: navTx ? navTx.hash : null,
+            ...reported,
+        };
+        appendReconciliation(logFile, reconciliation);
+        if (logFile) console.log("Reconciliation recorded in = ", logFile);
+        return { plan, reconciliation: toPlain(reconciliation) };
+    });
@@ -0,0 +1,33 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const fs = require("fs");
+const path = require("path");
+
+// The vault ABI of the SDK also carries the errors of the VaultLogic library, so that the
+// reverts coming from the library can be decoded too.
+const buildSdkAbis = async (artifacts) => {
+    const vault = (await artifacts.readArtifact("VaultPackage")).abi;
+    const vaultErrors = new Set(vault.filter((fragment) => fragment.type === "error").map((fragment) => fragment.name));
+    const libraryErrors = (await artifacts.readArtifact("VaultLogic")).abi.filter(
+        (fragment) => fragment.type === "error" && !vaultErrors.has(fragment.name)
+    );
+
+    return {
+        "Vault.json": [...vault, ...libraryErrors],
+        "ERC20.json": (await artifacts.readArtifact("@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20")).abi,
+    };
+};
+
+task("sdk:export-abis", "Writes the ABIs used by the JS SDK from the compiled artifacts")
+    .addOptionalParam("out", "Directory to write the ABIs to", path.join(__dirname, "..", "sdk", "abi"))
+    .setAction(async (taskArgs, hre) => {
+        await hre.run("compile", { quiet: true });
+
+        const abis = await buildSdkAbis(hre.artifacts);
+        fs.mkdirSync(taskArgs.out, { recursive: true });
+        for (const [file, abi] of Object.entries(abis)) {
+            fs.writeFileSync(path.join(taskArgs.out, file), JSON.stringify(abi, null, 2) + "\n");
+            console.log("ABI written to = ", path.join(taskArgs.out, file));
+        }
+        return abis;
+    });
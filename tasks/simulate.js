@@ -0,0 +1,96 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { parseAddressList, writeReport } = require("../utils/cli");
+const {
+    getNetworkAccount,
+    startFork,
+    impersonateAccounts,
+    stopImpersonatingAccounts,
+    getAdminAccounts,
+    getSelectorNames,
+    recordTransactions,
+    runScript,
+    getStateDiffs,
+} = require("../utils/simulation");
+
+task("simulate", "Runs a deploy script or a task on a fork as the impersonated admins, reports its transactions, gas and state diffs and reverts")
+    .addParam("script", "Task name, deploy script or directory of deploy scripts to run")
+    .addOptionalParam("scriptArgs", "JSON object of the task arguments", "{}")
+    .addOptionalParam("forkNetwork", "Network whose RPC is forked, e.g. xdc (no fork when neither it nor --fork-url is given)", "")
+    .addOptionalParam("forkUrl", "RPC to fork instead of the network's, e.g. a local node in CI (defaults to $SIMULATE_FORK_URL)", "")
+    .addOptionalParam("block", "Block to fork at (defaults to the latest)", undefined, types.int)
+    .addOptionalParam("impersonate", "Comma-separated accounts to run as, the first being signer 0 and the deployer (defaults to the admins of --admins-of)", "")
+    .addOptionalParam("adminsOf", "Comma-separated vaults and strategies whose admins and management are impersonated (defaults to the vault and strategy script arguments)", "")
+    .addOptionalParam("fromBlock", "First block to scan for the role holders of the vaults", 0, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 100000, types.int)
+    .addOptionalParam("format", "Output format: table, json or csv (the csv lists the transactions)", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network } = hre;
+        if (network.name !== "hardhat") {
+            throw new Error(`Simulation runs on the in-process hardhat network: use --network hardhat --fork-network ${network.name}`);
+        }
+        const scriptArgs = JSON.parse(taskArgs.scriptArgs);
+
+        const forkUrl = taskArgs.forkUrl || process.env.SIMULATE_FORK_URL || "";
+        const fork = forkUrl || taskArgs.forkNetwork
+            ? await startFork(hre, { forkNetwork: taskArgs.forkNetwork, forkUrl, blockNumber: taskArgs.block })
+            : null;
+        let accounts = parseAddressList(ethers, taskArgs.impersonate);
+        if (accounts.length === 0) {
+            const adminsOf = taskArgs.adminsOf || [scriptArgs.vault, scriptArgs.strategy].filter((arg) => arg && ethers.isAddress(arg)).join(",");
+            const blockRange = { fromBlock: taskArgs.fromBlock, chunkSize: taskArgs.chunkSize };
+            accounts = await getAdminAccounts(ethers, parseAddressList(ethers, adminsOf), blockRange);
+        }
+        if (accounts.length === 0 && taskArgs.forkNetwork) {
+            const account = getNetworkAccount(hre, taskArgs.forkNetwork);
+            if (account) accounts = [account];
+        }
+        await impersonateAccounts(hre, accounts);
+        console.log("Impersonating = ", accounts.join(", ") || "none");
+
+        const selectorNames = await getSelectorNames(hre);
+        const startBlock = await ethers.provider.getBlockNumber();
+        const snapshot = await network.provider.request({ method: "evm_snapshot", params: [] });
+        const recorder = recordTransactions(hre, accounts, selectorNames);
+        let report;
+        try {
+            let error = null;
+            try {
+                await runScript(hre, taskArgs.script, scriptArgs);
+            } catch (e) {
+                error = e;
+            }
+            recorder.restore();
+
+            const touched = [...new Set(recorder.transactions.flatMap((tx) => [tx.to, tx.contractAddress]).filter((address) => address))];
+            report = {
+                script: taskArgs.script,
+                fork,
+                startBlock,
+                accounts,
+                transactions: recorder.transactions,
+                stateDiffs: await getStateDiffs(ethers, touched, startBlock),
+                gasUsed: recorder.transactions.reduce((total, tx) => total + tx.gasUsed, 0n),
+                error: error ? error.message : null,
+            };
+            writeReport(report, { format: taskArgs.format, output: taskArgs.output, csvRows: report.transactions });
+            if (taskArgs.format === "table") {
+                writeReport(report.stateDiffs);
+                console.log("Transactions = ", report.transactions.length);
+                console.log("Gas used = ", report.gasUsed);
+            }
+            if (error) {
+                const failure = new Error(`Simulated script failed: ${error.message}`);
+                failure.report = report;
+                throw failure;
+            }
+        } finally {
+            recorder.restore();
+            await network.provider.request({ method: "evm_revert", params: [snapshot] });
+            await stopImpersonatingAccounts(hre, accounts);
+            console.log("Simulation reverted");
+        }
+        return report;
+    });
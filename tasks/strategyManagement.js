@@ -0,0 +1,150 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const fs = require("fs");
+const path = require("path");
+const { parseAddressList, parseAddress, toPlain } = require("../utils/cli");
+const { createEnsurer } = require("../utils/ensure");
+
+const OPTIONAL_ROLES = ["keeper", "emergencyAdmin", "performanceFeeRecipient"];
+
+const readRoles = async (strategy) => ({
+    management: await strategy.management(),
+    pendingManagement: await strategy.pendingManagement(),
+    keeper: await strategy.keeper(),
+    emergencyAdmin: await strategy.emergencyAdmin(),
+    performanceFeeRecipient: await strategy.performanceFeeRecipient(),
+});
+
+// Step one of the hand-off, run by the current management: moves the optional roles (only
+// management can set them, so it has to happen before the hand-off) and sets the pending management.
+// Writes a hand-off file with the expected final roles and the acceptManagement batch for the new management.
+task("strategy:transfer-management", "Sets the pending management of a list of strategies and writes the hand-off file for the new management")
+    .addParam("strategies", "Comma-separated list of TokenizedStrategy addresses")
+    .addParam("newManagement", "The new management of the strategies")
+    .addOptionalParam("keeper", "Also move the keeper to this address", "")
+    .addOptionalParam("emergencyAdmin", "Also move the emergency admin to this address", "")
+    .addOptionalParam("performanceFeeRecipient", "Also move the performance fee recipient to this address", "")
+    .addParam("handoff", "File to write the hand-off (expected roles and acceptManagement batch) to")
+    .addFlag("dryRun", "Only check the strategies and print the current roles, don't send any transaction")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network } = hre;
+        const [signer] = await ethers.getSigners();
+
+        const strategies = parseAddressList(ethers, taskArgs.strategies);
+        if (strategies.length === 0) {
+            throw new Error("No strategies given");
+        }
+        const newManagement = parseAddress(ethers, taskArgs.newManagement, "new-management");
+        const moves = {};
+        for (const role of OPTIONAL_ROLES) {
+            if (taskArgs[role]) moves[role] = parseAddress(ethers, taskArgs[role], role.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`));
+        }
+
+        const rows = [];
+        for (const strategyAddr of strategies) {
+            const strategy = await ethers.getContractAt("TokenizedStrategy", strategyAddr);
+            const roles = await readRoles(strategy);
+            if (roles.management !== signer.address && roles.management !== newManagement) {
+                throw new Error(`Signer ${signer.address} is not the management of strategy ${strategyAddr} (${roles.management})`);
+            }
+            rows.push({ strategy: strategyAddr, ...roles });
+        }
+        console.table(rows);
+
+        if (taskArgs.dryRun) {
+            console.log("Dry run, no transaction sent");
+            return { rows, handoff: null };
+        }
+
+        const ensure = createEnsurer(hre, { name: "strategy-transfer-management" });
+        const handoff = { network: network.name, chainId: network.config.chainId || null, newManagement, strategies: [], transactions: [] };
+
+        for (const strategyAddr of strategies) {
+            const strategy = await ethers.getContractAt("TokenizedStrategy", strategyAddr, signer);
+            if ((await strategy.management()) === newManagement) {
+                console.log(`Strategy ${strategyAddr} is already managed by = `, newManagement);
+                // Only the management can move the roles: the new one has to, else the hand-off won't verify.
+                if (signer.address === newManagement) {
+                    for (const [role, account] of Object.entries(moves)) {
+                        await ensure[role](strategy, account);
+                    }
+                } else if (Object.keys(moves).length > 0) {
+                    console.log(`Warning: ${Object.keys(moves).join(", ")} of ${strategyAddr} can only be moved by its management ${newManagement}`);
+                }
+            } else {
+                for (const [role, account] of Object.entries(moves)) {
+                    await ensure[role](strategy, account);
+                }
+                await ensure.value(
+                    `Set pending management of ${strategyAddr} to ${newManagement}`,
+                    () => strategy.pendingManagement(),
+                    newManagement,
+                    () => strategy.setPendingManagement(newManagement)
+                );
+                handoff.transactions.push({ to: strategyAddr, value: "0", data: strategy.interface.encodeFunctionData("acceptManagement") });
+            }
+
+            // The requested roles are the expected ones, whether or not they could be moved.
+            const roles = await readRoles(strategy);
+            handoff.strategies.push({
+                address: strategyAddr,
+                keeper: moves.keeper || roles.keeper,
+                emergencyAdmin: moves.emergencyAdmin || roles.emergencyAdmin,
+                performanceFeeRecipient: moves.performanceFeeRecipient || roles.performanceFeeRecipient,
+            });
+        }
+
+        fs.mkdirSync(path.dirname(path.resolve(taskArgs.handoff)), { recursive: true });
+        fs.writeFileSync(taskArgs.handoff, JSON.stringify(toPlain(handoff), null, 2) + "\n");
+        console.log("Hand-off written to = ", taskArgs.handoff);
+        console.log(`The new management has to run strategy:accept-management --handoff ${taskArgs.handoff} or execute its transactions batch`);
+
+        return { rows, handoff };
+    });
+
+// Step two of the hand-off, run by the new management. Accepts the management of every strategy of
+// the hand-off file (unless --verify-only, e.g. when a multisig executed the batch) and verifies that
+// management() and the moved roles match the hand-off.
+task("strategy:accept-management", "Accepts the management of the strategies of a hand-off file and verifies the hand-off")
+    .addParam("handoff", "Hand-off file written by strategy:transfer-management")
+    .addFlag("verifyOnly", "Don't send acceptManagement, only verify the roles")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network } = hre;
+        const handoff = JSON.parse(fs.readFileSync(taskArgs.handoff, "utf8"));
+        if (handoff.network !== network.name) {
+            throw new Error(`Hand-off ${taskArgs.handoff} is for network ${handoff.network}, not ${network.name}`);
+        }
+
+        const [signer] = await ethers.getSigners();
+        if (!taskArgs.verifyOnly && signer.address !== handoff.newManagement) {
+            throw new Error(`Signer ${signer.address} is not the new management ${handoff.newManagement}: execute the transactions batch of the hand-off and use --verify-only`);
+        }
+
+        const ensure = createEnsurer(hre, { name: "strategy-accept-management" });
+        const rows = [];
+        for (const expected of handoff.strategies) {
+            const strategy = await ethers.getContractAt("TokenizedStrategy", expected.address, signer);
+            if (!taskArgs.verifyOnly) {
+                await ensure.step(
+                    `Accept management of ${expected.address}`,
+                    async () => (await strategy.management()) === handoff.newManagement,
+                    () => strategy.acceptManagement()
+                );
+            }
+
+            const roles = await readRoles(strategy);
+            const mismatches = [];
+            if (roles.management !== handoff.newManagement) mismatches.push("management");
+            for (const role of OPTIONAL_ROLES) {
+                if (roles[role] !== expected[role]) mismatches.push(role);
+            }
+            rows.push({ strategy: expected.address, management: roles.management, verified: mismatches.length === 0, mismatches: mismatches.join(" ") });
+        }
+        console.table(rows);
+
+        const failed = rows.filter((row) => !row.verified);
+        if (failed.length > 0) {
+            throw new Error(`Management hand-off not verified for: ${failed.map((row) => `${row.strategy} (${row.mismatches})`).join(", ")}`);
+        }
+        return rows;
+    });
@@ -0,0 +1,136 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { parseAddressList, writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { getStrategyType, checkReportPermissions, reportAndProcess } = require("../utils/strategies");
+const {
+    loadTradeFintech,
+    getTradeFintechStatus,
+    checkSettle,
+    checkLock,
+    checkRepay,
+    assertAllowed,
+} = require("../utils/tradeFintech");
+
+const formatStatus = (ethers, status) => {
+    const amount = (value) => ethers.formatUnits(value, status.decimals);
+    const date = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+    return {
+        strategy: status.strategy,
+        phase: status.phase,
+        depositPeriodEnds: date(status.depositPeriodEnds),
+        lockPeriodEnds: date(status.lockPeriodEnds),
+        depositLimit: amount(status.depositLimit),
+        locked: amount(status.locked),
+        idle: amount(status.idle),
+        unreported: amount(status.unreported),
+        vaultDebt: amount(status.vaultDebt),
+    };
+};
+
+const loadWithStatus = async (ethers, strategyAddr, signer) => {
+    const strategy = await loadTradeFintech(ethers, ethers.getAddress(strategyAddr), signer);
+    const status = await getTradeFintechStatus(ethers, strategy);
+    console.table([formatStatus(ethers, status)]);
+    return { strategy, status };
+};
+
+const settle = async (ethers, strategy) => {
+    console.log("Reporting strategy = ", strategy.address);
+    const result = await reportAndProcess(strategy.tokenized, strategy.vault);
+    console.log("Gain = ", ethers.formatUnits(result.gain, await strategy.asset.decimals()));
+    console.log("Loss = ", ethers.formatUnits(result.loss, await strategy.asset.decimals()));
+    return result;
+};
+
+task("tf:status", "Prints the phase of TradeFintech strategies and how much of their funds are locked vs idle")
+    .addOptionalParam("strategies", "Comma-separated list of TradeFintech strategies (defaults to those of the factory vaults)", "")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults to scan (defaults to all factory vaults)", "")
+    .addOptionalParam("format", "Output format: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+
+        let strategies = parseAddressList(ethers, taskArgs.strategies);
+        if (strategies.length === 0) {
+            const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+            for (const vaultAddr of await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults)) {
+                const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+                for (const strategyAddr of await vault.getDefaultQueue()) {
+                    if ((await getStrategyType(ethers, strategyAddr)).type === "tradeFintech") strategies.push(strategyAddr);
+                }
+            }
+        }
+
+        const statuses = [];
+        for (const strategyAddr of strategies) {
+            statuses.push(await getTradeFintechStatus(ethers, await loadTradeFintech(ethers, strategyAddr)));
+        }
+        writeReport(statuses, {
+            format: taskArgs.format,
+            output: taskArgs.output,
+            csvRows: taskArgs.format === "table" ? statuses.map((status) => formatStatus(ethers, status)) : statuses,
+        });
+        return statuses;
+    });
+
+task("tf:lock", "Locks idle funds of a TradeFintech strategy with its management")
+    .addParam("strategy", "The TradeFintech strategy")
+    .addParam("amount", "Amount to lock, in asset units")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const [signer] = await ethers.getSigners();
+        const { strategy, status } = await loadWithStatus(ethers, taskArgs.strategy, signer);
+
+        const amount = ethers.parseUnits(taskArgs.amount, status.decimals);
+        assertAllowed("lock funds of", strategy.address, checkLock(status, signer.address, amount));
+
+        const lockTx = await strategy.tf.lockFunds(amount);
+        await lockTx.wait();
+        console.log("Funds Locked = ", lockTx.hash);
+        return { strategy: strategy.address, amount, tx: lockTx.hash };
+    });
+
+task("tf:repay", "Repays the locked funds of a TradeFintech strategy with their yield, then reports it to the vault")
+    .addParam("strategy", "The TradeFintech strategy")
+    .addParam("amount", "Amount repaid (principal plus yield), in asset units")
+    .addFlag("noSettle", "Only repay, leaving report() and processReport to tf:settle")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const [signer] = await ethers.getSigners();
+        const { strategy, status } = await loadWithStatus(ethers, taskArgs.strategy, signer);
+
+        const amount = ethers.parseUnits(taskArgs.amount, status.decimals);
+        const errors = checkRepay(status, signer.address, amount);
+        // The settle is checked up front so that a repayment isn't left unreported by a missing role.
+        if (!taskArgs.noSettle) errors.push(...(await checkReportPermissions(ethers, strategy.tokenized, strategy.vault, signer.address)));
+        assertAllowed("repay", strategy.address, errors);
+        if (amount < status.locked) {
+            console.log(`Warning: repaying ${taskArgs.amount} of ${ethers.formatUnits(status.locked, status.decimals)} locked, the difference is a loss`);
+        }
+
+        if ((await strategy.asset.allowance(signer.address, strategy.address)) < amount) {
+            const approveTx = await strategy.asset.approve(strategy.address, amount);
+            await approveTx.wait();
+            console.log("Repayment Approved = ", approveTx.hash);
+        }
+        const repayTx = await strategy.tf.repay(amount);
+        await repayTx.wait();
+        console.log("Funds Repaid = ", repayTx.hash);
+
+        const settled = taskArgs.noSettle ? null : await settle(ethers, strategy);
+        return { strategy: strategy.address, amount, tx: repayTx.hash, settled };
+    });
+
+task("tf:settle", "Reports a repaid TradeFintech strategy and processes the report on its vault so depositors see the yield")
+    .addParam("strategy", "The TradeFintech strategy")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const [signer] = await ethers.getSigners();
+        const { strategy, status } = await loadWithStatus(ethers, taskArgs.strategy, signer);
+
+        assertAllowed("settle", strategy.address, await checkSettle(ethers, strategy, status, signer.address));
+        return { strategy: strategy.address, ...(await settle(ethers, strategy)) };
+    });
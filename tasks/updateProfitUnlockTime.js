@@ -1,62 +1,94 @@
 require("@nomicfoundation/hardhat-toolbox");
 
-// import { task } from 'hardhat/config';
-
-task(`update-pofitMaxUnlockTime`).setAction(async (_, hre) => {
-    const factoryAddr = "0xE3E22410ea34661F2b7d5c13EDf7b0c069BD4153";
-    const newProfitMaxUnlockTime = 3600; // 1 hour
-    
-    console.log("Factory Address = ", factoryAddr);
-    console.log("Updating Profit Max Unlock Time ...");
-
-    const factory = await ethers.getContractAt("IFactory", factoryAddr);
-    const vaults = await factory.getVaults();
-
-    for (let i = 0; i < vaults.length; i++) {
-        console.log("Checking Vault = ", vaults[i]);
-        const vault = await ethers.getContractAt("VaultPackage", vaults[i]);
-        const isShutdown = await vault.shutdown();
-        if (isShutdown) {
-            console.log("Vault is shutdown");
-            continue;
+const { types } = require("hardhat/config");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+
+const DEFAULT_PROFIT_MAX_UNLOCK_TIME = 3600; // 1 hour
+
+const planUpdate = (type, address, isShutdown, current, target) => {
+    let action = "update";
+    if (isShutdown) {
+        action = "skip (shutdown)";
+    } else if (current == 0n) {
+        action = "skip (unlocking disabled)";
+    } else if (current == target) {
+        action = "skip (unchanged)";
+    }
+
+    return {
+        type,
+        address,
+        before: current.toString(),
+        after: action === "update" ? target.toString() : current.toString(),
+        action,
+    };
+};
+
+task("update-pofitMaxUnlockTime", "Updates profitMaxUnlockTime on every vault of a factory and their default queue strategies")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("value", "The new profitMaxUnlockTime in seconds", DEFAULT_PROFIT_MAX_UNLOCK_TIME, types.int)
+    .addOptionalParam("vaults", "Comma-separated list of vaults to update (defaults to all factory vaults)", "")
+    .addFlag("vaultsOnly", "Only update the vaults")
+    .addFlag("strategiesOnly", "Only update the strategies of the vaults")
+    .addFlag("dryRun", "Print the before/after table without sending any transaction")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const { vaultsOnly, strategiesOnly, dryRun } = taskArgs;
+        const newProfitMaxUnlockTime = BigInt(taskArgs.value);
+
+        if (vaultsOnly && strategiesOnly) {
+            throw new Error("--vaults-only and --strategies-only are mutually exclusive");
         }
-        const currentProfitMaxUnlockTime = await vault.profitMaxUnlockTime();
-        console.log("Current Profit Max Unlock Time = ", currentProfitMaxUnlockTime);
-        if (currentProfitMaxUnlockTime > 0 && currentProfitMaxUnlockTime != newProfitMaxUnlockTime) {
-            console.log("Updating Vault = ", vaults[i]);
-            const updateProfitMaxUnlockTimeTx = await vault.setProfitMaxUnlockTime(newProfitMaxUnlockTime);
-            await updateProfitMaxUnlockTimeTx.wait();
-            console.log("Profit Max Unlock Time Updated = ", vaults[i]);
-        } else {
-            console.log(`Profit Max Unlock Time is ${currentProfitMaxUnlockTime} -> Skipped`);
+        if (newProfitMaxUnlockTime < 0n) {
+            throw new Error("--value must not be negative");
         }
-        console.log("Update strategies ...");
-
-       const strategies = await vault.getDefaultQueue();
-         for (let j = 0; j < strategies.length; j++) {
-              console.log("Checking Strategy = ", strategies[j]);
-              const strategy = await ethers.getContractAt("TokenizedStrategy", strategies[j]);
-              const isShutdown = await strategy.isShutdown();
-              if (isShutdown) {
-                console.log("Strategy is shutdown = ", strategies[j]);
-                continue;
-              }
-              const currentProfitMaxUnlockTime = await strategy.profitMaxUnlockTime();
-              console.log("Current Profit Unlock Time = ", currentProfitMaxUnlockTime);
-              if (currentProfitMaxUnlockTime > 0 && currentProfitMaxUnlockTime != newProfitMaxUnlockTime) {
-                console.log("Updating Strategy = ", strategies[j]);
-                const updateProfitUnlockTimeTx = await strategy.setProfitMaxUnlockTime(newProfitMaxUnlockTime);
-                await updateProfitUnlockTimeTx.wait();
-                console.log("Profit Unlock Time Updated = ", strategies[j]);
-              } else {
-                console.log(`Profit Max Unlock Time is ${currentProfitMaxUnlockTime} -> Skipped`);
-              }
-         }
-    }
 
-    // console.log("Existing Vaults = ", vaults);
-    // const vaultsCopy = [...vaults];
-    // const vaultAddress = vaultsCopy.pop();
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        console.log("Factory Address = ", factoryAddr);
+
+        const vaults = await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
 
+        console.log("Collecting Profit Max Unlock Times ...");
+        const plan = [];
+        // A strategy can be in the queue of several vaults, it's updated once.
+        const seenStrategies = new Set();
+        for (const vaultAddr of vaults) {
+            const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+            const isVaultShutdown = await vault.shutdown();
+
+            if (!strategiesOnly) {
+                const current = await vault.profitMaxUnlockTime();
+                plan.push({ ...planUpdate("vault", vaultAddr, isVaultShutdown, current, newProfitMaxUnlockTime), contract: vault });
+            }
+            if (vaultsOnly || isVaultShutdown) continue;
+
+            const strategies = await vault.getDefaultQueue();
+            for (const strategyAddr of strategies) {
+                if (seenStrategies.has(strategyAddr)) continue;
+                seenStrategies.add(strategyAddr);
+                const strategy = await ethers.getContractAt("TokenizedStrategy", strategyAddr);
+                const isStrategyShutdown = await strategy.isShutdown();
+                const current = await strategy.profitMaxUnlockTime();
+                plan.push({ ...planUpdate("strategy", strategyAddr, isStrategyShutdown, current, newProfitMaxUnlockTime), contract: strategy });
+            }
+        }
+
+        console.table(plan.map(({ contract, ...row }) => row));
+
+        const updates = plan.filter((row) => row.action === "update");
+        if (dryRun) {
+            console.log(`Dry run: ${updates.length} update(s) would be sent`);
+            return plan.map(({ contract, ...row }) => row);
+        }
+
+        for (const row of updates) {
+            console.log(`Updating ${row.type} = `, row.address);
+            const updateProfitMaxUnlockTimeTx = await row.contract.setProfitMaxUnlockTime(newProfitMaxUnlockTime);
+            await updateProfitMaxUnlockTimeTx.wait();
+            console.log("Profit Max Unlock Time Updated = ", row.address);
+        }
+        console.log(`Done: ${updates.length} update(s) sent`);
 
-});
\ No newline at end of file
+        return plan.map(({ contract, ...row }) => row);
+    });
@@ -0,0 +1,38 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { writeReport } = require("../utils/cli");
+const { MAX_CODE_SIZE, defaultReferenceFile, readReference, readDeployedLayouts, checkUpgrades, recordDeployedLayouts } = require("../utils/upgradeCheck");
+
+task("upgrade:check", "Checks the code size and the storage layout of the packages against their proxies and deployed versions")
+    .addOptionalParam("contracts", "Comma-separated contracts to check", "VaultPackage,FactoryPackage")
+    .addOptionalParam("reference", "JSON file of the deployed storage layouts, for deployments without one in their artifact (defaults to storage-layouts/<network>.json)", "")
+    .addOptionalParam("sizeLimit", "Deployed code size limit in bytes, twice that for the init code", MAX_CODE_SIZE, types.int)
+    .addFlag("save", "Record the layouts of the deployments once the checks pass, when their code on chain is this build")
+    .addFlag("firstDeployment", "Allow contracts without a deployed layout on a live network, for their first deployment")
+    .addOptionalParam("format", "Output format: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { artifacts, network } = hre;
+        const contracts = taskArgs.contracts.split(",").map((name) => name.trim()).filter((name) => name.length > 0);
+        const referenceFile = taskArgs.reference || defaultReferenceFile(network.name);
+
+        await hre.run("compile", { quiet: true });
+        const deployedLayouts = await readDeployedLayouts(hre, network.name, contracts, readReference(referenceFile));
+        const checks = await checkUpgrades(artifacts, contracts, deployedLayouts, {
+            sizeLimit: taskArgs.sizeLimit,
+            requireDeployed: network.name !== "hardhat" && !taskArgs.firstDeployment,
+        });
+        writeReport(checks, { format: taskArgs.format, output: taskArgs.output });
+
+        const failed = checks.filter((row) => row.status === "failed");
+        if (failed.length > 0) {
+            throw new Error(`Upgrade check failed: ${failed.map((row) => `${row.contract} ${row.check} (${row.detail})`).join(", ")}`);
+        }
+
+        if (taskArgs.save) {
+            await recordDeployedLayouts(hre, contracts, referenceFile);
+            console.log("Storage layouts recorded in = ", referenceFile);
+        }
+        return checks;
+    });
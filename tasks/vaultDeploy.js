@@ -0,0 +1,26 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const path = require("path");
+
+const { loadVaultSpec, validateVaultSpec, resolveVaultSpec, applyVaultSpec } = require("../utils/vaultSpec");
+
+task("vault:deploy", "Deploys a vault from a JSON/YAML spec, or converges an existing one to it")
+    .addParam("spec", "Path to the vault spec (.yaml, .yml or .json)")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const [signer] = await ethers.getSigners();
+
+        const spec = loadVaultSpec(taskArgs.spec);
+        const errors = validateVaultSpec(spec);
+        if (errors.length > 0) {
+            throw new Error(`Invalid vault spec ${taskArgs.spec}:\n  - ${errors.join("\n  - ")}`);
+        }
+
+        const resolvedSpec = await resolveVaultSpec(hre, spec, signer);
+        const result = await applyVaultSpec(hre, resolvedSpec, { name: `vault-deploy-${path.parse(taskArgs.spec).name}` });
+
+        const sent = result.actions.filter((action) => action.status === "sent").length;
+        console.log(`Done: ${sent} transaction(s) sent, vault = `, result.vault);
+
+        return result;
+    });
@@ -0,0 +1,37 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { parseAddress, writeReport } = require("../utils/cli");
+const { parseStatementDate, buildStatement } = require("../utils/statement");
+
+task("vault:statement", "Builds the position and PnL statement of a user of a vault over a date range")
+    .addParam("vault", "The vault")
+    .addParam("user", "The account the statement is for")
+    .addOptionalParam("from", "Start of the period, ISO date or date-time (defaults to the first deposit)", "")
+    .addOptionalParam("to", "End of the period, ISO date (included) or date-time (defaults to now)", "")
+    .addOptionalParam("fromBlock", "First block to scan for the events of the user", 0, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 100000, types.int)
+    .addOptionalParam("format", "Output format: table, json or csv (the csv lists the transactions)", "table")
+    .addOptionalParam("output", "File to write the json/csv statement to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const vaultAddr = parseAddress(ethers, taskArgs.vault, "vault");
+        const user = parseAddress(ethers, taskArgs.user, "user");
+
+        const statement = await buildStatement(ethers, vaultAddr, user, {
+            from: taskArgs.from ? parseStatementDate(taskArgs.from) : 0,
+            to: taskArgs.to ? parseStatementDate(taskArgs.to, { endOfDay: true }) : undefined,
+            fromBlock: taskArgs.fromBlock,
+            chunkSize: taskArgs.chunkSize,
+        });
+
+        writeReport(statement, { format: taskArgs.format, output: taskArgs.output, csvRows: statement.transactions });
+        if (taskArgs.format === "table") {
+            console.log("Opening position = ", statement.opening);
+            console.log("Closing position = ", statement.closing);
+            console.log("Summary = ", statement.summary);
+            console.log("Reconciled with balanceOf() = ", statement.reconciled);
+        }
+
+        return statement;
+    });
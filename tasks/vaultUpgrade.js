@@ -0,0 +1,113 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { createEnsurer, roleId } = require("../utils/ensure");
+const { getAdminAccounts, getSimulationSigner } = require("../utils/simulation");
+const { defaultReferenceFile, readReference, readDeployedLayouts, matchesBuild, checkUpgrades, saveReference } = require("../utils/upgradeCheck");
+const { deployVaultPackage, isOldFactory, upgradeVaults } = require("../utils/vaultUpgrade");
+
+// setImplementation() needs DEFAULT_ADMIN_ROLE: the first admin of the vaults holding it on all of them.
+const findUpgradeOperator = async (hre, { factory, vaults }, blockRange) => {
+    const { ethers } = hre;
+    const vaultAddrs = await getFactoryVaults(ethers, await getAddressBook(hre).resolve(factory, "factory"), vaults);
+    for (const account of await getAdminAccounts(ethers, vaultAddrs, blockRange)) {
+        let admin = true;
+        for (const vaultAddr of vaultAddrs) {
+            const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+            admin = admin && (await vault.hasRole(roleId(ethers, "DEFAULT_ADMIN_ROLE"), account));
+        }
+        if (admin) return account;
+    }
+    return "";
+};
+
+// On the in-process hardhat network, forked from `fork` when given, a drift reverts the whole run. On a
+// live network the drifted vault is set back to its previous package.
+task("vault:upgrade", "Deploys a VaultPackage and upgrades the factory vaults to it, checking that their state doesn't drift")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults (defaults to all factory vaults)", "")
+    .addOptionalParam("package", "An already deployed VaultPackage to upgrade to instead of deploying one", "")
+    .addFlag("addToFactory", "Also add the package to the factory packages new vaults can be deployed with (updateVaultPackage on an old factory)")
+    .addOptionalParam("fork", "Network whose RPC the in-process hardhat network forks for a rehearsal, e.g. xdc", "")
+    .addOptionalParam("impersonate", "Vault admin running the rehearsal (defaults to the account holding DEFAULT_ADMIN_ROLE on every vault)", "")
+    .addOptionalParam("fromBlock", "First block to scan for the role holders of the vaults", 0, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 100000, types.int)
+    .addOptionalParam("format", "Output format: table, json or csv (the csv lists the drifted fields)", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers, network, artifacts } = hre;
+        const inProcess = network.name === "hardhat";
+        const blockRange = { fromBlock: taskArgs.fromBlock, chunkSize: taskArgs.chunkSize };
+        const findOperator = () => findUpgradeOperator(hre, taskArgs, blockRange);
+        const signer = taskArgs.fork || taskArgs.impersonate ? await getSimulationSigner(hre, taskArgs, { findOperator }) : (await ethers.getSigners())[0];
+        console.log("Operator = ", signer.address);
+
+        await hre.run("compile", { quiet: true });
+        const layoutNetwork = taskArgs.fork || network.name;
+        const layoutReference = defaultReferenceFile(layoutNetwork);
+        const deployedLayouts = await readDeployedLayouts(hre, layoutNetwork, ["VaultPackage"], readReference(layoutReference));
+        const checks = await checkUpgrades(artifacts, ["VaultPackage"], deployedLayouts, { requireDeployed: layoutNetwork !== "hardhat" });
+        console.table(checks);
+        const failedChecks = checks.filter((row) => row.status === "failed");
+        if (failedChecks.length > 0) {
+            throw new Error(`Upgrade check failed: ${failedChecks.map((row) => `${row.contract} ${row.check} (${row.detail})`).join(", ")}`);
+        }
+
+        const snapshot = inProcess ? await network.provider.request({ method: "evm_snapshot", params: [] }) : null;
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const vaults = await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+        const packageAddr = taskArgs.package ? ethers.getAddress(taskArgs.package) : await deployVaultPackage(hre, signer);
+
+        const ensure = createEnsurer(hre, { name: `vault-upgrade-${packageAddr}` });
+        if (taskArgs.addToFactory && (await isOldFactory(ethers, factoryAddr))) {
+            // An old factory can't tell its vault package, the step is only skipped once confirmed.
+            const factory = await ethers.getContractAt("IFactoryOld", factoryAddr, signer);
+            const label = `Update the vault package of old factory ${factoryAddr} to ${packageAddr}`;
+            await ensure.step(label, async () => ensure.isDone(label), () => factory.updateVaultPackage(packageAddr));
+        } else if (taskArgs.addToFactory) {
+            const factory = await ethers.getContractAt("IFactory", factoryAddr, signer);
+            await ensure.step(
+                `Add vault package ${packageAddr} to factory ${factoryAddr}`,
+                () => factory.isVaultPackage(packageAddr),
+                () => factory.addVaultPackage(packageAddr)
+            );
+        }
+
+        const results = await upgradeVaults(ethers, vaults, packageAddr, signer, {
+            ensure,
+            rollback: !inProcess,
+            blockRange,
+        });
+        const drifted = results.find((result) => result.drift.length > 0);
+        if (drifted && inProcess) {
+            await network.provider.request({ method: "evm_revert", params: [snapshot] });
+            results.filter((result) => result.status !== "skipped").forEach((result) => {
+                result.status = "rolled back";
+            });
+            console.log("Upgrade reverted");
+        }
+
+        const drift = results.flatMap((result) => result.drift.map((row) => ({ vault: result.vault, ...row })));
+        const report = { package: packageAddr, checks, vaults: results, rolledBack: Boolean(drifted) };
+        writeReport(report, { format: taskArgs.format, output: taskArgs.output, csvRows: drift });
+        if (taskArgs.format === "table") {
+            console.table(results.map(({ vault, previous, status }) => ({ vault, previous, status })));
+        }
+
+        if (drifted) {
+            throw new Error(`Vault ${drifted.vault} drifted after the upgrade and was rolled back: ${drifted.drift.map((row) => row.field).join(", ")}`);
+        }
+        if (!inProcess) {
+            // The layout recorded is the one of this build, a --package of another build isn't recorded.
+            if (matchesBuild(await ethers.provider.getCode(packageAddr), (await artifacts.readArtifact("VaultPackage")).deployedBytecode)) {
+                await saveReference(artifacts, ["VaultPackage"], layoutReference, { VaultPackage: packageAddr });
+                console.log("Storage layout recorded in = ", layoutReference);
+            } else {
+                console.log(`Warning: ${packageAddr} isn't this build of VaultPackage, its layout isn't recorded`);
+            }
+        }
+        return report;
+    });
@@ -0,0 +1,47 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { types } = require("hardhat/config");
+const { writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { getVaultApy, flattenVaultApy } = require("../utils/apy");
+
+task("vaults:apy", "Computes the realized APR/APY of the factory vaults and their strategies, with a share price time series")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults (defaults to all factory vaults)", "")
+    .addOptionalParam("fromBlock", "First block to scan for Deposit/StrategyReported events", 0, types.int)
+    .addOptionalParam("chunkSize", "Block range of each eth_getLogs request", 100000, types.int)
+    .addOptionalParam("points", "Share price samples of the time series, from the first deposit to now", 30, types.int)
+    .addOptionalParam("format", "Output format: table, json or csv (the csv is the time series)", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const vaults = await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+
+        const apys = [];
+        for (const vaultAddr of vaults) {
+            apys.push(
+                await getVaultApy(ethers, vaultAddr, {
+                    fromBlock: taskArgs.fromBlock,
+                    chunkSize: taskArgs.chunkSize,
+                    points: taskArgs.points,
+                })
+            );
+        }
+
+        writeReport(apys, {
+            format: taskArgs.format,
+            output: taskArgs.output,
+            csvRows: taskArgs.format === "csv" ? apys.flatMap((apy) => apy.series) : apys.flatMap(flattenVaultApy),
+        });
+        if (taskArgs.format === "table") {
+            for (const { vault, profitUnlocking } of apys) {
+                if (!profitUnlocking) continue;
+                console.log(`${vault} locked profit = `, profitUnlocking.lockedProfit, "unlocking APR", profitUnlocking.unlockingApr);
+            }
+        }
+
+        return apys;
+    });
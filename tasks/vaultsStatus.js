@@ -0,0 +1,31 @@
+require("@nomicfoundation/hardhat-toolbox");
+
+const { writeReport } = require("../utils/cli");
+const { getAddressBook } = require("../utils/addressBook");
+const { getFactoryVaults } = require("../utils/fleet");
+const { getVaultStatus, flattenVaultStatus } = require("../utils/vaultStatus");
+
+task("vaults:status", "Prints the state of every vault deployed by the factory and of their default queue strategies")
+    .addOptionalParam("factory", "The Factory address (defaults to the network address book)", "")
+    .addOptionalParam("vaults", "Comma-separated list of vaults to report (defaults to all factory vaults)", "")
+    .addOptionalParam("format", "Output format: table, json or csv", "table")
+    .addOptionalParam("output", "File to write the json/csv report to (defaults to stdout)", "")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+
+        const factoryAddr = await getAddressBook(hre).resolve(taskArgs.factory, "factory");
+        const vaults = await getFactoryVaults(ethers, factoryAddr, taskArgs.vaults);
+
+        const statuses = [];
+        for (const vaultAddr of vaults) {
+            statuses.push(await getVaultStatus(ethers, vaultAddr));
+        }
+
+        writeReport(statuses, {
+            format: taskArgs.format,
+            output: taskArgs.output,
+            csvRows: statuses.flatMap(flattenVaultStatus),
+        });
+
+        return statuses;
+    });
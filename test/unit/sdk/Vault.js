@@ -0,0 +1,106 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVaultThroughFactory } = require("../../utils/helper");
+const { Vault } = require("../../../sdk");
+
+describe("SDK Vault", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const amount = ethers.parseEther("1000");
+
+    async function deployVault() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        await vault.setDepositLimit(amount * 2n);
+        await asset.mint(otherAccount.address, amount);
+
+        return { vault, asset, owner, otherAccount, sdkVault: new Vault(vault.target, otherAccount) };
+    }
+
+    it("should approve the vault and deposit, returning the decoded Deposit event", async function () {
+        const { vault, asset, owner, otherAccount, sdkVault } = await loadFixture(deployVault);
+
+        const { approval, event, events } = await sdkVault.deposit(amount);
+
+        expect(approval).to.be.a("string");
+        expect(await asset.allowance(otherAccount.address, vault.target)).to.equal(0);
+        expect(event).to.deep.equal({ sender: otherAccount.address, owner: otherAccount.address, assets: amount, shares: amount });
+        expect(events.map((e) => e.name)).to.include("Deposit");
+        expect(await vault.balanceOf(otherAccount.address)).to.equal(amount);
+
+        // The allowance is enough, nothing to approve.
+        await asset.connect(otherAccount).approve(vault.target, ethers.MaxUint256);
+        await asset.mint(otherAccount.address, amount);
+        expect((await sdkVault.deposit(amount, { receiver: owner.address })).approval).to.equal(null);
+    });
+
+    it("should mint, withdraw and redeem with maxLoss in basis points", async function () {
+        const { vault, owner, otherAccount, sdkVault } = await loadFixture(deployVault);
+        const shares = ethers.parseEther("600");
+
+        expect(await sdkVault.previewMint(shares)).to.equal(shares);
+        const minted = await sdkVault.mint(shares, { approve: "max" });
+        expect(minted.event.shares).to.equal(shares);
+
+        const withdrawn = await sdkVault.withdraw(ethers.parseEther("100"), { receiver: owner.address, maxLoss: 100 });
+        expect(withdrawn.event).to.deep.equal({
+            sender: otherAccount.address,
+            receiver: owner.address,
+            owner: otherAccount.address,
+            assets: ethers.parseEther("100"),
+            shares: ethers.parseEther("100"),
+        });
+
+        const redeemed = await sdkVault.redeem(await sdkVault.maxRedeem(otherAccount.address));
+        expect(redeemed.event.shares).to.equal(ethers.parseEther("500"));
+        expect(await vault.balanceOf(otherAccount.address)).to.equal(0);
+
+        await expect(sdkVault.withdraw(1, { maxLoss: 10001 })).to.be.rejectedWith("Invalid maxLoss 10001");
+        await expect(sdkVault.maxWithdraw(otherAccount.address, { maxLoss: -1 })).to.be.rejectedWith("Invalid maxLoss -1");
+    });
+
+    it("should preview and read the limits of the vault", async function () {
+        const { otherAccount, sdkVault } = await loadFixture(deployVault);
+        await sdkVault.deposit(amount, { approve: "max" });
+
+        expect(await sdkVault.previewDeposit(100)).to.equal(100);
+        expect(await sdkVault.previewWithdraw("100")).to.equal(100);
+        expect(await sdkVault.previewRedeem(100n)).to.equal(100);
+        expect(await sdkVault.maxDeposit(otherAccount.address)).to.equal(amount);
+        expect(await sdkVault.maxWithdraw(otherAccount.address, { maxLoss: 0, strategies: [] })).to.equal(amount);
+
+        const readOnly = new Vault(sdkVault.address, ethers.provider);
+        expect(await readOnly.balanceOf(otherAccount.address)).to.equal(amount);
+        await expect(readOnly.deposit(1)).to.be.rejectedWith("A signer is needed to send transactions");
+    });
+
+    it("should sign a permit the vault accepts", async function () {
+        const { vault, owner, otherAccount, sdkVault } = await loadFixture(deployVault);
+        await sdkVault.deposit(amount);
+
+        const signed = await sdkVault.signPermit(owner.address, amount);
+        const { event } = await sdkVault.connect(owner).permit(signed);
+
+        expect(event).to.include({ owner: otherAccount.address, spender: owner.address, value: amount });
+        expect(await vault.allowance(otherAccount.address, owner.address)).to.equal(amount);
+        expect(await vault.nonces(otherAccount.address)).to.equal(1);
+    });
+
+    it("should ship the ABIs of the compiled contracts", async function () {
+        const out = fs.mkdtempSync(path.join(os.tmpdir(), "sdk-abi-"));
+        try {
+            await hre.run("sdk:export-abis", { out });
+            for (const file of ["Vault.json", "ERC20.json"]) {
+                expect(JSON.parse(fs.readFileSync(path.join(out, file))), `sdk/abi/${file} is outdated, run sdk:export-abis`)
+                    .to.deep.equal(require(`../../../sdk/abi/${file}`));
+            }
+        } finally {
+            fs.rmSync(out, { recursive: true, force: true });
+        }
+    });
+});
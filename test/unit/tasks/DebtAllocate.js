@@ -0,0 +1,127 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+
+describe("debt:allocate task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const amount = ethers.parseEther("1000");
+    const DAYS_IN_SECONDS = 86400;
+
+    async function deployVaultWithStrategies() {
+        const [owner] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategyA = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+        const strategyB = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+
+        await vault.setDepositLimit(amount);
+        await userDeposit(owner, vault, asset, amount);
+        await vault.setMinimumTotalIdle(ethers.parseEther("100"));
+        for (const strategy of [strategyA, strategyB]) {
+            await vault.addStrategy(strategy.target);
+            await vault.updateMaxDebtForStrategy(strategy.target, amount);
+        }
+
+        return { vault, factory, asset, strategyA, strategyB, owner };
+    }
+
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), "debt-allocation-"));
+    let configCount = 0;
+
+    after(function () {
+        fs.rmSync(configDir, { recursive: true });
+    });
+
+    function writeConfig(vault, targets) {
+        const file = path.join(configDir, `allocation-${configCount++}.json`);
+        fs.writeFileSync(file, JSON.stringify({ vault: vault.target, targets }));
+        return file;
+    }
+
+    const allocate = (vault, targets, planOnly = false) => hre.run("debt:allocate", { allocation: writeConfig(vault, targets), planOnly });
+
+    it("should only print the plan in plan-only mode", async function () {
+        const { vault, strategyA, strategyB } = await loadFixture(deployVaultWithStrategies);
+
+        const { plan, results } = await allocate(vault, [{ strategy: strategyA.target, ratio: 6000 }, { strategy: strategyB.target, ratio: 3000 }], true);
+
+        expect(plan.map((step) => [step.action, step.newDebt])).to.deep.equal([
+            ["increase", ethers.parseEther("540")],
+            ["increase", ethers.parseEther("270")],
+        ]);
+        expect(results).to.deep.equal([]);
+        expect(await vault.totalDebt()).to.equal(0);
+    });
+
+    it("should decrease before increasing when rebalancing", async function () {
+        const { vault, strategyA, strategyB } = await loadFixture(deployVaultWithStrategies);
+        await allocate(vault, [{ strategy: strategyA.target, ratio: 6000 }, { strategy: strategyB.target, ratio: 3000 }]);
+        expect((await vault.strategies(strategyA.target)).currentDebt).to.equal(ethers.parseEther("540"));
+
+        const { plan, results } = await allocate(vault, [{ strategy: strategyB.target, ratio: 7000 }, { strategy: strategyA.target, ratio: 2000 }]);
+
+        expect(plan.map((step) => [step.strategy, step.action])).to.deep.equal([[strategyA.target, "decrease"], [strategyB.target, "increase"]]);
+        expect(results.map((result) => [result.status, result.newDebt])).to.deep.equal([
+            ["done", ethers.parseEther("180")],
+            ["done", ethers.parseEther("630")],
+        ]);
+        expect(await vault.totalIdle()).to.equal(ethers.parseEther("190"));
+    });
+
+    it("should skip unchanged debt and cap targets by max debt", async function () {
+        const { vault, strategyA, strategyB } = await loadFixture(deployVaultWithStrategies);
+        await allocate(vault, [{ strategy: strategyA.target, ratio: 5000 }]);
+        await vault.updateMaxDebtForStrategy(strategyB.target, ethers.parseEther("100"));
+
+        const { plan, results } = await allocate(vault, [{ strategy: strategyA.target, ratio: 5000 }, { strategy: strategyB.target, ratio: 5000 }]);
+
+        expect(plan.map((step) => [step.strategy, step.action, step.newDebt, step.reason])).to.deep.equal([
+            [strategyB.target, "increase", ethers.parseEther("100"), ""],
+            [strategyA.target, "skip", ethers.parseEther("450"), "debt unchanged"],
+        ]);
+        expect(results.length).to.equal(1);
+    });
+
+    it("should skip decreases of strategies with nothing withdrawable", async function () {
+        const { vault, asset, owner } = await loadFixture(deployVaultWithStrategies);
+        const LockedStrategy = await ethers.getContractFactory("LockedStrategy");
+        const lockedStrategy = await LockedStrategy.deploy(vault.target, asset.target, { gasLimit: "0x1000000" });
+        await vault.addStrategy(lockedStrategy.target);
+        await vault.updateMaxDebtForStrategy(lockedStrategy.target, amount);
+        await vault.updateDebt(lockedStrategy.target, ethers.parseEther("500"));
+        await lockedStrategy.connect(owner).setLockedFunds(ethers.parseEther("500"), DAYS_IN_SECONDS, { gasLimit: "0x1000000" });
+
+        const { plan, results } = await allocate(vault, [{ strategy: lockedStrategy.target, ratio: 1000 }]);
+
+        expect(plan.map((step) => [step.action, step.reason])).to.deep.equal([["skip", "nothing withdrawable"]]);
+        expect(results).to.deep.equal([]);
+    });
+
+    it("should skip decreases of strategies with unrealised losses", async function () {
+        const { vault, factory, asset, owner } = await loadFixture(deployVaultWithStrategies);
+        const LossyStrategy = await ethers.getContractFactory("LossyStrategy");
+        const lossyStrategy = await LossyStrategy.deploy(asset.target, "Lossy Strategy", owner.address, owner.address, vault.target, profitMaxUnlockTime, factory.target);
+        await vault.addStrategy(lossyStrategy.target);
+        await vault.updateMaxDebtForStrategy(lossyStrategy.target, amount);
+        await vault.updateDebt(lossyStrategy.target, ethers.parseEther("500"));
+        await lossyStrategy.setLoss(owner.address, ethers.parseEther("50"), { gasLimit: "0x1000000" });
+
+        const { plan } = await allocate(vault, [{ strategy: lossyStrategy.target, ratio: 1000 }], true);
+
+        expect(plan.map((step) => [step.action, step.reason])).to.deep.equal([["skip", "unrealised losses, report first"]]);
+    });
+
+    it("should revert on an invalid allocation", async function () {
+        const { vault, strategyA } = await loadFixture(deployVaultWithStrategies);
+
+        await expect(allocate(vault, [{ strategy: strategyA.target, ratio: 8000 }, { strategy: strategyA.target, ratio: 3000 }]))
+            .to.be.rejectedWith(/listed twice[\s\S]*ratios add up to 11000/);
+    });
+});
@@ -0,0 +1,116 @@
+const {
+    loadFixture,
+    setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+
+describe("vault:emergency-shutdown task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const amount = ethers.parseEther("1000");
+    const debt = ethers.parseEther("500");
+
+    async function deployVaultWithDebt() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+
+        await vault.setDepositLimit(amount);
+        await userDeposit(owner, vault, asset, amount);
+        await vault.addStrategy(strategy.target);
+        await vault.updateMaxDebtForStrategy(strategy.target, amount);
+        await vault.updateDebt(strategy.target, debt);
+
+        return { vault, factory, asset, strategy, owner, otherAccount };
+    }
+
+    it("should shut down the strategies and the vault and report the recoverable funds", async function () {
+        const { vault, strategy } = await loadFixture(deployVaultWithDebt);
+
+        const { steps, recovery } = await hre.run("vault:emergency-shutdown", { vault: vault.target });
+
+        expect(steps.map((step) => [step.step, step.status])).to.deep.equal([
+            ["shutdownStrategy", "sent"],
+            ["updateDebt(0)", "sent"],
+            ["shutdownVault", "sent"],
+        ]);
+        expect(await strategy.isShutdown()).to.equal(true);
+        expect(await vault.shutdown()).to.equal(true);
+        expect(recovery.recoverableNow).to.equal(amount);
+        expect(recovery.locked).to.equal(0);
+        expect(recovery.strategies.map((row) => [row.strategy, row.currentDebt])).to.deep.equal([[strategy.target, 0n]]);
+    });
+
+    it("should record failing steps and still shut down the vault", async function () {
+        const { vault, factory, asset, owner } = await loadFixture(deployVaultWithDebt);
+        const LossyStrategy = await ethers.getContractFactory("LossyStrategy");
+        const lossyStrategy = await LossyStrategy.deploy(asset.target, "Lossy Strategy", owner.address, owner.address, vault.target, profitMaxUnlockTime, factory.target);
+        await vault.addStrategy(lossyStrategy.target);
+        await vault.updateMaxDebtForStrategy(lossyStrategy.target, amount);
+        await vault.updateDebt(lossyStrategy.target, ethers.parseEther("200"));
+        await lossyStrategy.setLoss(owner.address, ethers.parseEther("50"), { gasLimit: "0x1000000" });
+        // The lossy strategy is its own management.
+        const strategyAsManagement = await ethers.getImpersonatedSigner(lossyStrategy.target);
+        await setBalance(lossyStrategy.target, ethers.parseEther("1"));
+        await lossyStrategy.connect(strategyAsManagement).setEmergencyAdmin(owner.address);
+
+        // The mock strategy has no shutdownWithdraw hook and the loss blocks taking its debt back.
+        const { steps, recovery } = await hre.run("vault:emergency-shutdown", { vault: vault.target, emergencyWithdraw: true });
+
+        expect(steps.filter((step) => step.target === lossyStrategy.target).map((step) => [step.step, step.status])).to.deep.equal([
+            ["shutdownStrategy", "sent"],
+            [`emergencyWithdraw(${ethers.parseEther("150")})`, "failed"],
+            ["updateDebt(0)", "failed"],
+        ]);
+        expect(steps[steps.length - 1]).to.include({ step: "shutdownVault", status: "sent" });
+        expect(await vault.shutdown()).to.equal(true);
+        expect(recovery.locked).to.equal(ethers.parseEther("50"));
+    });
+
+    it("should check the permissions before sending anything", async function () {
+        const { vault, strategy, owner } = await loadFixture(deployVaultWithDebt);
+        await vault.revokeRole(await vault.STRATEGY_MANAGER(), owner.address);
+
+        await expect(hre.run("vault:emergency-shutdown", { vault: vault.target }))
+            .to.be.rejectedWith(`${owner.address} is missing permissions: STRATEGY_MANAGER on ${vault.target}`);
+        expect(await strategy.isShutdown()).to.equal(false);
+
+        const twoVaults = `${vault.target},${strategy.target}`;
+        await expect(hre.run("vault:emergency-shutdown", { vault: twoVaults }))
+            .to.be.rejectedWith(`--vault takes a single address, got "${twoVaults}"`);
+        await expect(hre.run("vault:emergency-shutdown", { vault: "" }))
+            .to.be.rejectedWith('--vault takes a single address, got ""');
+    });
+
+    it("should revert everything after a simulation", async function () {
+        const { vault, strategy, otherAccount } = await loadFixture(deployVaultWithDebt);
+
+        const simulated = await hre.run("vault:emergency-shutdown", { vault: vault.target, simulate: true });
+        expect(simulated.recovery.shutdown).to.equal(true);
+        expect(simulated.recovery.recoverableNow).to.equal(amount);
+        expect(await vault.shutdown()).to.equal(false);
+        expect((await vault.strategies(strategy.target)).currentDebt).to.equal(debt);
+
+        await expect(hre.run("vault:emergency-shutdown", { vault: vault.target, simulate: true, impersonate: otherAccount.address }))
+            .to.be.rejectedWith(/is missing permissions: DEFAULT_ADMIN_ROLE/);
+        expect(await vault.shutdown()).to.equal(false);
+    });
+
+    it("should simulate as the vault admin holding the permissions when none is impersonated", async function () {
+        const { vault, strategy, owner } = await loadFixture(deployVaultWithDebt);
+        // An admin whose key isn't available, as on the real network.
+        const admin = ethers.getAddress("0x00000000000000000000000000000000000a11ce");
+        await vault.grantRole(await vault.DEFAULT_ADMIN_ROLE(), admin);
+        await vault.grantRole(await vault.STRATEGY_MANAGER(), admin);
+        await strategy.setEmergencyAdmin(admin);
+        await vault.revokeRole(await vault.STRATEGY_MANAGER(), owner.address);
+
+        const simulated = await hre.run("vault:emergency-shutdown", { vault: vault.target, simulate: true });
+        expect(simulated.operator).to.equal(admin);
+        expect(simulated.recovery.shutdown).to.equal(true);
+        expect(await vault.shutdown()).to.equal(false);
+    });
+});
@@ -0,0 +1,98 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+const { checkDistributeRole } = require("../../../utils/fees");
+
+describe("fees:report task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const amount = ethers.parseEther("1000");
+
+    // Two reports of 10 and 20 of profit: 1% performance fee, 20% of which is the protocol's.
+    async function deployVaultWithFees() {
+        const [owner, feeRecipient] = await ethers.getSigners();
+        const { vault, factory, accountant, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, 0, factory.target);
+        await accountant.setFeeRecipient(feeRecipient.address);
+
+        await vault.setDepositLimit(amount);
+        await userDeposit(owner, vault, asset, amount);
+        await vault.addStrategy(strategy.target);
+        await vault.updateMaxDebtForStrategy(strategy.target, amount);
+        await vault.updateDebt(strategy.target, amount);
+        for (const profit of ["10", "20"]) {
+            await asset.mint(strategy.target, ethers.parseEther(profit));
+            await strategy.report();
+            await vault.processReport(strategy.target);
+            await time.increase(3600);
+        }
+
+        return { vault, factory, accountant, asset, strategy, owner, feeRecipient };
+    }
+
+    it("should sum the fees per strategy and show the accountant balances and fee recipient holdings", async function () {
+        const { vault, factory, accountant, asset, strategy, owner, feeRecipient } = await loadFixture(deployVaultWithFees);
+
+        const report = await hre.run("fees:report", { factory: factory.target, period: "all" });
+
+        expect(report.protocolFee).to.deep.equal({ bps: 2000n, recipient: owner.address });
+        expect(report.fees).to.deep.equal([{
+            vault: vault.target,
+            strategy: strategy.target,
+            period: "all",
+            reports: 2,
+            gain: ethers.parseEther("30"),
+            loss: 0n,
+            totalFees: ethers.parseEther("0.3"),
+            protocolFees: ethers.parseEther("0.06"),
+            accountantFees: ethers.parseEther("0.24"),
+            totalRefunds: 0n,
+        }]);
+
+        const [{ balances, feeRecipient: recipient, performanceFee }] = report.accountants;
+        expect([recipient, performanceFee]).to.deep.equal([feeRecipient.address, 100n]);
+        expect(balances.map((balance) => balance.token)).to.deep.equal([vault.target, asset.target]);
+        expect(balances[0].balance).to.equal(await vault.balanceOf(accountant.target));
+        expect(await vault.convertToAssets(balances[0].balance)).to.be.closeTo(ethers.parseEther("0.24"), ethers.parseEther("0.001"));
+
+        const holding = (holder) => report.holdings.find((row) => row.holder === holder);
+        expect(holding("feeRecipient").shares).to.equal(0);
+        expect(holding("protocolFeeRecipient").shares).to.equal(await vault.balanceOf(owner.address));
+    });
+
+    it("should distribute the tokens above the threshold", async function () {
+        const { vault, factory, accountant, asset, feeRecipient } = await loadFixture(deployVaultWithFees);
+        const shares = await vault.balanceOf(accountant.target);
+
+        const skipped = await hre.run("fees:report", { factory: factory.target, distribute: vault.target, minBalance: "1" });
+        expect(skipped.distributions.map((row) => [row.status, row.reason])).to.deep.equal([["skipped", "balance below 1"]]);
+        expect(await vault.balanceOf(accountant.target)).to.equal(shares);
+
+        const { distributions } = await hre.run("fees:report", { factory: factory.target, distribute: `${vault.target},${asset.target}`, minBalance: "0.1" });
+        expect(distributions.map((row) => [row.token, row.status])).to.deep.equal([
+            [vault.target, "sent"],
+            [asset.target, "skipped"],
+        ]);
+        expect(distributions[1].reason).to.equal("nothing to distribute");
+        expect(await vault.balanceOf(feeRecipient.address)).to.equal(shares);
+        expect(await vault.balanceOf(accountant.target)).to.equal(0);
+
+        await expect(hre.run("fees:report", { factory: factory.target, period: "year" }))
+            .to.be.rejectedWith("Invalid period year: expected one of all, day, week, month");
+    });
+
+    it("should check the role on every accountant before distributing", async function () {
+        const { accountant, owner, feeRecipient } = await loadFixture(deployVaultWithFees);
+        const GenericAccountant = await ethers.getContractFactory("GenericAccountant");
+        const otherAccountant = await GenericAccountant.deploy(100, feeRecipient.address, feeRecipient.address);
+
+        await checkDistributeRole(ethers, [accountant.target], owner.address);
+        await expect(checkDistributeRole(ethers, [accountant.target, otherAccountant.target], owner.address))
+            .to.be.rejectedWith(`${owner.address} is missing DEFAULT_ADMIN_ROLE on accountant ${otherAccountant.target}`);
+    });
+});
@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { OPERATIONS } = require("../../../utils/gasProfile");
+
+describe("gas:profile task", function () {
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gas-profile-"));
+    const baseline = path.join(tmpDir, "baseline.json");
+    const markdown = path.join(tmpDir, "gas.md");
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("should measure every operation for each strategy count and write the baseline", async function () {
+        const report = await hre.run("gas:profile", { strategies: 2, baseline, updateBaseline: true, markdown });
+
+        const [setting] = report.settings;
+        expect(setting.optimizerRuns).to.equal(hre.config.solidity.compilers[0].settings.optimizer.runs);
+        expect(setting.results.map((row) => `${row.operation} / ${row.strategies}`)).to.deep.equal(
+            [1, 2].flatMap((strategies) => OPERATIONS.map((operation) => `${operation} / ${strategies}`))
+        );
+        expect(setting.results.every((row) => row.gasUsed > 0n)).to.equal(true);
+        const gas = (operation, strategies) => setting.results.find((row) => row.operation === operation && row.strategies === strategies).gasUsed;
+        // Each strategy of the queue the funds come from adds to the exit.
+        expect(gas("withdraw", 2)).to.be.greaterThan(gas("withdraw", 1));
+        expect(gas("redeem", 2)).to.be.greaterThan(gas("redeem", 1));
+        expect(gas("processReport (accountant fees)", 1)).to.be.greaterThan(gas("processReport (no accountant)", 1));
+        // The mint, like the deposit, is the first one of its account.
+        expect(gas("mint", 1)).to.be.greaterThan((gas("deposit", 1) * 9n) / 10n);
+
+        expect(JSON.parse(fs.readFileSync(baseline)).gas["deposit / 2"]).to.equal(Number(gas("deposit", 2)));
+        expect(fs.readFileSync(markdown, "utf8").trim().split("\n").length).to.equal(2 + 2 * OPERATIONS.length);
+    });
+
+    it("should fail on a regression over the threshold", async function () {
+        const report = await hre.run("gas:profile", { strategies: 1, baseline, markdown });
+        expect(report.comparison.every((row) => row.change === 0 && !row.regression)).to.equal(true);
+
+        const saved = JSON.parse(fs.readFileSync(baseline));
+        saved.gas["withdraw / 1"] = Math.floor(saved.gas["withdraw / 1"] * 0.9);
+        saved.gas["deposit / 1"] = Math.floor(saved.gas["deposit / 1"] * 0.99);
+        fs.writeFileSync(baseline, JSON.stringify(saved));
+
+        await expect(hre.run("gas:profile", { strategies: 1, baseline, markdown }))
+            .to.be.rejectedWith(/^Gas regressions over 2%: withdraw with 1 strategies \(11\.\d\d%\)$/);
+        expect(fs.readFileSync(markdown, "utf8")).to.include("| deposit | 1 |");
+    });
+});
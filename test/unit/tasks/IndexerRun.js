@@ -0,0 +1,111 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+const { openIndexerDb, queryEvents } = require("../../../utils/indexer");
+
+describe("indexer:run task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const amount = ethers.parseEther("1000");
+
+    async function deployVaultWithActivity() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+
+        await vault.setDepositLimit(amount * 2n);
+        await userDeposit(owner, vault, asset, amount);
+        await vault.addStrategy(strategy.target);
+        await vault.updateMaxDebtForStrategy(strategy.target, amount);
+        await vault.updateDebt(strategy.target, ethers.parseEther("400"));
+        await asset.mint(strategy.target, ethers.parseEther("10"));
+        await strategy.report();
+        await vault.processReport(strategy.target);
+
+        return { vault, factory, asset, strategy, owner, otherAccount };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    let run = 0;
+    const nextDb = () => path.join(tmpDir, `indexer-${run++}.sqlite`);
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("should index vault and strategy events and resume from the checkpoints", async function () {
+        const { vault, factory, asset, strategy, owner, otherAccount } = await loadFixture(deployVaultWithActivity);
+        const dbFile = nextDb();
+
+        const first = await hre.run("indexer:run", { factory: factory.target, db: dbFile, confirmations: 0 });
+        expect(first.summary.map((row) => [row.contractType, row.contracts])).to.deep.equal([
+            ["vault", [vault.target]],
+            ["strategy", [strategy.target]],
+        ]);
+
+        await userDeposit(otherAccount, vault, asset, ethers.parseEther("50"));
+        await vault.connect(otherAccount).withdraw(ethers.parseEther("20"), otherAccount.address, otherAccount.address, 0, []);
+        const second = await hre.run("indexer:run", { factory: factory.target, db: dbFile, confirmations: 0 });
+        expect(second.summary.map((row) => [row.contractType, row.fromBlock, row.events])).to.deep.equal([
+            ["vault", first.toBlock + 1, 4], // Deposit, Transfer (mint), Withdraw, Transfer (burn)
+            ["strategy", first.toBlock + 1, 0],
+        ]);
+
+        const db = openIndexerDb(dbFile, (await ethers.provider.getNetwork()).chainId);
+        try {
+            const vaultEvents = queryEvents(db, { contract: vault.target }).map((e) => e.name);
+            expect(vaultEvents).to.include.members(["UpdatedDepositLimit", "StrategyChanged", "UpdatedMaxDebtForStrategy", "DebtUpdated", "StrategyReported"]);
+
+            const deposits = queryEvents(db, { contract: vault.target, name: "Deposit" });
+            expect(deposits.map((e) => [e.args.owner, e.args.assets])).to.deep.equal([
+                [owner.address, amount.toString()],
+                [otherAccount.address, ethers.parseEther("50").toString()],
+            ]);
+            expect(deposits[0].timestamp).to.be.a("number");
+
+            const [reported] = queryEvents(db, { contract: strategy.target, name: "Reported" });
+            expect(reported.args.profit).to.equal(ethers.parseEther("10").toString());
+        } finally {
+            db.close();
+        }
+    });
+
+    it("should drop the events of reorganized blocks", async function () {
+        const { vault, factory, asset, otherAccount } = await loadFixture(deployVaultWithActivity);
+        const dbFile = nextDb();
+        await hre.run("indexer:run", { factory: factory.target, db: dbFile, confirmations: 0 });
+
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await userDeposit(otherAccount, vault, asset, ethers.parseEther("50"));
+        await hre.run("indexer:run", { factory: factory.target, db: dbFile, confirmations: 0 });
+
+        // The deposit is replaced by another one on a new branch of the chain.
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await ethers.provider.send("hardhat_mine", ["0x2"]);
+        await userDeposit(otherAccount, vault, asset, ethers.parseEther("70"));
+        const { reorged } = await hre.run("indexer:run", { factory: factory.target, db: dbFile, confirmations: 0 });
+
+        expect(reorged).to.be.greaterThan(0);
+        const db = openIndexerDb(dbFile, (await ethers.provider.getNetwork()).chainId);
+        try {
+            const deposits = queryEvents(db, { contract: vault.target, name: "Deposit" }).map((e) => e.args.assets);
+            expect(deposits).to.deep.equal([amount.toString(), ethers.parseEther("70").toString()]);
+        } finally {
+            db.close();
+        }
+    });
+
+    it("should refuse a database of another chain", async function () {
+        const dbFile = nextDb();
+        openIndexerDb(dbFile, 1n).close();
+
+        expect(() => openIndexerDb(dbFile, 31337n)).to.throw(`Database ${dbFile} indexes chain 1, not 31337`);
+    });
+});
@@ -0,0 +1,118 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+describe("investor:schedule task", function () {
+
+    const week = 604800;
+    const minGap = 3600;
+
+    async function deployInvestor() {
+        const [owner] = await ethers.getSigners();
+        const Asset = await ethers.getContractFactory("Token");
+        const asset = await Asset.deploy("FXD", 18, { gasLimit: "0x1000000" });
+        await asset.mint(owner.address, ethers.parseEther("1000"));
+
+        const Factory = await ethers.getContractFactory("Factory");
+        const FactoryPackage = await ethers.getContractFactory("FactoryPackage");
+        const factoryPackage = await FactoryPackage.deploy({ gasLimit: "0x1000000" });
+        const factory = await Factory.deploy(factoryPackage.target, owner.address, "0x", { gasLimit: "0x1000000" });
+        const TokenizedStrategy = await ethers.getContractFactory("TokenizedStrategy");
+        const tokenizedStrategy = await TokenizedStrategy.deploy(factory.target);
+
+        const Investor = await ethers.getContractFactory("Investor");
+        const investor = await Investor.deploy({ gasLimit: "0x1000000" });
+        const InvestorStrategy = await ethers.getContractFactory("InvestorStrategy");
+        const strategy = await InvestorStrategy.deploy(investor.target, asset.target, "Investor Strategy", tokenizedStrategy.target);
+        await investor.setStrategy(strategy.target);
+
+        return { investor, strategy, asset, owner };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "investor-schedule-"));
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    const writeSchedule = (name, investor, periods) => {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, JSON.stringify({ investor: investor.target, periods }));
+        return file;
+    };
+
+    it("should set up each period once the previous one is over and reported", async function () {
+        const { investor, strategy, asset } = await loadFixture(deployInvestor);
+        const now = await time.latest();
+        const first = { amount: "70", start: now + 100, end: now + 100 + week };
+        const second = { amount: "140", start: first.end + minGap, end: first.end + minGap + week };
+        const schedule = writeSchedule("schedule.json", investor, [first, second]);
+
+        const status = await hre.run("investor:schedule", { schedule, statusOnly: true });
+        expect(status.setup).to.equal(null);
+        expect(status.periods.map((row) => row.status)).to.deep.equal(["next", "scheduled"]);
+        expect(status.periods[1].rate).to.equal(ethers.parseEther("140") / BigInt(week));
+        expect(status.runway.ends).to.equal(new Date(second.end * 1000).toISOString());
+        expect(status.gaps).to.deep.equal([]);
+
+        const setupFirst = await hre.run("investor:schedule", { schedule });
+        expect(setupFirst.setup.period).to.equal(0);
+        expect(setupFirst.setup.funding).to.equal(setupFirst.setup.amount);
+        expect(await investor.distributionEnd()).to.equal(first.end);
+        expect(await asset.balanceOf(investor.target)).to.equal(setupFirst.setup.amount);
+
+        const waiting = await hre.run("investor:schedule", { schedule });
+        expect(waiting.setup).to.equal(null);
+        expect(waiting.periods.map((row) => row.status)).to.deep.equal(["current", "next"]);
+
+        // Over but not reported: setupDistribution() would revert until the strategy reports.
+        await time.increaseTo(first.end + 1);
+        expect((await hre.run("investor:schedule", { schedule })).setup).to.equal(null);
+
+        const setupSecond = await hre.run("investor:schedule", { schedule, reportStrategy: true });
+        expect(setupSecond.setup.period).to.equal(1);
+        expect(await asset.balanceOf(strategy.target)).to.equal(setupFirst.setup.amount);
+        expect(await investor.distributionStart()).to.equal(second.start);
+        expect(await investor.rewardsLeft()).to.equal(setupSecond.setup.amount);
+    });
+
+    it("should reject schedules that can't be set up", async function () {
+        const { investor } = await loadFixture(deployInvestor);
+        const now = await time.latest();
+        const first = { amount: "70", start: now + 100, end: now + 100 + week };
+
+        const overlapping = writeSchedule("overlapping.json", investor, [first, { amount: "70", start: first.end - 1, end: first.end + week }]);
+        await expect(hre.run("investor:schedule", { schedule: overlapping })).to.be.rejectedWith("periods[1] overlaps periods[0]");
+
+        const tight = writeSchedule("tight.json", investor, [first, { amount: "70", start: first.end + 60, end: first.end + week }]);
+        await expect(hre.run("investor:schedule", { schedule: tight })).to.be.rejectedWith("periods[1] starts less than 3600s after periods[0] ends");
+
+        const tooLong = writeSchedule("too-long.json", investor, [{ amount: "70", start: now + 100, end: now + 100 + 366 * 86400 }]);
+        await expect(hre.run("investor:schedule", { schedule: tooLong })).to.be.rejectedWith(/periods\[0\] is longer than the 31536000s maximum distribution period/);
+
+        const missed = writeSchedule("missed.json", investor, [{ amount: "70", start: now - 100, end: now + week }]);
+        await expect(hre.run("investor:schedule", { schedule: missed, statusOnly: true })).to.be.rejectedWith(/periods\[0\] starts in the past/);
+
+        const numeric = path.join(tmpDir, "numeric.json");
+        fs.writeFileSync(numeric, JSON.stringify({ investor: 0, periods: [first] }));
+        await expect(hre.run("investor:schedule", { schedule: numeric, statusOnly: true })).to.be.rejectedWith(/investor must be an address or a name, quoted/);
+    });
+
+    it("should read an unquoted YAML investor address", async function () {
+        const { investor } = await loadFixture(deployInvestor);
+        const now = await time.latest();
+        const schedule = path.join(tmpDir, "schedule.yaml");
+        fs.writeFileSync(schedule, `investor: ${investor.target}\nperiods:\n  - amount: "70"\n    start: ${now + 100}\n    end: ${now + 100 + week}\n`);
+
+        const status = await hre.run("investor:schedule", { schedule, statusOnly: true });
+        expect(status.investor).to.equal(investor.target);
+        expect(status.periods.map((row) => row.status)).to.deep.equal(["next"]);
+    });
+});
@@ -0,0 +1,109 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+const { getKeeperSigner, createKeeper } = require("../../../utils/keeper");
+
+describe("keeper:run task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const interval = 86400;
+    const amount = ethers.parseEther("1000");
+    const debt = ethers.parseEther("500");
+
+    async function deployVaultWithDebt() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+
+        await vault.setDepositLimit(amount);
+        await userDeposit(owner, vault, asset, amount);
+        await vault.addStrategy(strategy.target);
+        await vault.updateMaxDebtForStrategy(strategy.target, amount);
+        await vault.updateDebt(strategy.target, debt);
+
+        return { vault, factory, asset, strategy, owner, otherAccount };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("should not report a strategy before the interval has passed", async function () {
+        const { factory } = await loadFixture(deployVaultWithDebt);
+
+        const results = await hre.run("keeper:run", { factory: factory.target, interval, once: true });
+
+        expect(results).to.deep.equal([]);
+    });
+
+    it("should report and process the report once the interval has passed", async function () {
+        const { vault, factory, strategy } = await loadFixture(deployVaultWithDebt);
+        await time.increase(interval);
+        const logFile = path.join(tmpDir, "interval.jsonl");
+
+        const results = await hre.run("keeper:run", { factory: factory.target, interval, logFile, once: true });
+
+        expect(results.length).to.equal(1);
+        expect(results[0]).to.include({ vault: vault.target, strategy: strategy.target, reason: "interval", currentDebt: debt });
+        expect((await vault.strategies(strategy.target)).lastReport).to.equal(await time.latest());
+
+        const lines = fs.readFileSync(logFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+        expect(lines.map((line) => [line.event, line.strategy, line.currentDebt])).to.deep.equal([["StrategyReported", strategy.target, debt.toString()]]);
+    });
+
+    it("should report early when the unrealised profit reaches the threshold", async function () {
+        const { vault, factory, asset, strategy } = await loadFixture(deployVaultWithDebt);
+        await asset.mint(strategy.target, ethers.parseEther("10"));
+
+        const belowThreshold = await hre.run("keeper:run", { factory: factory.target, interval, minProfit: "20", once: true });
+        expect(belowThreshold).to.deep.equal([]);
+
+        const [result] = await hre.run("keeper:run", { factory: factory.target, interval, minProfit: "10", once: true });
+
+        const strategyAssets = await strategy.convertToAssets(await strategy.balanceOf(vault.target));
+        expect(result.reason).to.equal("profit");
+        expect(result.gain).to.equal(strategyAssets - debt);
+        expect(await strategy.lastReport()).to.equal(await time.latest() - 1);
+    });
+
+    it("should log failing strategies and rounds, and skip rounds above the gas price cap", async function () {
+        const { vault, strategy, otherAccount } = await loadFixture(deployVaultWithDebt);
+        await time.increase(interval);
+        const entries = [];
+        const log = (line) => entries.push(JSON.parse(line));
+
+        const unauthorized = createKeeper(ethers, { signer: otherAccount, interval, log });
+        expect(await unauthorized.runOnce([vault.target])).to.deep.equal([]);
+        expect(entries[0]).to.include({ event: "Error", vault: vault.target, strategy: strategy.target });
+
+        const capped = createKeeper(ethers, { signer: otherAccount, interval, maxGasPrice: 0n, log });
+        expect(await capped.runOnce([vault.target])).to.deep.equal([]);
+        expect(entries[1].event).to.equal("Skipped");
+
+        const failingRound = await unauthorized.runRound(async () => {
+            throw new Error("could not detect network");
+        });
+        expect(failingRound).to.equal(null);
+        expect(entries[2]).to.include({ event: "Error", error: "could not detect network" });
+        expect(await capped.runRound(async () => [vault.target])).to.deep.equal([]);
+    });
+
+    it("should take the signer from the environment", async function () {
+        const wallet = ethers.Wallet.createRandom();
+
+        const signer = await getKeeperSigner(ethers, { KEEPER_PRIVATE_KEY: wallet.privateKey });
+
+        expect(signer.address).to.equal(wallet.address);
+        expect((await getKeeperSigner(ethers, {})).address).to.equal((await ethers.getSigners())[0].address);
+    });
+});
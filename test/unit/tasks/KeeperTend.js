@@ -0,0 +1,127 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+const { createTendWatcher, startMetricsServer } = require("../../../utils/tendWatcher");
+
+describe("keeper:tend task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const cooldown = 3600;
+    const amount = ethers.parseEther("1000");
+
+    // Two strategies whose tend trigger is off, with debt.
+    async function deployVaultWithTendStrategies() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const Strategy = await ethers.getContractFactory("MockTendStrategy");
+        await vault.setDepositLimit(amount);
+        await userDeposit(owner, vault, asset, amount);
+
+        const strategies = [];
+        for (const name of ["Tend Strategy A", "Tend Strategy B"]) {
+            const strategy = await Strategy.deploy(asset.target, name, owner.address, owner.address, 0, factory.target);
+            await vault.addStrategy(strategy.target);
+            await vault.updateMaxDebtForStrategy(strategy.target, amount);
+            await vault.updateDebt(strategy.target, amount / 2n);
+            strategies.push(strategy);
+        }
+        return { vault, factory, strategies, owner, otherAccount };
+    }
+
+    it("should tend the triggered strategies only, once per cooldown", async function () {
+        const { vault, factory, strategies: [triggered, idle] } = await loadFixture(deployVaultWithTendStrategies);
+
+        const quiet = await hre.run("keeper:tend", { factory: factory.target, cooldown, once: true });
+        expect(quiet.results).to.deep.equal([]);
+
+        await triggered.setTendTrigger(true);
+        const { results, metrics } = await hre.run("keeper:tend", { factory: factory.target, cooldown, once: true });
+        expect(results.map((entry) => [entry.event, entry.strategy])).to.deep.equal([["Tended", triggered.target]]);
+        expect(await triggered.tendCount()).to.equal(1);
+        expect(await idle.tendCount()).to.equal(0);
+        expect(metrics).to.include(`tend_watcher_tends_total{vault="${vault.target}",strategy="${triggered.target}"} 1`);
+        expect(metrics).to.include(`tend_watcher_checks_total{vault="${vault.target}",strategy="${idle.target}"} 1`);
+
+        // The cooldown lives in the watcher, across its rounds.
+        const [owner] = await ethers.getSigners();
+        const watcher = createTendWatcher(ethers, { signer: owner, cooldown, log: () => {} });
+        expect((await watcher.runOnce([vault.target])).map((entry) => entry.event)).to.deep.equal(["Tended"]);
+        expect((await watcher.runOnce([vault.target])).map((entry) => [entry.event, entry.reason])).to.deep.equal([["Skipped", "cooldown"]]);
+        await time.increase(cooldown);
+        expect((await watcher.runOnce([vault.target])).map((entry) => entry.event)).to.deep.equal(["Tended"]);
+        expect(await triggered.tendCount()).to.equal(3);
+        expect(watcher.metrics.get("tend_watcher_skipped_total", { vault: vault.target, strategy: triggered.target, reason: "cooldown" })).to.equal(1);
+        expect(watcher.metrics.get("tend_watcher_rounds_total")).to.equal(3);
+    });
+
+    it("should hold the tends above the gas price ceiling and log failing ones and rounds", async function () {
+        const { vault, strategies: [strategy], otherAccount } = await loadFixture(deployVaultWithTendStrategies);
+        await strategy.setTendTrigger(true);
+        const entries = [];
+        const log = (line) => entries.push(JSON.parse(line));
+
+        const capped = createTendWatcher(ethers, { signer: otherAccount, maxGasPrice: 0n, log });
+        expect((await capped.runOnce([vault.target])).map((entry) => entry.reason)).to.deep.equal(["gas_price"]);
+
+        // Not the keeper nor the management of the strategy.
+        const unauthorized = createTendWatcher(ethers, { signer: otherAccount, log });
+        expect(await unauthorized.runOnce([vault.target])).to.deep.equal([]);
+        expect(entries[1]).to.include({ event: "Error", vault: vault.target, strategy: strategy.target });
+        expect(unauthorized.metrics.get("tend_watcher_errors_total", { vault: vault.target, strategy: strategy.target })).to.equal(1);
+        expect(await strategy.tendCount()).to.equal(0);
+
+        const failingRound = await unauthorized.runRound(async () => {
+            throw new Error("could not detect network");
+        });
+        expect(failingRound).to.equal(null);
+        expect(entries[2]).to.include({ event: "Error", error: "could not detect network" });
+        expect(unauthorized.metrics.get("tend_watcher_round_errors_total")).to.equal(1);
+    });
+
+    it("should fall back to maxFeePerGas and skip the tends when the network reports no gas price", async function () {
+        const { vault, strategies: [strategy], owner } = await loadFixture(deployVaultWithTendStrategies);
+        await strategy.setTendTrigger(true);
+        const getFeeData = ethers.provider.getFeeData;
+        try {
+            ethers.provider.getFeeData = async () => ({ gasPrice: null, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n });
+            const eip1559 = createTendWatcher(ethers, { signer: owner, maxGasPrice: 1n, log: () => {} });
+            expect((await eip1559.runOnce([vault.target])).map((entry) => entry.reason)).to.deep.equal(["gas_price"]);
+            expect(eip1559.metrics.get("tend_watcher_gas_price_wei")).to.equal(2n);
+
+            ethers.provider.getFeeData = async () => ({ gasPrice: null, maxFeePerGas: null, maxPriorityFeePerGas: null });
+            const watcher = createTendWatcher(ethers, { signer: owner, maxGasPrice: ethers.parseUnits("100", "gwei"), log: () => {} });
+            expect((await watcher.runOnce([vault.target])).map((entry) => entry.reason)).to.deep.equal(["gas_price"]);
+            expect(watcher.metrics.get("tend_watcher_gas_price_wei")).to.equal(undefined);
+            expect(watcher.metrics.render()).to.not.match(/^tend_watcher_gas_price_wei /m);
+        } finally {
+            ethers.provider.getFeeData = getFeeData;
+        }
+        expect(await strategy.tendCount()).to.equal(0);
+    });
+
+    it("should serve the metrics in the Prometheus text format", async function () {
+        const { vault, strategies: [strategy], owner } = await loadFixture(deployVaultWithTendStrategies);
+        await strategy.setTendTrigger(true);
+        const watcher = createTendWatcher(ethers, { signer: owner, log: () => {} });
+        await watcher.runOnce([vault.target]);
+
+        const server = await startMetricsServer(0, watcher.metrics.render, "127.0.0.1");
+        try {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            const response = await fetch(`${url}/metrics`);
+            expect(response.status).to.equal(200);
+            const body = await response.text();
+            expect(body).to.include("# TYPE tend_watcher_tends_total counter");
+            expect(body).to.include(`tend_watcher_tends_total{vault="${vault.target}",strategy="${strategy.target}"} 1`);
+            expect(body).to.match(/^tend_watcher_rounds_total 1$/m);
+            expect((await fetch(`${url}/other`)).status).to.equal(404);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
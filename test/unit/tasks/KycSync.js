@@ -0,0 +1,121 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory } = require("../../utils/helper");
+
+describe("kyc:sync task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+
+    // The first signer is the KYC provider, as kyc:sync signs with it.
+    async function deployKycModule() {
+        const [owner, ...others] = await ethers.getSigners();
+        const { vault, factory } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+        const KYCDepositLimitModule = await ethers.getContractFactory("KYCDepositLimitModule");
+        const module = await KYCDepositLimitModule.deploy(strategy.target, vault.target, owner.address);
+        const accounts = others.slice(0, 6).map((signer) => signer.address);
+        return { module, owner, accounts };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "kyc-sync-"));
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    const readAudit = (file) =>
+        fs
+            .readFileSync(file, "utf8")
+            .trim()
+            .split("\n")
+            .map((line) => JSON.parse(line));
+
+    it("should approve and revoke in batches and record them in the audit log", async function () {
+        const { module, owner, accounts } = await loadFixture(deployKycModule);
+        const auditLog = path.join(tmpDir, "audit.jsonl");
+        const [a, b, c, d, e, f] = accounts;
+        await module.setKYCPassed(f, true);
+
+        const list = path.join(tmpDir, "approved.csv");
+        fs.writeFileSync(list, ["address,passed", a.toLowerCase(), b, `${c},true`, `${d},approved`, `${e},true`, `${f},revoked`].join("\n"));
+        const first = await hre.run("kyc:sync", { module: module.target, file: list, auditLog, batchSize: 2, format: "json" });
+
+        expect(first.plan.filter((row) => row.action === "approve").map((row) => row.account)).to.deep.equal([a, b, c, d, e]);
+        expect(first.batches.map((batch) => [batch.action, batch.accounts])).to.deep.equal([
+            ["approve", 2],
+            ["approve", 2],
+            ["approve", 1],
+            ["revoke", 1],
+        ]);
+        for (const account of [a, b, c, d, e]) {
+            expect(await module.kycPassed(account)).to.equal(true);
+        }
+        expect(await module.kycPassed(f)).to.equal(false);
+
+        const entries = readAudit(auditLog);
+        expect(entries.map((entry) => [entry.account, entry.action])).to.deep.equal([
+            [a, "approved"],
+            [b, "approved"],
+            [c, "approved"],
+            [d, "approved"],
+            [e, "approved"],
+            [f, "revoked"],
+        ]);
+        expect(entries[0].operator).to.equal(owner.address);
+        expect(entries[0].tx).to.equal(first.batches[0].tx);
+
+        // Accounts approved by the previous sync and dropped from the list are revoked.
+        const json = path.join(tmpDir, "approved.json");
+        fs.writeFileSync(json, JSON.stringify([a, { address: b, passed: true }, c]));
+        const dryRun = await hre.run("kyc:sync", { module: module.target, file: json, auditLog, dryRun: true, format: "json" });
+        expect(dryRun.batches).to.deep.equal([]);
+        expect(await module.kycPassed(d)).to.equal(true);
+
+        const kept = await hre.run("kyc:sync", { module: module.target, file: json, auditLog, keepMissing: true, format: "json" });
+        expect(kept.plan.every((row) => row.action === "unchanged")).to.equal(true);
+
+        const second = await hre.run("kyc:sync", { module: module.target, file: json, auditLog, format: "json" });
+        expect(second.plan.filter((row) => row.action === "revoke").map((row) => [row.account, row.source])).to.deep.equal([
+            [d, "audit log"],
+            [e, "audit log"],
+        ]);
+        expect(await module.kycPassed(d)).to.equal(false);
+        expect(await module.kycPassed(e)).to.equal(false);
+        expect(readAudit(auditLog).slice(6).map((entry) => [entry.account, entry.action])).to.deep.equal([
+            [d, "revoked"],
+            [e, "revoked"],
+        ]);
+    });
+
+    it("should reject invalid addresses and checksums before sending anything", async function () {
+        const { module, accounts } = await loadFixture(deployKycModule);
+        const [a, b, c] = accounts;
+        // Flips the case of the first letter of a checksummed address.
+        const i = a.search(/[a-fA-F]/);
+        const flipped = a[i] === a[i].toLowerCase() ? a[i].toUpperCase() : a[i].toLowerCase();
+        const badChecksum = a.slice(0, i) + flipped + a.slice(i + 1);
+
+        const list = path.join(tmpDir, "invalid.csv");
+        fs.writeFileSync(list, ["address,passed", badChecksum, "0x1234", `${b},maybe`, `${c},true`, `${c},false`].join("\n"));
+        const sync = hre.run("kyc:sync", { module: module.target, file: list, format: "json" });
+
+        await expect(sync).to.be.rejectedWith(/#2: bad checksum[\s\S]*#3: invalid address "0x1234"[\s\S]*#4: invalid passed value[\s\S]*#6: .* is both approved and revoked/);
+        expect(await module.kycPassed(c)).to.equal(false);
+    });
+
+    it("should fail when the signer is not the KYC provider", async function () {
+        const { module, accounts } = await loadFixture(deployKycModule);
+        await module.setKYCProvider(accounts[5]);
+
+        const list = path.join(tmpDir, "provider.csv");
+        fs.writeFileSync(list, accounts[0]);
+        await expect(hre.run("kyc:sync", { module: module.target, file: list, format: "json" })).to.be.rejectedWith("is not the KYC provider");
+    });
+});
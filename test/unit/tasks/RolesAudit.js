@@ -0,0 +1,92 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory } = require("../../utils/helper");
+
+describe("roles:audit task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+
+    async function deployFleet() {
+        const [owner, otherAccount, kycProvider] = await ethers.getSigners();
+        const { vault, factory, accountant } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+        await vault.addStrategy(strategy.target);
+
+        const KYCDepositLimitModule = await ethers.getContractFactory("KYCDepositLimitModule");
+        const module = await KYCDepositLimitModule.deploy(strategy.target, vault.target, kycProvider.address);
+        await vault.setDepositLimit(ethers.MaxUint256);
+        await vault.setDepositLimitModule(module.target);
+
+        return { vault, factory, accountant, strategy, module, owner, otherAccount, kycProvider };
+    }
+
+    const find = (entries, contract, role) => entries.filter((e) => e.contract === contract && e.role === role).map((e) => e.account);
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "roles-audit-"));
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("should list role holders of every contract in the fleet", async function () {
+        const { vault, factory, accountant, strategy, module, owner, otherAccount, kycProvider } = await loadFixture(deployFleet);
+        const reportingManager = await vault.REPORTING_MANAGER();
+        await vault.grantRole(reportingManager, otherAccount.address);
+        await vault.revokeRole(reportingManager, owner.address);
+
+        const { entries } = await hre.run("roles:audit", { factory: factory.target, format: "json" });
+
+        expect(find(entries, factory.target, "DEFAULT_ADMIN_ROLE")).to.deep.equal([owner.address]);
+        expect(find(entries, vault.target, "REPORTING_MANAGER")).to.deep.equal([otherAccount.address]);
+        expect(find(entries, vault.target, "STRATEGY_MANAGER")).to.deep.equal([owner.address]);
+        expect(find(entries, accountant.target, "DEFAULT_ADMIN_ROLE")).to.deep.equal([owner.address]);
+        expect(find(entries, module.target, "owner")).to.deep.equal([owner.address]);
+        expect(find(entries, module.target, "kycProvider")).to.deep.equal([kycProvider.address]);
+        expect(find(entries, strategy.target, "management")).to.deep.equal([owner.address]);
+        expect(find(entries, strategy.target, "keeper")).to.deep.equal([owner.address]);
+        expect(find(entries, strategy.target, "pendingManagement")).to.deep.equal([]);
+    });
+
+    it("should flag EOAs holding an admin role on too many contracts", async function () {
+        const { factory, owner } = await loadFixture(deployFleet);
+
+        const { adminConcentration } = await hre.run("roles:audit", { factory: factory.target, format: "json", maxAdmin: 2 });
+        expect(adminConcentration.map((row) => row.account)).to.deep.equal([owner.address]);
+
+        const relaxed = await hre.run("roles:audit", { factory: factory.target, format: "json", maxAdmin: 10 });
+        expect(relaxed.adminConcentration).to.deep.equal([]);
+    });
+
+    it("should diff the roles against an expected roles file", async function () {
+        const { vault, factory, owner, otherAccount } = await loadFixture(deployFleet);
+        const { entries } = await hre.run("roles:audit", { factory: factory.target, format: "json" });
+
+        const expected = {};
+        for (const { contract, role, account } of entries) {
+            expected[contract] = expected[contract] || {};
+            expected[contract][role] = [...(expected[contract][role] || []), account.toLowerCase()];
+        }
+        const file = path.join(tmpDir, "expected.json");
+        fs.writeFileSync(file, JSON.stringify(expected));
+
+        const clean = await hre.run("roles:audit", { factory: factory.target, format: "json", expected: file, maxAdmin: 10, strict: true });
+        expect(clean.diff).to.deep.equal({ missing: [], unexpected: [] });
+
+        await vault.grantRole(await vault.DEBT_PURCHASER(), otherAccount.address);
+        await vault.revokeRole(await vault.DEBT_PURCHASER(), owner.address);
+
+        const { diff } = await hre.run("roles:audit", { factory: factory.target, format: "json", expected: file, maxAdmin: 10 });
+        expect(diff.missing.map((e) => e.account)).to.deep.equal([owner.address.toLowerCase()]);
+        expect(diff.unexpected.map((e) => [e.role, e.account])).to.deep.equal([["DEBT_PURCHASER", otherAccount.address]]);
+
+        await expect(hre.run("roles:audit", { factory: factory.target, format: "json", expected: file, maxAdmin: 10, strict: true }))
+            .to.be.rejectedWith("Role audit failed with 2 finding(s)");
+    });
+});
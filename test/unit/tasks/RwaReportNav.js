@@ -0,0 +1,125 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+const { NAV_TYPES, navDomain } = require("../../../utils/rwa");
+
+describe("rwa:report-nav task", function () {
+
+    const invested = ethers.parseEther("10000");
+
+    // An RWA strategy whose manager is the first signer, holding the deposit of a user.
+    async function deployRWAStrategy() {
+        const [owner, user, navSigner] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, 0);
+        await vault.setDepositLimit(ethers.MaxUint256);
+        // The strategy checks its minimum deploy amount against the asset supply.
+        await userDeposit(user, vault, asset, invested);
+
+        const TokenizedStrategy = await ethers.getContractFactory("TokenizedStrategy");
+        const tokenizedStrategy = await TokenizedStrategy.deploy(factory.target);
+        const RWAStrategy = await ethers.getContractFactory("RWAStrategy");
+        const rwaStrategy = await RWAStrategy.deploy(asset.target, "RWA Strategy", tokenizedStrategy.target, owner.address, 1000, ethers.parseEther("1000000"));
+        const strategy = await ethers.getContractAt("TokenizedStrategy", rwaStrategy.target);
+        await strategy.setProfitMaxUnlockTime(0);
+
+        await vault.addStrategy(rwaStrategy.target);
+        await vault.updateMaxDebtForStrategy(rwaStrategy.target, invested);
+        await vault.updateDebt(rwaStrategy.target, invested);
+
+        return { vault, rwaStrategy, navSigner };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rwa-report-nav-"));
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    const writeNav = async (name, signer, strategy, nav, asOf) => {
+        const { chainId } = await ethers.provider.getNetwork();
+        const signature = await signer.signTypedData(navDomain(chainId, strategy), NAV_TYPES, { nav, asOf });
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, JSON.stringify({ strategy, chainId: chainId.toString(), nav: nav.toString(), asOf, signature }));
+        return file;
+    };
+
+    it("should report the NAV difference as a gain or a loss and reconcile it on the vault", async function () {
+        const { vault, rwaStrategy, navSigner } = await loadFixture(deployRWAStrategy);
+        const strategy = rwaStrategy.target;
+        const log = path.join(tmpDir, "reconciliation.jsonl");
+        const args = { strategy, vault: vault.target, navSigner: navSigner.address, log };
+
+        const gainNav = await writeNav("gain.json", navSigner, strategy, ethers.parseEther("10300"), await time.latest());
+        const gain = await hre.run("rwa:report-nav", { ...args, nav: gainNav });
+        expect(gain.plan.action).to.equal("gain");
+        expect(gain.plan.deltaBps).to.equal(300);
+        expect(gain.reconciliation.gain).to.equal(ethers.parseEther("300").toString());
+        expect(await rwaStrategy.totalInvested()).to.equal(ethers.parseEther("10300"));
+        expect((await vault.strategies(strategy)).currentDebt).to.equal(ethers.parseEther("10300"));
+
+        // The same NAV can't be reported twice.
+        await expect(hre.run("rwa:report-nav", { ...args, nav: gainNav })).to.be.rejectedWith(/isn't newer than the last reconciled one/);
+
+        const lossNav = await writeNav("loss.json", navSigner, strategy, ethers.parseEther("10197"), await time.latest());
+        const loss = await hre.run("rwa:report-nav", { ...args, nav: lossNav });
+        expect(loss.plan.action).to.equal("loss");
+        expect(loss.reconciliation.loss).to.equal(ethers.parseEther("103").toString());
+        expect((await vault.strategies(strategy)).currentDebt).to.equal(ethers.parseEther("10197"));
+
+        const entries = fs.readFileSync(log, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+        expect(entries.map((entry) => [entry.action, entry.totalInvestedBefore, entry.totalInvestedAfter])).to.deep.equal([
+            ["gain", ethers.parseEther("10000").toString(), ethers.parseEther("10300").toString()],
+            ["loss", ethers.parseEther("10300").toString(), ethers.parseEther("10197").toString()],
+        ]);
+        expect(entries[1].navSigner).to.equal(navSigner.address);
+    });
+
+    it("should count a gain that report() couldn't deploy with the next NAV", async function () {
+        const { vault, rwaStrategy, navSigner } = await loadFixture(deployRWAStrategy);
+        const strategy = rwaStrategy.target;
+        const args = { strategy, vault: vault.target, navSigner: navSigner.address };
+        await rwaStrategy.setMinDeployAmount(ethers.parseEther("1000"));
+
+        const gainNav = await writeNav("undeployed-gain.json", navSigner, strategy, ethers.parseEther("10300"), await time.latest());
+        const gain = await hre.run("rwa:report-nav", { ...args, nav: gainNav });
+        expect(gain.reconciliation.totalInvestedAfter).to.equal(invested.toString());
+        expect(gain.reconciliation.idleAfter).to.equal(ethers.parseEther("300").toString());
+
+        // The 300 are already paid into the strategy, the same NAV a day later is no new gain.
+        await time.increase(86400);
+        const sameNav = await writeNav("same.json", navSigner, strategy, ethers.parseEther("10300"), await time.latest());
+        const same = await hre.run("rwa:report-nav", { ...args, nav: sameNav });
+        expect(same.plan.idle).to.equal(ethers.parseEther("300"));
+        expect(same.plan.delta).to.equal(0);
+        expect(same.plan.action).to.equal("none");
+        expect((await vault.strategies(strategy)).currentDebt).to.equal(ethers.parseEther("10300"));
+    });
+
+    it("should refuse NAVs from another signer or over the delta bound", async function () {
+        const { vault, rwaStrategy, navSigner } = await loadFixture(deployRWAStrategy);
+        const [owner] = await ethers.getSigners();
+        const strategy = rwaStrategy.target;
+        const args = { strategy, vault: vault.target, navSigner: navSigner.address };
+
+        const forged = await writeNav("forged.json", owner, strategy, ethers.parseEther("10100"), await time.latest());
+        await expect(hre.run("rwa:report-nav", { ...args, nav: forged })).to.be.rejectedWith(`the NAV was signed by ${owner.address}, not by ${navSigner.address}`);
+
+        const jump = await writeNav("jump.json", navSigner, strategy, ethers.parseEther("12000"), await time.latest());
+        await expect(hre.run("rwa:report-nav", { ...args, nav: jump })).to.be.rejectedWith("the NAV moves the strategy assets by 2000 bps, over the 500 bps bound");
+        const { plan, reconciliation } = await hre.run("rwa:report-nav", { ...args, nav: jump, maxDelta: 2000, dryRun: true });
+        expect(plan.delta).to.equal(ethers.parseEther("2000"));
+        expect(reconciliation).to.equal(null);
+        expect(await rwaStrategy.totalInvested()).to.equal(invested);
+
+        await time.increase(7 * 86400 + 1);
+        await expect(hre.run("rwa:report-nav", { ...args, nav: jump, maxDelta: 2000 })).to.be.rejectedWith(/the NAV is older than 604800s/);
+    });
+});
@@ -0,0 +1,116 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVaultThroughFactory } = require("../../utils/helper");
+
+describe("simulate task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    // An admin whose key isn't available, as on the real network.
+    const admin = "0x00000000000000000000000000000000000a11ce";
+
+    async function deployVaultWithAdmin() {
+        const [owner] = await ethers.getSigners();
+        const { vault } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        await vault.grantRole(await vault.DEFAULT_ADMIN_ROLE(), admin);
+        return { vault, owner };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "simulate-"));
+    // A deploy-style script taking signer 0, as the scripts run for real do.
+    const script = path.join(tmpDir, "setDepositLimit.js");
+    fs.writeFileSync(script, `module.exports = async ({ ethers }) => {
+    const [signer] = await ethers.getSigners();
+    const vault = await ethers.getContractAt("VaultPackage", process.env.SIMULATE_TEST_VAULT, signer);
+    await (await vault.setDepositLimit(ethers.parseEther(process.env.SIMULATE_TEST_LIMIT))).wait();
+};
+`);
+
+    // A deploy script resolving its vault through the address book, as the converted deploy scripts do.
+    const addressBookScript = path.join(tmpDir, "addressBookDepositLimit.js");
+    fs.writeFileSync(addressBookScript, `const { getAddressBook } = require(${JSON.stringify(path.join(__dirname, "..", "..", "..", "utils", "addressBook"))});
+
+module.exports = async (hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const vault = await hre.ethers.getContractAt("VaultPackage", await getAddressBook(hre).get("SimulatedVault"), signer);
+    await (await vault.setDepositLimit(hre.ethers.parseEther("700"))).wait();
+};
+`);
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+        delete process.env.SIMULATE_TEST_VAULT;
+        delete process.env.SIMULATE_TEST_LIMIT;
+    });
+
+    it("should run the script as the impersonated admin, report its transactions and state diffs and revert", async function () {
+        const { vault } = await loadFixture(deployVaultWithAdmin);
+        process.env.SIMULATE_TEST_VAULT = vault.target;
+        process.env.SIMULATE_TEST_LIMIT = "500";
+
+        const report = await hre.run("simulate", { script, impersonate: admin, format: "json", output: path.join(tmpDir, "report.json") });
+
+        expect(report.fork).to.equal(null);
+        expect(report.transactions.map((tx) => [tx.from, tx.to, tx.method, tx.status])).to.deep.equal([
+            [ethers.getAddress(admin), vault.target, "setDepositLimit(uint256)", "success"],
+        ]);
+        expect(report.gasUsed).to.be.greaterThan(0n).and.to.equal(report.transactions[0].gasUsed);
+        expect(report.stateDiffs).to.deep.equal([
+            { contract: vault.target, type: "vault", field: "depositLimit", before: 0n, after: ethers.parseEther("500") },
+        ]);
+        expect(await vault.depositLimit()).to.equal(0);
+        expect((await ethers.getSigners())[0].address).to.not.equal(ethers.getAddress(admin));
+        expect(JSON.parse(fs.readFileSync(path.join(tmpDir, "report.json"))).gasUsed).to.equal(report.gasUsed.toString());
+    });
+
+    it("should run as the admins of the vault script argument when none is impersonated", async function () {
+        const { vault, owner } = await loadFixture(deployVaultWithAdmin);
+        process.env.SIMULATE_TEST_VAULT = vault.target;
+        process.env.SIMULATE_TEST_LIMIT = "500";
+        await vault.revokeRole(await vault.DEFAULT_ADMIN_ROLE(), owner.address);
+
+        const report = await hre.run("simulate", { script, scriptArgs: JSON.stringify({ vault: vault.target }), format: "json", output: path.join(tmpDir, "admins.json") });
+
+        expect(report.transactions.map((tx) => [tx.from, tx.method, tx.status])).to.deep.equal([
+            [ethers.getAddress(admin), "setDepositLimit(uint256)", "success"],
+        ]);
+        expect(await vault.depositLimit()).to.equal(0);
+    });
+
+    it("should run a script resolving its addresses through the address book", async function () {
+        const { vault } = await loadFixture(deployVaultWithAdmin);
+        await hre.deployments.save("SimulatedVault", { address: vault.target, abi: [] });
+
+        try {
+            const report = await hre.run("simulate", { script: addressBookScript, impersonate: admin, format: "json", output: path.join(tmpDir, "addressBook.json") });
+            expect(report.transactions.map((tx) => [tx.from, tx.to, tx.status])).to.deep.equal([[ethers.getAddress(admin), vault.target, "success"]]);
+            expect(report.stateDiffs.map((diff) => [diff.field, diff.after])).to.deep.equal([["depositLimit", ethers.parseEther("700")]]);
+        } finally {
+            await hre.deployments.delete("SimulatedVault");
+        }
+    });
+
+    it("should record the reverted transaction of a failing script", async function () {
+        const { vault, owner } = await loadFixture(deployVaultWithAdmin);
+        process.env.SIMULATE_TEST_VAULT = vault.target;
+        process.env.SIMULATE_TEST_LIMIT = "500";
+        await vault.revokeRole(await vault.DEFAULT_ADMIN_ROLE(), admin);
+
+        const error = await hre.run("simulate", { script, impersonate: admin, format: "json", output: path.join(tmpDir, "failed.json") })
+            .then(() => null, (e) => e);
+
+        expect(error.message).to.match(/^Simulated script failed: /);
+        expect(error.report.transactions.map((tx) => [tx.from, tx.method, tx.status])).to.deep.equal([
+            [ethers.getAddress(admin), "setDepositLimit(uint256)", "reverted"],
+        ]);
+        expect(error.report.stateDiffs).to.deep.equal([]);
+
+        await expect(hre.run("simulate", { script: path.join(tmpDir, "missing.js") }))
+            .to.be.rejectedWith("Unknown task or script");
+        expect(await vault.hasRole(await vault.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+    });
+});
@@ -0,0 +1,132 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory } = require("../../utils/helper");
+
+describe("strategy management hand-off tasks", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+
+    async function deployStrategies() {
+        const [owner, otherAccount, keeper, feeRecipient] = await ethers.getSigners();
+        const { vault, factory } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategyA = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+        const strategyB = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+
+        return { vault, factory, strategyA, strategyB, owner, otherAccount, keeper, feeRecipient };
+    }
+
+    const handoffDir = fs.mkdtempSync(path.join(os.tmpdir(), "strategy-handoff-"));
+    let handoffCount = 0;
+    const handoffFile = () => path.join(handoffDir, `handoff-${handoffCount++}.json`);
+
+    after(function () {
+        fs.rmSync(handoffDir, { recursive: true });
+    });
+
+    it("should set pending management, move the roles and verify the executed batch", async function () {
+        const { strategyA, strategyB, otherAccount, keeper, feeRecipient } = await loadFixture(deployStrategies);
+        const handoff = handoffFile();
+
+        await hre.run("strategy:transfer-management", {
+            strategies: `${strategyA.target},${strategyB.target}`,
+            newManagement: otherAccount.address,
+            keeper: keeper.address,
+            performanceFeeRecipient: feeRecipient.address,
+            handoff,
+        });
+
+        expect(await strategyA.pendingManagement()).to.equal(otherAccount.address);
+        expect(await strategyB.keeper()).to.equal(keeper.address);
+        expect(await strategyB.performanceFeeRecipient()).to.equal(feeRecipient.address);
+
+        const { transactions } = JSON.parse(fs.readFileSync(handoff, "utf8"));
+        expect(transactions.map((tx) => tx.to)).to.deep.equal([strategyA.target, strategyB.target]);
+        for (const tx of transactions) {
+            await otherAccount.sendTransaction(tx);
+        }
+
+        const rows = await hre.run("strategy:accept-management", { handoff, verifyOnly: true });
+        expect(rows.every((row) => row.verified)).to.equal(true);
+        expect(await strategyB.management()).to.equal(otherAccount.address);
+    });
+
+    it("should fail the verification until the management is accepted", async function () {
+        const { strategyA, otherAccount } = await loadFixture(deployStrategies);
+        const handoff = handoffFile();
+        await hre.run("strategy:transfer-management", { strategies: strategyA.target, newManagement: otherAccount.address, handoff });
+
+        await expect(hre.run("strategy:accept-management", { handoff, verifyOnly: true }))
+            .to.be.rejectedWith(`Management hand-off not verified for: ${strategyA.target} (management)`);
+        await expect(hre.run("strategy:accept-management", { handoff }))
+            .to.be.rejectedWith(/is not the new management/);
+    });
+
+    it("should still move the roles of a strategy already managed by the new management", async function () {
+        const { strategyA, strategyB, owner, otherAccount, keeper } = await loadFixture(deployStrategies);
+        await strategyB.setPendingManagement(otherAccount.address);
+        await strategyB.connect(otherAccount).acceptManagement();
+
+        // The signer isn't the management anymore: the keeper stays, the hand-off expects the requested one.
+        const handoff = handoffFile();
+        await hre.run("strategy:transfer-management", { strategies: strategyB.target, newManagement: otherAccount.address, keeper: keeper.address, handoff });
+        expect(await strategyB.keeper()).to.not.equal(keeper.address);
+        expect(JSON.parse(fs.readFileSync(handoff, "utf8")).strategies[0].keeper).to.equal(keeper.address);
+        await expect(hre.run("strategy:accept-management", { handoff, verifyOnly: true }))
+            .to.be.rejectedWith(`Management hand-off not verified for: ${strategyB.target} (keeper)`);
+
+        await hre.run("strategy:transfer-management", { strategies: strategyA.target, newManagement: owner.address, keeper: keeper.address, handoff: handoffFile() });
+        expect(await strategyA.keeper()).to.equal(keeper.address);
+    });
+
+    it("should accept the management as the new management", async function () {
+        const { strategyA, owner, otherAccount } = await loadFixture(deployStrategies);
+        await strategyA.setPendingManagement(otherAccount.address);
+        await strategyA.connect(otherAccount).acceptManagement();
+        await strategyA.connect(otherAccount).setPendingManagement(owner.address);
+
+        const handoff = handoffFile();
+        fs.writeFileSync(handoff, JSON.stringify({
+            network: "hardhat",
+            newManagement: owner.address,
+            strategies: [{
+                address: strategyA.target,
+                keeper: await strategyA.keeper(),
+                emergencyAdmin: await strategyA.emergencyAdmin(),
+                performanceFeeRecipient: await strategyA.performanceFeeRecipient(),
+            }],
+        }));
+
+        const rows = await hre.run("strategy:accept-management", { handoff });
+
+        expect(rows.map((row) => [row.management, row.verified])).to.deep.equal([[owner.address, true]]);
+        expect(await strategyA.pendingManagement()).to.equal(ethers.ZeroAddress);
+        await hre.run("strategy:accept-management", { handoff });
+    });
+
+    it("should refuse strategies the signer doesn't manage or several new accounts and send nothing on a dry run", async function () {
+        const { strategyA, strategyB, owner, otherAccount } = await loadFixture(deployStrategies);
+        await strategyB.setPendingManagement(otherAccount.address);
+        await strategyB.connect(otherAccount).acceptManagement();
+
+        await expect(hre.run("strategy:transfer-management", { strategies: strategyB.target, newManagement: owner.address, handoff: handoffFile() }))
+            .to.be.rejectedWith(`Signer ${owner.address} is not the management of strategy ${strategyB.target}`);
+
+        const twoAccounts = `${owner.address},${otherAccount.address}`;
+        await expect(hre.run("strategy:transfer-management", { strategies: strategyA.target, newManagement: twoAccounts, handoff: handoffFile() }))
+            .to.be.rejectedWith(`--new-management takes a single address, got "${twoAccounts}"`);
+        await expect(hre.run("strategy:transfer-management", { strategies: strategyA.target, newManagement: otherAccount.address, keeper: twoAccounts, handoff: handoffFile() }))
+            .to.be.rejectedWith("--keeper takes a single address");
+
+        const handoff = handoffFile();
+        await hre.run("strategy:transfer-management", { strategies: strategyA.target, newManagement: otherAccount.address, handoff, dryRun: true });
+        expect(await strategyA.pendingManagement()).to.equal(ethers.ZeroAddress);
+        expect(fs.existsSync(handoff)).to.equal(false);
+    });
+});
@@ -0,0 +1,112 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+
+describe("tf:* tasks", function () {
+
+    const week = 604800;
+    const lockPeriod = 86400 * 30; // 30 days
+    const deposit = ethers.parseEther("30000");
+
+    // A TradeFintech strategy managed by the first signer, with the deposit of a user lent out to it.
+    async function deployTradeFintech() {
+        const [owner, user, otherAccount] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, 0);
+
+        const TokenizedStrategy = await ethers.getContractFactory("TokenizedStrategy");
+        const tokenizedStrategy = await TokenizedStrategy.deploy(factory.target);
+        const now = await time.latest();
+        const TradeFintechStrategy = await ethers.getContractFactory("TradeFintechStrategy");
+        const tfStrategy = await TradeFintechStrategy.deploy(
+            asset.target,
+            "Trade Fintech Strategy",
+            tokenizedStrategy.target,
+            now + week,
+            now + week + lockPeriod,
+            ethers.parseEther("10000000"),
+            vault.target
+        );
+        const strategy = await ethers.getContractAt("TokenizedStrategy", tfStrategy.target);
+        await strategy.setProfitMaxUnlockTime(0);
+
+        await vault.setDepositLimit(ethers.MaxUint256);
+        await vault.addStrategy(tfStrategy.target);
+        await vault.updateMaxDebtForStrategy(tfStrategy.target, deposit);
+        await userDeposit(user, vault, asset, deposit);
+        await vault.updateDebt(tfStrategy.target, deposit);
+
+        return { vault, asset, tfStrategy, owner, user, otherAccount };
+    }
+
+    it("should follow the phases and refuse the actions that would revert in them", async function () {
+        const { vault, asset, tfStrategy, owner } = await loadFixture(deployTradeFintech);
+        const strategy = tfStrategy.target;
+
+        const [depositPhase] = await hre.run("tf:status", { strategies: strategy, format: "json" });
+        expect(depositPhase.phase).to.equal("deposit");
+        expect(depositPhase.locked).to.equal(deposit);
+        expect(depositPhase.idle).to.equal(0);
+        expect(await asset.balanceOf(owner.address)).to.equal(deposit);
+
+        await expect(hre.run("tf:lock", { strategy, amount: "1" })).to.be.rejectedWith(/only 0 idle in the strategy/);
+        await expect(hre.run("tf:settle", { strategy })).to.be.rejectedWith(/still locked with the management, repay first/);
+
+        await time.increase(week + 1);
+        expect((await hre.run("tf:status", { strategies: strategy, format: "json" }))[0].phase).to.equal("lock");
+
+        await time.increase(lockPeriod);
+        expect((await hre.run("tf:status", { strategies: strategy, format: "json" }))[0].phase).to.equal("repayment");
+        await expect(hre.run("tf:lock", { strategy, amount: "1" })).to.be.rejectedWith(/the lock period ended/);
+        await expect(hre.run("tf:repay", { strategy, amount: "40000" })).to.be.rejectedWith(/the management holds 30000000000000000000000, 40000000000000000000000 to repay/);
+
+        // 20% yield, reported to the vault along with the repayment.
+        await asset.mint(owner.address, ethers.parseEther("6000"));
+        const { settled } = await hre.run("tf:repay", { strategy, amount: "36000" });
+        expect(settled.gain).to.equal(ethers.parseEther("6000"));
+        expect(settled.loss).to.equal(0);
+        expect((await vault.strategies(strategy)).currentDebt).to.equal(ethers.parseEther("36000"));
+
+        const [repaid] = await hre.run("tf:status", { strategies: strategy, format: "json" });
+        expect(repaid.phase).to.equal("repaid");
+        expect(repaid.locked).to.equal(0);
+        expect(repaid.idle).to.equal(ethers.parseEther("36000"));
+        expect(repaid.unreported).to.equal(0);
+        await expect(hre.run("tf:repay", { strategy, amount: "1" })).to.be.rejectedWith(/the funds were already returned/);
+    });
+
+    it("should check the reporting roles before repaying and settle separately", async function () {
+        const { vault, asset, tfStrategy, owner } = await loadFixture(deployTradeFintech);
+        const strategy = tfStrategy.target;
+        const reportingManager = await vault.REPORTING_MANAGER();
+        await vault.revokeRole(reportingManager, owner.address);
+        await asset.mint(owner.address, ethers.parseEther("3000"));
+
+        await expect(hre.run("tf:repay", { strategy, amount: "33000" })).to.be.rejectedWith(/is missing REPORTING_MANAGER on vault/);
+        expect(await tfStrategy.totalInvested()).to.equal(deposit);
+
+        const { settled } = await hre.run("tf:repay", { strategy, amount: "33000", noSettle: true });
+        expect(settled).to.equal(null);
+        expect(await tfStrategy.totalInvested()).to.equal(0);
+        expect((await vault.strategies(strategy)).currentDebt).to.equal(deposit);
+
+        await expect(hre.run("tf:settle", { strategy })).to.be.rejectedWith(/is missing REPORTING_MANAGER on vault/);
+        await vault.grantRole(reportingManager, owner.address);
+        const { gain } = await hre.run("tf:settle", { strategy });
+        expect(gain).to.equal(ethers.parseEther("3000"));
+        expect((await vault.strategies(strategy)).currentDebt).to.equal(ethers.parseEther("33000"));
+    });
+
+    it("should list the TradeFintech strategies of the factory vaults", async function () {
+        const { vault, tfStrategy } = await loadFixture(deployTradeFintech);
+        const factory = await vault.factory();
+
+        const statuses = await hre.run("tf:status", { factory, format: "json" });
+        expect(statuses.map((status) => status.strategy)).to.deep.equal([tfStrategy.target]);
+        await expect(hre.run("tf:status", { strategies: vault.target, format: "json" })).to.be.rejectedWith(/is not a TradeFintechStrategy/);
+    });
+});
@@ -0,0 +1,110 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, addStrategyToVault, deployVaultThroughFactory } = require("../../utils/helper");
+
+describe("update-pofitMaxUnlockTime task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+
+    async function deployFleet() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, vaultPackage, factory } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+        await addStrategyToVault(owner, strategy, vault);
+
+        return { vault, vaultPackage, factory, strategy, owner, otherAccount };
+    }
+
+    it("should only print the plan in dry-run mode", async function () {
+        const { vault, factory, strategy } = await loadFixture(deployFleet);
+
+        const plan = await hre.run("update-pofitMaxUnlockTime", { factory: factory.target, value: 3600, dryRun: true });
+
+        expect(plan).to.have.lengthOf(2);
+        expect(plan[0]).to.include({ type: "vault", address: vault.target, before: "604800", after: "3600", action: "update" });
+        expect(plan[1]).to.include({ type: "strategy", address: strategy.target, before: "604800", after: "3600", action: "update" });
+        expect(await vault.profitMaxUnlockTime()).to.equal(profitMaxUnlockTime);
+        expect(await strategy.profitMaxUnlockTime()).to.equal(profitMaxUnlockTime);
+    });
+
+    it("should update vaults and strategies", async function () {
+        const { vault, factory, strategy } = await loadFixture(deployFleet);
+
+        await hre.run("update-pofitMaxUnlockTime", { factory: factory.target, value: 3600 });
+
+        expect(await vault.profitMaxUnlockTime()).to.equal(3600);
+        expect(await strategy.profitMaxUnlockTime()).to.equal(3600);
+    });
+
+    it("should update a strategy shared by several vaults once", async function () {
+        const { vault, vaultPackage, factory, strategy, owner } = await loadFixture(deployFleet);
+        await factory.deployVault(
+            vaultPackage.target,
+            profitMaxUnlockTime,
+            1,
+            await vault.asset(),
+            "Vault Shares FXD 2",
+            "vFXD2",
+            await vault.accountant(),
+            owner.address
+        );
+        const vaults = await factory.getVaults();
+        const otherVault = await ethers.getContractAt("VaultPackage", vaults[vaults.length - 1]);
+        await otherVault.grantRole(await otherVault.STRATEGY_MANAGER(), owner.address);
+        await addStrategyToVault(owner, strategy, otherVault);
+
+        const plan = await hre.run("update-pofitMaxUnlockTime", { factory: factory.target, value: 3600 });
+
+        expect(plan.map((row) => [row.type, row.address])).to.deep.equal([
+            ["vault", vault.target],
+            ["strategy", strategy.target],
+            ["vault", otherVault.target],
+        ]);
+        expect(await strategy.profitMaxUnlockTime()).to.equal(3600);
+    });
+
+    it("should only update vaults with vaults-only", async function () {
+        const { vault, factory, strategy } = await loadFixture(deployFleet);
+
+        await hre.run("update-pofitMaxUnlockTime", { factory: factory.target, value: 3600, vaultsOnly: true });
+
+        expect(await vault.profitMaxUnlockTime()).to.equal(3600);
+        expect(await strategy.profitMaxUnlockTime()).to.equal(profitMaxUnlockTime);
+    });
+
+    it("should only update strategies with strategies-only", async function () {
+        const { vault, factory, strategy } = await loadFixture(deployFleet);
+
+        await hre.run("update-pofitMaxUnlockTime", { factory: factory.target, value: 3600, strategiesOnly: true });
+
+        expect(await vault.profitMaxUnlockTime()).to.equal(profitMaxUnlockTime);
+        expect(await strategy.profitMaxUnlockTime()).to.equal(3600);
+    });
+
+    it("should skip entries that are already up to date", async function () {
+        const { factory } = await loadFixture(deployFleet);
+
+        const plan = await hre.run("update-pofitMaxUnlockTime", { factory: factory.target, value: profitMaxUnlockTime, dryRun: true });
+
+        expect(plan.every((row) => row.action === "skip (unchanged)")).to.equal(true);
+    });
+
+    it("should revert when both filters are set", async function () {
+        const { factory } = await loadFixture(deployFleet);
+
+        await expect(hre.run("update-pofitMaxUnlockTime", { factory: factory.target, vaultsOnly: true, strategiesOnly: true }))
+            .to.be.rejectedWith("mutually exclusive");
+    });
+
+    it("should revert for a vault unknown to the factory", async function () {
+        const { factory, otherAccount } = await loadFixture(deployFleet);
+
+        await expect(hre.run("update-pofitMaxUnlockTime", { factory: factory.target, vaults: otherAccount.address }))
+            .to.be.rejectedWith("is not deployed by factory");
+    });
+});
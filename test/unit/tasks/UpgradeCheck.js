@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, deployments } = hre;
+const { checkUpgrades, saveReference } = require("../../../utils/upgradeCheck");
+const { deployVaultPackage } = require("../../../utils/vaultUpgrade");
+
+describe("upgrade:check task", function () {
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "upgrade-check-"));
+    const reference = path.join(tmpDir, "layouts.json");
+
+    beforeEach(async function () {
+        await deployments.delete("VaultPackage");
+        await deployments.delete("FactoryPackage");
+    });
+
+    afterEach(async function () {
+        await deployments.delete("VaultPackage");
+        await deployments.delete("FactoryPackage");
+        fs.rmSync(reference, { force: true });
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    // A deployment recorded without its storage layout, as the ones of older hardhat-deploy runs.
+    async function deployWithoutLayout(name) {
+        const contract = await (await ethers.getContractFactory(name)).deploy();
+        await deployments.save(name, { address: contract.target, abi: [] });
+        return contract.target;
+    }
+
+    it("should check the sizes and the layouts against the proxies, then against the recorded layouts", async function () {
+        const checks = await hre.run("upgrade:check", { reference, format: "json", output: path.join(tmpDir, "first.json") });
+        expect(checks.map((row) => [row.contract, row.check, row.status])).to.deep.equal([
+            ["VaultPackage", "size", "ok"],
+            ["VaultPackage", "layout vs FathomVault proxy", "ok"],
+            ["VaultPackage", "layout vs deployed", "skipped"],
+            ["FactoryPackage", "size", "ok"],
+            ["FactoryPackage", "layout vs Factory proxy", "ok"],
+            ["FactoryPackage", "layout vs deployed", "skipped"],
+        ]);
+        await expect(hre.run("upgrade:check", { reference, save: true, format: "json", output: path.join(tmpDir, "save.json") }))
+            .to.be.rejectedWith("No deployment of VaultPackage on hardhat: nothing to record");
+
+        const factoryPackage = await deployWithoutLayout("FactoryPackage");
+        await hre.run("upgrade:check", { contracts: "FactoryPackage", reference, save: true, format: "json", output: path.join(tmpDir, "save.json") });
+        const saved = JSON.parse(fs.readFileSync(reference));
+        expect(Object.keys(saved)).to.deep.equal(["FactoryPackage"]);
+        expect(saved.FactoryPackage.address).to.equal(factoryPackage);
+
+        const recheck = await hre.run("upgrade:check", { contracts: "FactoryPackage", reference, format: "json", output: path.join(tmpDir, "recheck.json") });
+        expect(recheck.filter((row) => row.check === "layout vs deployed").map((row) => [row.status, row.detail])).to.deep.equal([["ok", factoryPackage]]);
+    });
+
+    it("should take the deployed layout from the deployment and refuse to record another build", async function () {
+        const [owner] = await ethers.getSigners();
+        const vaultPackage = await deployVaultPackage(hre, owner);
+
+        const checks = await hre.run("upgrade:check", { contracts: "VaultPackage", reference, format: "json", output: path.join(tmpDir, "deployed.json") });
+        expect(checks.filter((row) => row.check === "layout vs deployed").map((row) => [row.status, row.detail])).to.deep.equal([["ok", vaultPackage]]);
+
+        // A FactoryPackage deployment whose address holds the code of another contract.
+        await deployments.save("FactoryPackage", { address: vaultPackage, abi: [] });
+        await expect(hre.run("upgrade:check", { contracts: "FactoryPackage", reference, save: true, format: "json", output: path.join(tmpDir, "other.json") }))
+            .to.be.rejectedWith(`The code of FactoryPackage at ${vaultPackage} isn't this build`);
+        expect(fs.existsSync(reference)).to.equal(false);
+    });
+
+    it("should fail without a deployed layout when one is required", async function () {
+        const checks = await checkUpgrades(hre.artifacts, ["FactoryPackage"], {}, { requireDeployed: true });
+        expect(checks[checks.length - 1]).to.deep.equal({
+            contract: "FactoryPackage",
+            check: "layout vs deployed",
+            status: "failed",
+            detail: "no deployed layout, record it with upgrade:check --save",
+        });
+    });
+
+    it("should fail on a layout change that isn't upgrade-safe and on oversized code", async function () {
+        await saveReference(hre.artifacts, ["VaultPackage"], reference);
+        // As if the deployed version had another variable in the slot of `depositLimit`.
+        const saved = JSON.parse(fs.readFileSync(reference));
+        const item = saved.VaultPackage.layout.storage.find((storageItem) => storageItem.label === "depositLimit");
+        item.label = "maxTotalAssets";
+        fs.writeFileSync(reference, JSON.stringify(saved));
+
+        await expect(hre.run("upgrade:check", { contracts: "VaultPackage", reference, format: "json", output: path.join(tmpDir, "changed.json") }))
+            .to.be.rejectedWith(/^Upgrade check failed: VaultPackage layout vs deployed \(.*depositLimit/);
+
+        await expect(hre.run("upgrade:check", { contracts: "FactoryPackage", reference, sizeLimit: 10000, format: "json", output: path.join(tmpDir, "size.json") }))
+            .to.be.rejectedWith(/^Upgrade check failed: FactoryPackage size \(\d+ bytes \(initcode \d+\), limit 10000 \(initcode 20000\)\)$/);
+    });
+});
@@ -0,0 +1,154 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory } = require("../../utils/helper");
+
+describe("vault:deploy task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+
+    async function deployFactory() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, vaultPackage, factory, accountant, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+
+        return { vaultPackage, factory, accountant, asset, strategy, owner, otherAccount };
+    }
+
+    const specDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-spec-"));
+    let specCount = 0;
+
+    after(function () {
+        fs.rmSync(specDir, { recursive: true });
+    });
+
+    function writeSpec(spec) {
+        const file = path.join(specDir, `vault-${specCount++}.json`);
+        fs.writeFileSync(file, JSON.stringify(spec));
+        return file;
+    }
+
+    async function baseSpec() {
+        const { vaultPackage, factory, accountant, asset, strategy, otherAccount } = await loadFixture(deployFactory);
+        return {
+            factory: factory.target,
+            vaultPackage: vaultPackage.target,
+            asset: asset.target,
+            accountant: accountant.target,
+            name: "Spec Vault",
+            symbol: "svFXD",
+            assetType: 1,
+            profitMaxUnlockTime: 3600,
+            depositLimit: "1000",
+            minUserDeposit: "10",
+            minimumTotalIdle: "5",
+            roles: {
+                STRATEGY_MANAGER: ["deployer"],
+                REPORTING_MANAGER: ["deployer", otherAccount.address],
+            },
+            strategies: [{ address: strategy.target, maxDebt: "500" }],
+        };
+    }
+
+    it("should deploy and configure a vault from a spec", async function () {
+        const { factory, strategy, otherAccount } = await loadFixture(deployFactory);
+        const file = writeSpec(await baseSpec());
+
+        const result = await hre.run("vault:deploy", { spec: file });
+
+        expect(result.deployed).to.equal(true);
+        const vaults = await factory.getVaults();
+        expect(vaults[vaults.length - 1]).to.equal(result.vault);
+
+        const vault = await ethers.getContractAt("VaultPackage", result.vault);
+        expect(await vault.symbol()).to.equal("svFXD");
+        expect(await vault.profitMaxUnlockTime()).to.equal(3600);
+        expect(await vault.depositLimit()).to.equal(ethers.parseEther("1000"));
+        expect(await vault.minUserDeposit()).to.equal(ethers.parseEther("10"));
+        expect(await vault.minimumTotalIdle()).to.equal(ethers.parseEther("5"));
+        expect(await vault.hasRole(await vault.REPORTING_MANAGER(), otherAccount.address)).to.equal(true);
+        expect((await vault.strategies(strategy.target)).maxDebt).to.equal(ethers.parseEther("500"));
+    });
+
+    it("should not send any transaction when the vault already matches the spec", async function () {
+        const file = writeSpec(await baseSpec());
+        const first = await hre.run("vault:deploy", { spec: file });
+
+        const second = await hre.run("vault:deploy", { spec: file });
+
+        expect(second.deployed).to.equal(false);
+        expect(second.vault).to.equal(first.vault);
+        expect(second.actions.every((action) => action.status === "skipped")).to.equal(true);
+    });
+
+    it("should converge an existing vault to a changed spec", async function () {
+        const { strategy } = await loadFixture(deployFactory);
+        const spec = await baseSpec();
+        const { vault } = await hre.run("vault:deploy", { spec: writeSpec(spec) });
+
+        spec.strategies[0].maxDebt = "700";
+        const result = await hre.run("vault:deploy", { spec: writeSpec(spec) });
+
+        const sent = result.actions.filter((action) => action.status === "sent");
+        expect(sent.map((action) => action.step)).to.deep.equal([`Set max debt of ${strategy.target} on ${vault} to ${ethers.parseEther("700")}`]);
+    });
+
+    it("should switch to a deposit limit module", async function () {
+        const { otherAccount } = await loadFixture(deployFactory);
+        const spec = await baseSpec();
+        await hre.run("vault:deploy", { spec: writeSpec(spec) });
+
+        delete spec.depositLimit;
+        spec.depositLimitModule = otherAccount.address;
+        const result = await hre.run("vault:deploy", { spec: writeSpec(spec) });
+
+        const vault = await ethers.getContractAt("VaultPackage", result.vault);
+        expect(await vault.depositLimit()).to.equal(ethers.MaxUint256);
+        expect(await vault.depositLimitModule()).to.equal(otherAccount.address);
+    });
+
+    it("should read unquoted YAML addresses as addresses", async function () {
+        const spec = await baseSpec();
+        const { vault } = await hre.run("vault:deploy", { spec: writeSpec(spec) });
+
+        // Another symbol: without the explicit vault address a new vault would be deployed.
+        const file = path.join(specDir, `vault-${specCount++}.yaml`);
+        fs.writeFileSync(file, [
+            `factory: ${spec.factory}`,
+            `vaultPackage: ${spec.vaultPackage}`,
+            `asset: ${spec.asset}`,
+            `accountant: ${spec.accountant}`,
+            `vault: ${vault}`,
+            "name: Spec Vault",
+            "symbol: svOther",
+            "assetType: 1",
+            "profitMaxUnlockTime: 3600",
+            "strategies:",
+            `  - address: ${spec.strategies[0].address}`,
+            "    maxDebt: \"600\"",
+        ].join("\n"));
+        const result = await hre.run("vault:deploy", { spec: file });
+
+        expect(result.deployed).to.equal(false);
+        expect(result.vault).to.equal(vault);
+        const strategyAddr = ethers.getAddress(spec.strategies[0].address);
+        expect((await (await ethers.getContractAt("VaultPackage", vault)).strategies(strategyAddr)).maxDebt).to.equal(ethers.parseEther("600"));
+    });
+
+    it("should revert on an invalid spec", async function () {
+        const spec = await baseSpec();
+        spec.assetType = 4;
+        spec.vault = 0;
+        spec.depositLimit = "0";
+        spec.roles.KEEPER = ["deployer"];
+
+        await expect(hre.run("vault:deploy", { spec: writeSpec(spec) }))
+            .to.be.rejectedWith(/assetType must be one of 1, 2, 3[\s\S]*depositLimit must be above zero[\s\S]*vault must be an address or a name, quoted[\s\S]*roles.KEEPER is not a vault role/);
+    });
+});
@@ -0,0 +1,97 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+
+describe("vault:statement task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const day = 24 * 3600;
+    const format = (amount) => ethers.formatEther(amount);
+
+    // The user deposits 100, the vault makes 1% and, once the profit is unlocked, the user redeems
+    // 40 shares and sends 10 to the owner.
+    async function deployVaultWithUser() {
+        const [owner, user] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, 0, factory.target);
+
+        await vault.setDepositLimit(ethers.MaxUint256);
+        await userDeposit(owner, vault, asset, ethers.parseEther("1000"));
+        await userDeposit(user, vault, asset, ethers.parseEther("100"));
+        const depositedAt = await time.latest();
+        await vault.addStrategy(strategy.target);
+        await vault.updateMaxDebtForStrategy(strategy.target, ethers.MaxUint256);
+        await vault.updateDebt(strategy.target, ethers.parseEther("1100"));
+        await asset.mint(strategy.target, ethers.parseEther("11"));
+        await strategy.report();
+        await vault.processReport(strategy.target);
+        await time.increase(8 * day);
+
+        const redeemTx = await vault.connect(user).redeem(ethers.parseEther("40"), user.address, user.address, 10000, [strategy.target]);
+        const [withdrawn] = await vault.queryFilter(vault.filters.Withdraw(), (await redeemTx.wait()).blockNumber);
+        const redeemed = withdrawn.args.assets;
+        const transferTx = await vault.connect(user).transfer(owner.address, ethers.parseEther("10"));
+        const transferred = await vault.convertToAssets(ethers.parseEther("10"), { blockTag: (await transferTx.wait()).blockNumber });
+
+        return { vault, owner, user, depositedAt, redeemed, transferred };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-statement-"));
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("should replay the position of the user with average cost accounting", async function () {
+        const { vault, owner, user, redeemed, transferred } = await loadFixture(deployVaultWithUser);
+
+        const statement = await hre.run("vault:statement", { vault: vault.target, user: user.address, format: "json", output: path.join(tmpDir, "all.json") });
+
+        expect(statement.reconciled).to.equal(true);
+        expect(statement.period.from).to.equal(null);
+        expect(statement.transactions.map((entry) => [entry.type, entry.counterparty, entry.shares])).to.deep.equal([
+            ["deposit", user.address, "100.0"],
+            ["withdraw", user.address, "40.0"],
+            ["transferOut", owner.address, "10.0"],
+        ]);
+        expect(statement.summary).to.include({
+            deposited: "100.0",
+            withdrawn: format(redeemed),
+            transferredOut: format(transferred),
+            realizedPnl: format(redeemed + transferred - ethers.parseEther("50")),
+        });
+        const closingValue = await vault.convertToAssets(ethers.parseEther("50"));
+        expect(statement.closing).to.include({ shares: "50.0", costBasis: "50.0", value: format(closingValue) });
+        expect(statement.summary.totalPnl).to.equal(format(redeemed + transferred + closingValue - ethers.parseEther("100")));
+        expect(JSON.parse(fs.readFileSync(path.join(tmpDir, "all.json"))).closing.shares).to.equal("50.0");
+    });
+
+    it("should open the period with the position held before it", async function () {
+        const { vault, user, depositedAt } = await loadFixture(deployVaultWithUser);
+        const from = new Date((depositedAt + day) * 1000).toISOString();
+        const output = path.join(tmpDir, "period.csv");
+
+        const statement = await hre.run("vault:statement", { vault: vault.target, user: user.address, from, format: "csv", output });
+
+        expect(statement.opening).to.include({ shares: "100.0", costBasis: "100.0" });
+        expect(statement.transactions.map((entry) => entry.type)).to.deep.equal(["withdraw", "transferOut"]);
+        expect(statement.summary.deposited).to.equal("0.0");
+        expect(fs.readFileSync(output, "utf8").trim().split("\n").length).to.equal(3);
+
+        await expect(hre.run("vault:statement", { vault: vault.target, user: user.address, from: "yesterday" }))
+            .to.be.rejectedWith("Invalid date: yesterday");
+        const twoUsers = `${user.address},${vault.target}`;
+        await expect(hre.run("vault:statement", { vault: vault.target, user: twoUsers }))
+            .to.be.rejectedWith(`--user takes a single address, got "${twoUsers}"`);
+        await expect(hre.run("vault:statement", { vault: "", user: user.address }))
+            .to.be.rejectedWith('--vault takes a single address, got ""');
+    });
+});
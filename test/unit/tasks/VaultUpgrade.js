@@ -0,0 +1,111 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+const { createEnsurer } = require("../../../utils/ensure");
+const { getImplementation, deployVaultPackage, upgradeVaults } = require("../../../utils/vaultUpgrade");
+
+describe("vault:upgrade task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const amount = ethers.parseEther("1000");
+
+    // A vault with funds in a strategy and profit unlocking.
+    async function deployVaultWithStrategy() {
+        const [owner, user] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, 0, factory.target);
+
+        await vault.setDepositLimit(amount * 2n);
+        await userDeposit(user, vault, asset, amount);
+        await vault.addStrategy(strategy.target);
+        await vault.updateMaxDebtForStrategy(strategy.target, amount);
+        await vault.updateDebt(strategy.target, amount / 2n);
+        await asset.mint(strategy.target, ethers.parseEther("10"));
+        await strategy.report();
+        await vault.processReport(strategy.target);
+        await time.increase(3600);
+
+        return { vault, factory, asset, strategy, user };
+    }
+
+    it("should deploy a package and upgrade the vault to it without drift", async function () {
+        const { vault, factory, asset, strategy, user } = await loadFixture(deployVaultWithStrategy);
+        const previous = await getImplementation(ethers, vault.target);
+        const { currentDebt } = await vault.strategies(strategy.target);
+
+        const report = await hre.run("vault:upgrade", { factory: factory.target, addToFactory: true, format: "json", output: "/dev/null" });
+
+        expect(report.package).to.not.equal(previous);
+        expect(report.vaults).to.deep.equal([{ vault: vault.target, previous, status: "upgraded", drift: [] }]);
+        expect(await getImplementation(ethers, vault.target)).to.equal(report.package);
+        expect(await factory.isVaultPackage(report.package)).to.equal(true);
+        expect((await vault.strategies(strategy.target)).currentDebt).to.equal(currentDebt);
+
+        // The upgraded vault keeps working.
+        await userDeposit(user, vault, asset, ethers.parseEther("1"));
+        const again = await hre.run("vault:upgrade", { factory: factory.target, package: report.package, format: "json", output: "/dev/null" });
+        expect(again.vaults.map((result) => result.status)).to.deep.equal(["skipped"]);
+    });
+
+    it("should update the vault package of an old factory", async function () {
+        const { vault } = await loadFixture(deployVaultWithStrategy);
+        const oldFactory = await (await ethers.getContractFactory("MockOldFactory")).deploy();
+        await oldFactory.addVault(vault.target);
+
+        const report = await hre.run("vault:upgrade", { factory: oldFactory.target, addToFactory: true, format: "json", output: "/dev/null" });
+
+        expect(await oldFactory.vaultPackage()).to.equal(report.package);
+        expect(report.vaults.map((result) => result.status)).to.deep.equal(["upgraded"]);
+    });
+
+    it("should roll back an upgrade the state of the vault drifts with", async function () {
+        const { vault, factory } = await loadFixture(deployVaultWithStrategy);
+        const previous = await getImplementation(ethers, vault.target);
+        const totalAssets = await vault.totalAssets();
+        // Not a VaultPackage: every getter of the vault fails behind it.
+        const wrongPackage = await (await ethers.getContractFactory("FactoryPackage")).deploy();
+
+        await expect(hre.run("vault:upgrade", { factory: factory.target, package: wrongPackage.target, format: "json", output: "/dev/null" }))
+            .to.be.rejectedWith(new RegExp(`^Vault ${vault.target} drifted after the upgrade and was rolled back: asset, name, .*defaultQueue`));
+
+        expect(await getImplementation(ethers, vault.target)).to.equal(previous);
+        expect(await vault.totalAssets()).to.equal(totalAssets);
+    });
+
+    it("should check an upgrade a previous run sent, next to a deposit in the same block", async function () {
+        const { vault, asset, user } = await loadFixture(deployVaultWithStrategy);
+        const [owner] = await ethers.getSigners();
+        const previous = await getImplementation(ethers, vault.target);
+        const packageAddr = await deployVaultPackage(hre, owner);
+        const proxy = await ethers.getContractAt("FathomVault", vault.target);
+        const deposit = ethers.parseEther("1");
+        await asset.mint(user.address, deposit);
+        await asset.connect(user).approve(vault.target, deposit);
+
+        // The run died after sending setImplementation, which was mined with a deposit.
+        await network.provider.send("evm_setAutomine", [false]);
+        const depositTx = await vault.connect(user).deposit(deposit, user.address);
+        const upgradeTx = await proxy.setImplementation(packageAddr, "0x");
+        await network.provider.send("evm_mine");
+        await network.provider.send("evm_setAutomine", [true]);
+        expect((await depositTx.wait()).blockNumber).to.equal((await upgradeTx.wait()).blockNumber);
+
+        const progressFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vault-upgrade-")), "progress.json");
+        const label = `Set implementation of ${vault.target} to ${packageAddr}`;
+        fs.writeFileSync(progressFile, JSON.stringify({ [label]: { status: "pending", tx: upgradeTx.hash } }));
+        const ensure = createEnsurer(hre, { progressFile, log: () => {} });
+
+        const results = await upgradeVaults(ethers, [vault.target], packageAddr, owner, { ensure });
+
+        expect(results).to.deep.equal([{ vault: vault.target, previous, status: "upgraded", drift: [] }]);
+        fs.rmSync(path.dirname(progressFile), { recursive: true });
+    });
+});
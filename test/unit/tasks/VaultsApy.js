@@ -0,0 +1,92 @@
+const {
+    loadFixture,
+    time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory, userDeposit } = require("../../utils/helper");
+
+describe("vaults:apy task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const day = 24 * 3600;
+    const amount = ethers.parseEther("1000");
+    const profit = ethers.parseEther("10");
+
+    // 10 days after the first deposit the strategy reports a 1% gain, which then unlocks over a week.
+    async function deployVaultWithReport() {
+        const [owner] = await ethers.getSigners();
+        const { vault, factory, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        // The strategy passes its profit on to the vault right away.
+        const strategy = await createStrategy(owner, vault, 0, factory.target);
+
+        await vault.setDepositLimit(amount);
+        await userDeposit(owner, vault, asset, amount);
+        await vault.addStrategy(strategy.target);
+        await vault.updateMaxDebtForStrategy(strategy.target, amount);
+        await vault.updateDebt(strategy.target, amount);
+
+        await time.increase(10 * day);
+        await asset.mint(strategy.target, profit);
+        await strategy.report();
+        await vault.processReport(strategy.target);
+        await time.increase(profitMaxUnlockTime / 2);
+
+        return { vault, factory, strategy };
+    }
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vaults-apy-"));
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it("should compute the vault APR/APY from the share price and the strategy APR from its reports", async function () {
+        const { vault, factory, strategy } = await loadFixture(deployVaultWithReport);
+        await ethers.provider.send("evm_mine", []);
+
+        const [apy] = await hre.run("vaults:apy", { factory: factory.target, points: 5 });
+
+        const pricePerShare = await vault.pricePerShare();
+        const growth = Number(pricePerShare) / 1e18;
+        expect(apy.pricePerShare).to.equal(pricePerShare);
+        // The share price didn't move before the report.
+        expect(apy.windows["7d"].apr).to.be.closeTo(((growth - 1) * 365) / 7, 1e-3);
+        expect(apy.windows["7d"].apy).to.be.greaterThan(apy.windows["7d"].apr);
+        expect(apy.windows.inception.days).to.be.closeTo(13.5, 0.01);
+        expect(apy.windows["30d"]).to.equal(null);
+
+        // Half of the shares of the profit, net of the 1% performance fee, are still locked.
+        const { profitUnlocking } = apy;
+        expect(profitUnlocking.lockedProfit).to.be.closeTo(ethers.parseEther("4.975"), ethers.parseEther("0.005"));
+        expect(profitUnlocking.projectedPricePerShare).to.be.greaterThan(pricePerShare);
+        expect(profitUnlocking.unlockingApr).to.be.closeTo((9.9 / 1010) * 52.14, 0.01);
+
+        // 1% over 10 days.
+        const [strategyApy] = apy.strategies;
+        expect(strategyApy.strategy).to.equal(strategy.target);
+        expect(strategyApy.windows.inception.apr).to.be.closeTo(0.365, 0.001);
+        expect(strategyApy.windows.inception.netApr).to.be.closeTo(0.365 * 0.99, 0.001);
+        expect(strategyApy.windows["7d"].reports).to.equal(1);
+
+        expect(apy.series.length).to.equal(5);
+        expect(apy.series[0].block).to.equal(apy.inception.block);
+        const prices = apy.series.map((sample) => sample.pricePerShare);
+        expect(prices).to.deep.equal([...prices].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)));
+    });
+
+    it("should write the share price time series as csv", async function () {
+        const { factory } = await loadFixture(deployVaultWithReport);
+        const output = path.join(tmpDir, "apy.csv");
+
+        await hre.run("vaults:apy", { factory: factory.target, points: 3, format: "csv", output });
+
+        const lines = fs.readFileSync(output, "utf8").trim().split("\n");
+        expect(lines[0]).to.equal("vault,block,timestamp,pricePerShare,sharePrice,totalAssets,totalSupply,lockedShares");
+        expect(lines.length).to.equal(4);
+    });
+});
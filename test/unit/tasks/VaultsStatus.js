@@ -0,0 +1,74 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, addStrategyToVault, addDebtToStrategy, userDeposit, deployVaultThroughFactory } = require("../../utils/helper");
+
+describe("vaults:status task", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+
+    async function deployFleet() {
+        const [owner] = await ethers.getSigners();
+        const { vault, factory, asset, accountant } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        await vault.setDepositLimit(ethers.parseEther("1000"));
+        await userDeposit(owner, vault, asset, ethers.parseEther("100"));
+
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+        const strategyParams = await addStrategyToVault(owner, strategy, vault);
+        await addDebtToStrategy(owner, strategy, vault, ethers.parseEther("50"), ethers.parseEther("40"), strategyParams, vault);
+
+        return { vault, factory, strategy, accountant };
+    }
+
+    it("should return the state of every vault and strategy", async function () {
+        const { vault, factory, strategy, accountant } = await loadFixture(deployFleet);
+
+        const [status] = await hre.run("vaults:status", { factory: factory.target });
+
+        expect(status.address).to.equal(vault.target);
+        expect(status.totalAssets).to.equal(ethers.parseEther("100"));
+        expect(status.totalIdle).to.equal(ethers.parseEther("60"));
+        expect(status.totalDebt).to.equal(ethers.parseEther("40"));
+        expect(status.depositLimit).to.equal(ethers.parseEther("1000"));
+        expect(status.profitMaxUnlockTime).to.equal(profitMaxUnlockTime);
+        expect(status.shutdown).to.equal(false);
+        expect(status.accountant).to.equal(accountant.target);
+        expect(status.strategies).to.have.lengthOf(1);
+        expect(status.strategies[0].address).to.equal(strategy.target);
+        expect(status.strategies[0].currentDebt).to.equal(ethers.parseEther("40"));
+        expect(status.strategies[0].maxDebt).to.equal(ethers.parseEther("50"));
+    });
+
+    it("should write json and csv reports", async function () {
+        const { vault, factory, strategy } = await loadFixture(deployFleet);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vaults-status-"));
+
+        const jsonFile = path.join(dir, "status.json");
+        await hre.run("vaults:status", { factory: factory.target, format: "json", output: jsonFile });
+        const json = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+        expect(json[0].address).to.equal(vault.target);
+        expect(json[0].totalDebt).to.equal(ethers.parseEther("40").toString());
+
+        const csvFile = path.join(dir, "status.csv");
+        await hre.run("vaults:status", { factory: factory.target, format: "csv", output: csvFile });
+        const [header, row] = fs.readFileSync(csvFile, "utf8").trim().split("\n");
+        expect(header.split(",")).to.include.members(["vault", "totalAssets", "strategy", "currentDebt", "maxDebt", "lastReport"]);
+        expect(row).to.contain(vault.target);
+        expect(row).to.contain(strategy.target);
+
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it("should revert on an unknown format", async function () {
+        const { factory } = await loadFixture(deployFleet);
+
+        await expect(hre.run("vaults:status", { factory: factory.target, format: "xml" }))
+            .to.be.rejectedWith("Unknown format");
+    });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers, deployments } = hre;
+const { getAddressBook } = require("../../../utils/addressBook");
+
+describe("Address book", function () {
+
+    const configFile = path.join(__dirname, "..", "..", "..", "addresses", "hardhat.json");
+
+    afterEach(async function () {
+        await deployments.delete("Factory");
+        await deployments.delete("Investor");
+        fs.rmSync(configFile, { force: true });
+    });
+
+    it("should resolve addresses from the network deployments", async function () {
+        const [owner, otherAccount] = await ethers.getSigners();
+        await deployments.save("Factory", { address: owner.address.toLowerCase(), abi: [] });
+        await deployments.save("Investor", { address: otherAccount.address, abi: [] });
+
+        const addressBook = getAddressBook(hre);
+
+        expect(addressBook.network).to.equal("hardhat");
+        expect(await addressBook.get("factory")).to.equal(owner.address);
+        expect(await addressBook.get("Investor")).to.equal(otherAccount.address);
+    });
+
+    it("should fail loudly when an address is missing", async function () {
+        const addressBook = getAddressBook(hre);
+
+        expect(await addressBook.getOrNull("factory")).to.equal(null);
+        await expect(addressBook.get("factory"))
+            .to.be.rejectedWith('Address "factory" is not known on network hardhat');
+    });
+
+    it("should prefer an explicit address over the address book", async function () {
+        const [owner] = await ethers.getSigners();
+        const addressBook = getAddressBook(hre);
+
+        expect(await addressBook.resolve(owner.address.toLowerCase(), "factory")).to.equal(owner.address);
+        await expect(addressBook.resolve("0x1234", "factory"))
+            .to.be.rejectedWith('Invalid address for "factory"');
+    });
+
+    it("should let deploy scripts prefer what they deployed over the configured address", async function () {
+        const [owner, otherAccount] = await ethers.getSigners();
+        fs.writeFileSync(configFile, JSON.stringify({ factory: otherAccount.address }));
+        await deployments.save("Factory", { address: owner.address, abi: [] });
+
+        expect(await getAddressBook(hre).get("factory")).to.equal(otherAccount.address);
+        expect(await getAddressBook(hre, { preferDeployments: true }).get("factory")).to.equal(owner.address);
+
+        await deployments.delete("Factory");
+        expect(await getAddressBook(hre, { preferDeployments: true }).get("factory")).to.equal(otherAccount.address);
+    });
+
+    it("should resolve the addresses of the forked network on a fork", async function () {
+        const xdc = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "..", "addresses", "xdc.json"), "utf8"));
+        hre.forkedNetwork = "xdc";
+        try {
+            const addressBook = getAddressBook(hre);
+            expect(addressBook.network).to.equal("xdc");
+            expect(await addressBook.get("asset")).to.equal(ethers.getAddress(xdc.asset));
+            await expect(addressBook.get("Investor")).to.be.rejectedWith('Address "Investor" is not known on network xdc');
+        } finally {
+            delete hre.forkedNetwork;
+        }
+    });
+});
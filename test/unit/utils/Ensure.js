@@ -0,0 +1,76 @@
+const {
+    loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createStrategy, deployVaultThroughFactory } = require("../../utils/helper");
+const { createEnsurer } = require("../../../utils/ensure");
+
+describe("Ensure layer", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const log = () => {};
+
+    async function deployVault() {
+        const [owner, otherAccount] = await ethers.getSigners();
+        const { vault, factory } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        const strategy = await createStrategy(owner, vault, profitMaxUnlockTime, factory.target);
+
+        return { vault, strategy, owner, otherAccount };
+    }
+
+    it("should only send transactions that change state", async function () {
+        const { vault, strategy, otherAccount } = await loadFixture(deployVault);
+        const ensure = createEnsurer(hre, { log });
+
+        await ensure.role(vault, "STRATEGY_MANAGER", otherAccount.address);
+        await ensure.depositLimit(vault, 1000n);
+        await ensure.strategyAdded(vault, strategy.target);
+        await ensure.maxDebt(vault, strategy.target, 500n);
+        await ensure.keeper(strategy, otherAccount.address.toLowerCase());
+        expect(ensure.actions.map((action) => action.status)).to.deep.equal(["sent", "sent", "sent", "sent", "sent"]);
+
+        const again = createEnsurer(hre, { log });
+        await again.role(vault, "STRATEGY_MANAGER", otherAccount.address);
+        await again.depositLimit(vault, 1000n);
+        await again.strategyAdded(vault, strategy.target);
+        await again.maxDebt(vault, strategy.target, 500n);
+        await again.keeper(strategy, otherAccount.address);
+        expect(again.actions.map((action) => action.status)).to.deep.equal(["skipped", "skipped", "skipped", "skipped", "skipped"]);
+    });
+
+    it("should set the deposit limit to max before setting a deposit limit module", async function () {
+        const { vault, otherAccount } = await loadFixture(deployVault);
+        const ensure = createEnsurer(hre, { log });
+
+        await ensure.depositLimit(vault, 1000n);
+        await ensure.depositLimitModule(vault, otherAccount.address);
+
+        expect(await vault.depositLimit()).to.equal(ethers.MaxUint256);
+        expect(await vault.depositLimitModule()).to.equal(otherAccount.address);
+    });
+
+    it("should record progress and wait for a pending transaction on resume", async function () {
+        const { vault } = await loadFixture(deployVault);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ensure-"));
+        const progressFile = path.join(dir, "progress.json");
+
+        // A run that died right after sending the transaction
+        const tx = await vault.setMinimumTotalIdle(10n);
+        const label = `Set minimum total idle of ${vault.target} to 10`;
+        fs.writeFileSync(progressFile, JSON.stringify({ [label]: { status: "pending", tx: tx.hash } }));
+
+        const ensure = createEnsurer(hre, { progressFile, log });
+        await ensure.minimumTotalIdle(vault, 10n);
+
+        expect(ensure.actions).to.deep.equal([{ step: label, status: "skipped" }]);
+        const progress = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+        expect(progress[label]).to.include({ status: "done", tx: tx.hash });
+
+        fs.rmSync(dir, { recursive: true });
+    });
+});
@@ -0,0 +1,98 @@
+const {
+    time,
+    loadFixture,
+  } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { userDeposit, deployVaultThroughFactory, signVaultPermit } = require("../../utils/helper");
+const { Vault, buildPermitTypedData, permitDomainSeparator, recoverPermitSigner } = require("../../../sdk");
+
+describe("Vault permit", function () {
+
+    const profitMaxUnlockTime = 604800; // 1 week in seconds
+    const amount = ethers.parseEther("1000");
+
+    async function deployVaultWithShares() {
+        const [owner, otherAccount, relayer] = await ethers.getSigners();
+        const { vault, asset } = await deployVaultThroughFactory(owner, profitMaxUnlockTime);
+        await vault.setDepositLimit(amount);
+        await userDeposit(owner, vault, asset, amount);
+        const deadline = BigInt(await time.latest()) + 3600n;
+
+        return { vault, asset, owner, otherAccount, relayer, deadline };
+    }
+
+    it("Should accept a signed permit and spend the nonce", async function () {
+        const { vault, owner, otherAccount, relayer, deadline } = await loadFixture(deployVaultWithShares);
+        const signed = await signVaultPermit(owner, vault, otherAccount.address, amount, deadline);
+        const domain = await new Vault(vault.target, owner).permitDomain();
+
+        expect(permitDomainSeparator(domain)).to.equal(await vault.DOMAIN_SEPARATOR());
+        expect(recoverPermitSigner(domain, signed)).to.equal(owner.address);
+
+        await expect(vault.connect(relayer).permit(owner.address, otherAccount.address, amount, deadline, signed.v, signed.r, signed.s))
+            .to.emit(vault, 'Approval')
+            .withArgs(owner.address, otherAccount.address, amount);
+        expect(await vault.allowance(owner.address, otherAccount.address)).to.equal(amount);
+        expect(await vault.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should revert an expired permit", async function () {
+        const { vault, owner, otherAccount } = await loadFixture(deployVaultWithShares);
+        const deadline = BigInt(await time.latest()) + 60n;
+        const signed = await signVaultPermit(owner, vault, otherAccount.address, amount, deadline);
+        await time.increase(120);
+
+        await expect(vault.permit(owner.address, otherAccount.address, amount, deadline, signed.v, signed.r, signed.s))
+            .to.be.revertedWithCustomError(vault, 'ERC20PermitExpired');
+        expect(await vault.nonces(owner.address)).to.equal(0);
+    });
+
+    it("Should revert a replayed permit", async function () {
+        const { vault, owner, otherAccount, deadline } = await loadFixture(deployVaultWithShares);
+        const signed = await signVaultPermit(owner, vault, otherAccount.address, amount, deadline);
+        await vault.permit(owner.address, otherAccount.address, amount, deadline, signed.v, signed.r, signed.s);
+        await vault.connect(otherAccount).transferFrom(owner.address, otherAccount.address, amount);
+
+        // The nonce is spent: the signature now recovers to another account.
+        await expect(vault.permit(owner.address, otherAccount.address, amount, deadline, signed.v, signed.r, signed.s))
+            .to.be.revertedWithCustomError(vault, 'ERC20PermitInvalidSignature');
+        expect(await vault.allowance(owner.address, otherAccount.address)).to.equal(0);
+        expect(await vault.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should revert a permit not signed by the owner", async function () {
+        const { vault, owner, otherAccount, deadline } = await loadFixture(deployVaultWithShares);
+        const domain = await new Vault(vault.target, owner).permitDomain();
+        const { types, message } = buildPermitTypedData(domain, { owner: owner.address, spender: otherAccount.address, value: amount, nonce: 0n, deadline });
+        const signed = ethers.Signature.from(await otherAccount.signTypedData(domain, types, message));
+
+        await expect(vault.permit(owner.address, otherAccount.address, amount, deadline, signed.v, signed.r, signed.s))
+            .to.be.revertedWithCustomError(vault, 'ERC20PermitInvalidSignature')
+            .withArgs(otherAccount.address);
+        expect(await vault.allowance(owner.address, otherAccount.address)).to.equal(0);
+    });
+
+    it("Should redeem on behalf of the owner with a permit", async function () {
+        const { vault, asset, owner, otherAccount, relayer, deadline } = await loadFixture(deployVaultWithShares);
+        const shares = ethers.parseEther("400");
+        const signed = await new Vault(vault.target, owner).signPermit(relayer.address, shares, { deadline });
+
+        const { permit, redeem } = await new Vault(vault.target, relayer).redeemWithPermit(signed, { receiver: otherAccount.address });
+
+        expect(permit.event).to.deep.equal({ owner: owner.address, spender: relayer.address, value: shares });
+        expect(redeem.event).to.deep.equal({
+            sender: relayer.address,
+            receiver: otherAccount.address,
+            owner: owner.address,
+            assets: shares,
+            shares,
+        });
+        expect(await vault.balanceOf(owner.address)).to.equal(amount - shares);
+        expect(await asset.balanceOf(otherAccount.address)).to.equal(shares);
+        expect(await vault.allowance(owner.address, relayer.address)).to.equal(0);
+
+        await expect(new Vault(vault.target, otherAccount).redeemWithPermit(signed))
+            .to.be.rejectedWith(`Permit spender ${relayer.address} is not the sender ${otherAccount.address}`);
+    });
+});
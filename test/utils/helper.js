@@ -3,6 +3,7 @@ const { ethers } = require("hardhat");
 const {
     time
   } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { signPermit } = require("../../sdk");
 
 async function userDeposit(user, vault, token, amount) {
     await token.mint(user.address, amount);
@@ -98,4 +99,73 @@ async function initialSetup(asset, vault, owner, maxDebt, debt, amount, profitMa
     return strategy;
 }
 
-module.exports = { userDeposit, checkVaultEmpty, createProfit, createStrategy, addStrategyToVault, addDebtToStrategy, initialSetup };
\ No newline at end of file
+async function deployVaultThroughFactory(owner, profitMaxUnlockTime) {
+    const Asset = await ethers.getContractFactory("Token");
+    const asset = await Asset.deploy("FXD", 18, { gasLimit: "0x1000000" });
+    const assetType = 1; // 1 for Normal / 2 for Deflationary / 3 for Rebasing
+
+    const performanceFee = 100; // 1% of gain
+    const protocolFee = 2000; // 20% of total fee
+
+    const Accountant = await ethers.getContractFactory("GenericAccountant");
+    const accountant = await Accountant.deploy(performanceFee, owner.address, owner.address, { gasLimit: "0x1000000" });
+
+    const VaultLogic = await ethers.getContractFactory("VaultLogic");
+    const vaultLogic = await VaultLogic.deploy({ gasLimit: "0x1000000" });
+
+    const VaultPackage = await ethers.getContractFactory("VaultPackage", {
+        libraries: {
+            "VaultLogic": vaultLogic.target,
+        }
+    });
+    const vaultPackage = await VaultPackage.deploy({ gasLimit: "0x1000000" });
+
+    const FactoryPackage = await ethers.getContractFactory("FactoryPackage");
+    const factoryPackage = await FactoryPackage.deploy({ gasLimit: "0x1000000" });
+
+    const Factory = await ethers.getContractFactory("Factory");
+    const factoryProxy = await Factory.deploy(factoryPackage.target, owner.address, "0x", { gasLimit: "0x1000000" });
+
+    const factory = await ethers.getContractAt("FactoryPackage", factoryProxy.target);
+    await factory.initialize(vaultPackage.target, owner.address, protocolFee);
+    await factory.addVaultPackage(vaultPackage.target);
+
+    await factory.deployVault(
+        vaultPackage.target,
+        profitMaxUnlockTime,
+        assetType,
+        asset.target,
+        "Vault Shares FXD",
+        "vFXD",
+        accountant.target,
+        owner.address
+    );
+    const vaults = await factory.getVaults();
+    const vault = await ethers.getContractAt("VaultPackage", vaults[vaults.length - 1]);
+
+    const STRATEGY_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("STRATEGY_MANAGER"));
+    const REPORTING_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("REPORTING_MANAGER"));
+    const DEBT_PURCHASER = ethers.keccak256(ethers.toUtf8Bytes("DEBT_PURCHASER"));
+
+    await vault.grantRole(STRATEGY_MANAGER, owner.address);
+    await vault.grantRole(REPORTING_MANAGER, owner.address);
+    await vault.grantRole(DEBT_PURCHASER, owner.address);
+
+    return { vault, vaultPackage, vaultLogic, factory, accountant, asset };
+}
+
+// Signs a permit of `value` vault shares of `owner` to `spender`, with the current nonce of `owner` by default.
+async function signVaultPermit(owner, vault, spender, value, deadline, nonce) {
+    const domain = {
+        name: await vault.name(),
+        version: await vault.apiVersion(),
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: vault.target,
+    };
+    if (nonce === undefined) {
+        nonce = await vault.nonces(owner.address);
+    }
+    return signPermit(owner, domain, { spender, value, nonce, deadline });
+}
+
+module.exports = { userDeposit, checkVaultEmpty, createProfit, createStrategy, addStrategyToVault, addDebtToStrategy, initialSetup, deployVaultThroughFactory, signVaultPermit };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+
+const ADDRESSES_DIR = path.join(__dirname, "..", "addresses");
+
+// External addresses that fall back to a hardhat-deploy artifact when the network config leaves them empty.
+const DEPLOYMENT_FALLBACKS = {
+    asset: "Token",
+    factory: "Factory",
+    accountant: "GenericAccountant",
+};
+
+const readNetworkConfig = (networkName) => {
+    const file = path.join(ADDRESSES_DIR, `${networkName}.json`);
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new Error(`Invalid address book ${file}: ${e.message}`);
+    }
+};
+
+// The hardhat-deploy deployment of `name` on `networkName`: from the deployments of the network hardhat
+// runs on, else from deployments/<network>, e.g. for the network the in-process hardhat network forks.
+const readDeployment = async (hre, networkName, name) => {
+    if (networkName === hre.network.name) return hre.deployments.getOrNull(name);
+    const file = path.join(hre.config.paths.deployments, networkName, `${name}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+};
+
+// Resolves contract addresses for `hre.network.name`, or the network the in-process hardhat network forks
+// (`hre.forkedNetwork`, see startFork), first from addresses/<network>.json, then from the hardhat-deploy
+// artifacts of that network. Throws when an address is missing.
+// Deploy scripts set `preferDeployments`: what they deployed in the same run wins over the configured
+// address, e.g. the Factory of deploy/0_deploy.js over the old factory of addresses/xdc.json.
+const getAddressBook = (hre, { preferDeployments = false } = {}) => {
+    const { ethers, deployments } = hre;
+    const networkName = hre.forkedNetwork || hre.network.name;
+    const config = readNetworkConfig(networkName);
+
+    const fromConfig = (name) => {
+        const configured = config[name];
+        if (!configured) return null;
+        if (!ethers.isAddress(configured)) {
+            throw new Error(`Invalid address for "${name}" in addresses/${networkName}.json: ${configured}`);
+        }
+        return ethers.getAddress(configured);
+    };
+
+    // On a fork, what was deployed in the run first, then the artifacts of the forked network.
+    const fromDeployments = async (name) => {
+        const contractName = DEPLOYMENT_FALLBACKS[name] || name;
+        const deployment = (await deployments.getOrNull(contractName)) || (hre.forkedNetwork ? await readDeployment(hre, hre.forkedNetwork, contractName) : null);
+        return deployment ? ethers.getAddress(deployment.address) : null;
+    };
+
+    const find = async (name) => {
+        if (preferDeployments) {
+            return (await fromDeployments(name)) || fromConfig(name);
+        }
+        return fromConfig(name) || (await fromDeployments(name));
+    };
+
+    const get = async (name) => {
+        const address = await find(name);
+        if (!address) {
+            throw new Error(
+                `Address "${name}" is not known on network ${networkName}: ` +
+                    `set it in addresses/${networkName}.json or deploy ${DEPLOYMENT_FALLBACKS[name] || name} first`
+            );
+        }
+        return address;
+    };
+
+    // Returns `value` when it was given explicitly (e.g. as a task param), else the address book entry.
+    const resolve = async (value, name) => {
+        if (!value) return get(name);
+        if (!ethers.isAddress(value)) {
+            throw new Error(`Invalid address for "${name}": ${value}`);
+        }
+        return ethers.getAddress(value);
+    };
+
+    return { network: networkName, get, getOrNull: find, resolve };
+};
+
+module.exports = { readDeployment, getAddressBook };
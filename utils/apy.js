@@ -0,0 +1,216 @@
+const { queryFilterChunked, byChainOrder } = require("./events");
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+const WINDOWS = { "7d": 7 * 24 * 3600, "30d": 30 * 24 * 3600 };
+
+// a / b as a float, for bigints too large for Number.
+const ratio = (a, b) => Number((a * 10n ** 18n) / b) / 1e18;
+
+// APR and APY of a growth factor (end value / start value) realized over `seconds`,
+// the APY compounding every `seconds`.
+const annualize = (growth, seconds) => ({
+    apr: ((growth - 1) * SECONDS_PER_YEAR) / seconds,
+    apy: Math.pow(growth, SECONDS_PER_YEAR / seconds) - 1,
+});
+
+// The last block mined at or before `timestamp`, searched between the blocks `low` and `high`.
+const findBlockByTimestamp = async (provider, timestamp, low, high) => {
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if ((await provider.getBlock(mid)).timestamp <= timestamp) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+};
+
+// State of the vault at `blockNumber`, from historical calls (the RPC has to serve them).
+const sampleVault = async (ethers, vault, blockNumber, decimals) => {
+    const blockTag = blockNumber;
+    const pricePerShare = await vault.pricePerShare({ blockTag });
+    return {
+        vault: vault.target,
+        block: blockNumber,
+        timestamp: (await ethers.provider.getBlock(blockNumber)).timestamp,
+        pricePerShare,
+        sharePrice: ethers.formatUnits(pricePerShare, decimals),
+        totalAssets: await vault.totalAssets({ blockTag }),
+        totalSupply: await vault.totalSupply({ blockTag }),
+        lockedShares: await vault.balanceOf(vault.target, { blockTag }),
+    };
+};
+
+const priceWindow = (start, end) => {
+    const seconds = end.timestamp - start.timestamp;
+    if (seconds <= 0 || start.pricePerShare === 0n) return null;
+    return {
+        fromBlock: start.block,
+        toBlock: end.block,
+        days: seconds / 86400,
+        ...annualize(ratio(end.pricePerShare, start.pricePerShare), seconds),
+    };
+};
+
+// Profit still locked in the vault shares and the APR at which it unlocks now: the share price only
+// grows with the profit as it unlocks over profitMaxUnlockTime, so recent reports are not fully in it yet.
+const getProfitUnlocking = async (vault, { block, timestamp, totalAssets, totalSupply, lockedShares }, decimals) => {
+    const blockTag = block;
+    const fullProfitUnlockDate = await vault.fullProfitUnlockDate({ blockTag });
+    const unlocking = fullProfitUnlockDate > BigInt(timestamp) && totalAssets > 0n;
+    const sharesPerYear = unlocking
+        ? ((await vault.profitUnlockingRate({ blockTag })) * BigInt(SECONDS_PER_YEAR)) / (await vault.MAX_BPS_EXTENDED())
+        : 0n;
+    const unlockedSupply = totalSupply - lockedShares;
+    return {
+        lockedShares,
+        lockedProfit: await vault.convertToAssets(lockedShares, { blockTag }),
+        fullProfitUnlockDate,
+        projectedPricePerShare: unlockedSupply > 0n ? (totalAssets * 10n ** decimals) / unlockedSupply : 0n,
+        unlockingApr: unlocking ? ratio(await vault.convertToAssets(sharesPerYear, { blockTag }), totalAssets) : 0,
+    };
+};
+
+// Realized APR of a strategy over its reports: (gain - loss) over the debt it held, weighted by the time
+// since its previous report (or its activation). netApr also takes the fees out. The APY compounds at the
+// average period between reports.
+const strategyWindow = (reports, since) => {
+    const inWindow = reports.filter((report) => report.timestamp > since);
+    let pnl = 0n;
+    let fees = 0n;
+    let debtSeconds = 0n;
+    let seconds = 0;
+    for (const report of inWindow) {
+        pnl += report.gain - report.loss;
+        fees += report.totalFees;
+        debtSeconds += report.debtBefore * BigInt(report.period);
+        seconds += report.period;
+    }
+    if (debtSeconds === 0n) return null;
+
+    const apr = ratio(pnl * BigInt(SECONDS_PER_YEAR), debtSeconds);
+    const netApr = ratio((pnl - fees) * BigInt(SECONDS_PER_YEAR), debtSeconds);
+    const period = seconds / inWindow.length;
+    return {
+        reports: inWindow.length,
+        apr,
+        apy: annualize(1 + (apr * period) / SECONDS_PER_YEAR, period).apy,
+        netApr,
+        netApy: annualize(1 + (netApr * period) / SECONDS_PER_YEAR, period).apy,
+    };
+};
+
+const getStrategyApys = async (ethers, vault, reportEvents, windowStarts) => {
+    const byStrategy = new Map();
+    for (const event of reportEvents) {
+        const [strategy, gain, loss, currentDebt, , totalFees] = event.args;
+        const timestamp = (await ethers.provider.getBlock(event.blockNumber)).timestamp;
+        if (!byStrategy.has(strategy)) {
+            // A revoked strategy has no activation anymore: its first report only opens a period.
+            const activation = Number((await vault.strategies(strategy)).activation);
+            byStrategy.set(strategy, { lastTimestamp: activation || timestamp, reports: [] });
+        }
+        const entry = byStrategy.get(strategy);
+        entry.reports.push({
+            timestamp,
+            period: Math.max(timestamp - entry.lastTimestamp, 0),
+            gain,
+            loss,
+            totalFees,
+            debtBefore: currentDebt - gain + loss,
+        });
+        entry.lastTimestamp = timestamp;
+    }
+
+    const rows = [];
+    for (const [strategy, { reports }] of byStrategy) {
+        const windows = {};
+        for (const [name, since] of Object.entries(windowStarts)) {
+            windows[name] = since === null ? null : strategyWindow(reports, since);
+        }
+        rows.push({ strategy, reports: reports.length, windows });
+    }
+    return rows;
+};
+
+// APR/APY of a vault over the last 7 and 30 days and since its first deposit, from its share price,
+// the APR/APY of its strategies from their StrategyReported events, and `points` samples of the
+// share price from the first deposit to `toBlock` for charts. Windows longer than the history are null.
+const getVaultApy = async (ethers, vaultAddr, { fromBlock = 0, toBlock, chunkSize = 100000, points = 30 } = {}) => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+    const decimals = await vault.decimals();
+    const lastBlock = toBlock === undefined ? await ethers.provider.getBlockNumber() : toBlock;
+    const range = { fromBlock, toBlock: lastBlock, chunkSize };
+
+    const [firstDeposit] = (await queryFilterChunked(vault, vault.filters.Deposit(), range)).sort(byChainOrder);
+    if (!firstDeposit) {
+        return { vault: vaultAddr, name: await vault.name(), inception: null, windows: {}, profitUnlocking: null, strategies: [], series: [] };
+    }
+
+    const inception = await sampleVault(ethers, vault, firstDeposit.blockNumber, decimals);
+    const latest = await sampleVault(ethers, vault, lastBlock, decimals);
+
+    const windows = { inception: priceWindow(inception, latest) };
+    const windowStarts = { inception: inception.timestamp };
+    for (const [name, seconds] of Object.entries(WINDOWS)) {
+        const since = latest.timestamp - seconds;
+        if (since < inception.timestamp) {
+            windows[name] = null;
+            windowStarts[name] = null;
+            continue;
+        }
+        // The vault at `since` is in the state of the last block mined before.
+        const start = await findBlockByTimestamp(ethers.provider, since, inception.block, lastBlock);
+        windows[name] = priceWindow({ ...(await sampleVault(ethers, vault, start, decimals)), timestamp: since }, latest);
+        windowStarts[name] = since;
+    }
+
+    const series = [];
+    const steps = Math.max(points - 1, 1);
+    for (let i = 0; i <= steps; i++) {
+        const block = inception.block + Math.round(((lastBlock - inception.block) * i) / steps);
+        if (series.length === 0 || series[series.length - 1].block !== block) {
+            series.push(await sampleVault(ethers, vault, block, decimals));
+        }
+    }
+
+    const reports = (await queryFilterChunked(vault, vault.filters.StrategyReported(), range)).sort(byChainOrder);
+    return {
+        vault: vaultAddr,
+        name: await vault.name(),
+        inception: { block: inception.block, timestamp: inception.timestamp },
+        pricePerShare: latest.pricePerShare,
+        windows,
+        profitUnlocking: await getProfitUnlocking(vault, latest, decimals),
+        strategies: await getStrategyApys(ethers, vault, reports, windowStarts),
+        series,
+    };
+};
+
+// One row per vault/strategy and window, for tables.
+const flattenVaultApy = ({ vault, windows, strategies }) => {
+    const rows = [];
+    // The share price is already net of fees, netApr is for strategies only.
+    const push = (strategy, name, window) => {
+        rows.push({
+            vault,
+            strategy,
+            window: name,
+            apr: window ? window.apr : null,
+            apy: window ? window.apy : null,
+            netApr: window && strategy ? window.netApr : null,
+        });
+    };
+    for (const [name, window] of Object.entries(windows)) {
+        push("", name, window);
+    }
+    for (const { strategy, windows: strategyWindows } of strategies) {
+        for (const [name, window] of Object.entries(strategyWindows)) {
+            push(strategy, name, window);
+        }
+    }
+    return rows;
+};
+
+module.exports = { SECONDS_PER_YEAR, annualize, findBlockByTimestamp, getVaultApy, flattenVaultApy };
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const parseAddressList = (ethers, list) => {
+    if (!list) return [];
+    return list
+        .split(",")
+        .map((address) => address.trim())
+        .filter((address) => address.length > 0)
+        .map((address) => {
+            if (!ethers.isAddress(address)) {
+                throw new Error(`Invalid address: ${address}`);
+            }
+            return ethers.getAddress(address);
+        });
+};
+
+// A param that takes exactly one address, `name` being its command line flag without the dashes.
+const parseAddress = (ethers, value, name) => {
+    const addresses = parseAddressList(ethers, value);
+    if (addresses.length !== 1) {
+        throw new Error(`--${name} takes a single address, got "${value}"`);
+    }
+    return addresses[0];
+};
+
+// The YAML core schema reads an unquoted 0x... address as a hex number, so only decimal integers are
+// numbers here and everything else that isn't null, a boolean or a float stays a string.
+const CONFIG_SCHEMA = yaml.FAILSAFE_SCHEMA.extend({
+    implicit: [
+        yaml.types.null,
+        yaml.types.bool,
+        new yaml.Type("tag:yaml.org,2002:int", {
+            kind: "scalar",
+            resolve: (data) => data !== null && /^[-+]?(0|[1-9][0-9]*)$/.test(data),
+            construct: (data) => parseInt(data, 10),
+            predicate: (object) => Number.isInteger(object),
+        }),
+        yaml.types.float,
+    ],
+});
+
+// Reads a YAML or JSON config file, `label` names it in the parse error.
+const readConfigFile = (file, label) => {
+    const content = fs.readFileSync(file, "utf8");
+    try {
+        return path.extname(file).toLowerCase() === ".json" ? JSON.parse(content) : yaml.load(content, { schema: CONFIG_SCHEMA });
+    } catch (e) {
+        throw new Error(`Invalid ${label} ${file}: ${e.message}`);
+    }
+};
+
+const toPlain = (value) => {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value !== null && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlain(v)]));
+    }
+    return value;
+};
+
+const escapeCsv = (value) => {
+    if (value === undefined || value === null) return "";
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCsv = (rows) => {
+    if (rows.length === 0) return "";
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const lines = [columns.join(",")];
+    for (const row of rows) {
+        lines.push(columns.map((column) => escapeCsv(toPlain(row[column]))).join(","));
+    }
+    return lines.join("\n") + "\n";
+};
+
+// Prints `data` as a table, or serializes it to JSON/CSV on stdout or into `output`.
+// CSV needs flat rows, so callers pass `csvRows` when `data` is nested.
+const writeReport = (data, { format = "table", output = "", csvRows } = {}) => {
+    let content;
+    switch (format) {
+        case "table":
+            console.table(toPlain(csvRows || data));
+            return;
+        case "json":
+            content = JSON.stringify(toPlain(data), null, 2) + "\n";
+            break;
+        case "csv":
+            content = toCsv(csvRows || data);
+            break;
+        default:
+            throw new Error(`Unknown format: ${format} (expected table, json or csv)`);
+    }
+
+    if (output) {
+        fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+        fs.writeFileSync(output, content);
+        console.log("Report written to = ", output);
+    } else {
+        process.stdout.write(content);
+    }
+};
+
+module.exports = { parseAddressList, parseAddress, readConfigFile, toPlain, toCsv, writeReport };
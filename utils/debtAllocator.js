@@ -0,0 +1,141 @@
+const { readConfigFile } = require("./cli");
+
+const MAX_BPS = 10000n;
+
+// Loads a debt allocation config (YAML or JSON):
+//   vault: <address>            # optional, can be given on the command line
+//   targets:
+//     - strategy: <address>
+//       ratio: 6000             # share of the allocatable assets, in bps
+const loadAllocation = (file) => readConfigFile(file, "debt allocation");
+
+// Returns the list of problems found in `allocation`, empty when it is valid.
+const validateAllocation = (ethers, allocation) => {
+    const errors = [];
+    const targets = allocation && allocation.targets;
+    if (!Array.isArray(targets) || targets.length === 0) {
+        return ["targets must be a non-empty list"];
+    }
+
+    let total = 0;
+    const seen = new Set();
+    targets.forEach((target, i) => {
+        if (!target || !ethers.isAddress(target.strategy)) {
+            errors.push(`targets[${i}].strategy must be an address`);
+        } else if (seen.has(target.strategy.toLowerCase())) {
+            errors.push(`targets[${i}].strategy ${target.strategy} is listed twice`);
+        } else {
+            seen.add(target.strategy.toLowerCase());
+        }
+        if (!target || !Number.isInteger(target.ratio) || target.ratio < 0 || target.ratio > Number(MAX_BPS)) {
+            errors.push(`targets[${i}].ratio must be an integer between 0 and ${MAX_BPS}`);
+        } else {
+            total += target.ratio;
+        }
+    });
+    if (total > Number(MAX_BPS)) {
+        errors.push(`ratios add up to ${total}, more than ${MAX_BPS}`);
+    }
+    return errors;
+};
+
+// Computes the updateDebt calls that move the vault towards the target ratios.
+// The allocatable assets are totalAssets - minimumTotalIdle, and every target is capped by the
+// strategy maxDebt. Decreases come first so that the idle they free can fund the increases.
+// Calls that updateDebt would revert are planned as "skip" with the reason:
+// - the new debt equals the current one (DebtDidntChange),
+// - a decrease while the strategy has nothing withdrawable (ZeroValue) or unrealised losses (StrategyHasUnrealisedLosses),
+// - an increase while the strategy accepts no deposit (ZeroValue) or the idle is at the minimum (InsufficientFunds).
+// Decreases and increases are otherwise capped by what the strategy can withdraw / accept and by the idle.
+const planDebtAllocation = async (ethers, vaultAddr, targets) => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+    const totalAssets = await vault.totalAssets();
+    const minimumTotalIdle = await vault.minimumTotalIdle();
+    const shutdown = await vault.shutdown();
+    const allocatable = totalAssets > minimumTotalIdle ? totalAssets - minimumTotalIdle : 0n;
+    let idle = await vault.totalIdle();
+
+    const steps = [];
+    for (const { strategy: strategyAddr, ratio } of targets) {
+        const strategy = ethers.getAddress(strategyAddr);
+        const { activation, currentDebt, maxDebt } = await vault.strategies(strategy);
+        if (activation == 0n) {
+            throw new Error(`Strategy ${strategy} is not active in vault ${vaultAddr}`);
+        }
+
+        // A shutdown vault can only pull funds.
+        let targetDebt = shutdown ? 0n : (allocatable * BigInt(ratio)) / MAX_BPS;
+        if (targetDebt > maxDebt) targetDebt = maxDebt;
+        steps.push({ strategy, ratio, currentDebt, targetDebt, newDebt: currentDebt, action: "skip", reason: "" });
+    }
+
+    for (const step of steps.filter((s) => s.targetDebt < s.currentDebt)) {
+        const strategy = await ethers.getContractAt("IStrategy", step.strategy);
+        const withdrawable = await strategy.convertToAssets(await strategy.maxRedeem(vaultAddr));
+        const strategyAssets = await strategy.convertToAssets(await strategy.balanceOf(vaultAddr));
+        if (withdrawable == 0n) {
+            step.reason = "nothing withdrawable";
+        } else if (strategyAssets < step.currentDebt) {
+            step.reason = "unrealised losses, report first";
+        } else {
+            const toWithdraw = step.currentDebt - step.targetDebt < withdrawable ? step.currentDebt - step.targetDebt : withdrawable;
+            step.newDebt = step.currentDebt - toWithdraw;
+            step.action = "decrease";
+            step.reason = toWithdraw < step.currentDebt - step.targetDebt ? "capped by withdrawable" : "";
+            idle += toWithdraw;
+        }
+    }
+
+    for (const step of steps.filter((s) => s.targetDebt > s.currentDebt)) {
+        const strategy = await ethers.getContractAt("IStrategy", step.strategy);
+        const maxDeposit = await strategy.maxDeposit(vaultAddr);
+        const availableIdle = idle > minimumTotalIdle ? idle - minimumTotalIdle : 0n;
+        let toDeposit = step.targetDebt - step.currentDebt;
+        if (maxDeposit == 0n) {
+            step.reason = "strategy deposit limit reached";
+        } else if (availableIdle == 0n) {
+            step.reason = "no idle above minimumTotalIdle";
+        } else {
+            if (toDeposit > maxDeposit) {
+                toDeposit = maxDeposit;
+                step.reason = "capped by strategy deposit limit";
+            }
+            if (toDeposit > availableIdle) {
+                toDeposit = availableIdle;
+                step.reason = "capped by idle";
+            }
+            step.newDebt = step.currentDebt + toDeposit;
+            step.action = "increase";
+            idle -= toDeposit;
+        }
+    }
+
+    for (const step of steps.filter((s) => s.targetDebt == s.currentDebt)) {
+        step.reason = "debt unchanged";
+    }
+
+    const order = { decrease: 0, increase: 1, skip: 2 };
+    return steps.sort((a, b) => order[a.action] - order[b.action]);
+};
+
+// Sends the planned updateDebt calls in order. A reverting call is recorded and does not stop
+// the following ones.
+const executeDebtAllocation = async (ethers, vaultAddr, plan, signer) => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr, signer);
+    const results = [];
+    for (const step of plan.filter((s) => s.action !== "skip")) {
+        try {
+            const tx = await vault.updateDebt(step.strategy, step.newDebt);
+            const receipt = await tx.wait();
+            const debtUpdated = receipt.logs
+                .map((log) => vault.interface.parseLog(log))
+                .find((event) => event && event.name === "DebtUpdated");
+            results.push({ strategy: step.strategy, status: "done", newDebt: debtUpdated.args.newDebt, tx: tx.hash });
+        } catch (e) {
+            results.push({ strategy: step.strategy, status: "failed", error: e.shortMessage || e.message });
+        }
+    }
+    return results;
+};
+
+module.exports = { loadAllocation, validateAllocation, planDebtAllocation, executeDebtAllocation };
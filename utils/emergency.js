@@ -0,0 +1,146 @@
+const { roleId } = require("./ensure");
+const { getStrategyType } = require("./strategies");
+
+const isEmergencyAuthorized = async (strategy, account) => {
+    // isEmergencyAuthorized() reverts instead of returning false.
+    try {
+        return await strategy.isEmergencyAuthorized(account);
+    } catch (e) {
+        return false;
+    }
+};
+
+// Loads the vault and its default queue strategies with what the shutdown needs to know about them.
+const loadShutdownTargets = async (ethers, vaultAddr) => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+    const strategies = [];
+    for (const strategyAddr of await vault.getDefaultQueue()) {
+        const { type } = await getStrategyType(ethers, strategyAddr);
+        strategies.push({
+            address: strategyAddr,
+            type,
+            tokenized: await ethers.getContractAt("TokenizedStrategy", strategyAddr),
+            liquidation: type === "liquidation" ? await ethers.getContractAt("LiquidationStrategy", strategyAddr) : null,
+        });
+    }
+    return { vault, strategies };
+};
+
+// Returns one row per permission the shutdown of the vault needs from `account`.
+const checkShutdownPermissions = async (ethers, { vault, strategies }, account, { emergencyWithdraw = false } = {}) => {
+    const rows = [];
+    const shutdown = await vault.shutdown();
+    if (!shutdown) {
+        rows.push({ contract: vault.target, permission: "DEFAULT_ADMIN_ROLE", granted: await vault.hasRole(roleId(ethers, "DEFAULT_ADMIN_ROLE"), account) });
+    }
+
+    let hasDebt = false;
+    for (const strategy of strategies) {
+        hasDebt = hasDebt || (await vault.strategies(strategy.address)).currentDebt > 0n;
+        if (!(await strategy.tokenized.isShutdown()) || (emergencyWithdraw && !strategy.liquidation)) {
+            rows.push({ contract: strategy.address, permission: "isEmergencyAuthorized", granted: await isEmergencyAuthorized(strategy.tokenized, account) });
+        }
+        if (emergencyWithdraw && strategy.liquidation) {
+            rows.push({ contract: strategy.address, permission: "strategyManager", granted: (await strategy.liquidation.strategyManager()) === account });
+        }
+    }
+    if (hasDebt) {
+        rows.push({ contract: vault.target, permission: "STRATEGY_MANAGER", granted: await vault.hasRole(roleId(ethers, "STRATEGY_MANAGER"), account) });
+    }
+    return rows;
+};
+
+// Shuts down every strategy of the vault, optionally withdraws their funds from the yield source,
+// takes all the debt back and shuts down the vault. A failing step is recorded and the sequence goes on,
+// so that the vault gets shut down whatever happens to a strategy.
+// Liquidation strategies can't go through emergencyWithdraw: their shutdownWithdraw and
+// shutdownWithdrawCollateral are called directly and send the funds to their strategy manager.
+const runEmergencyShutdown = async (ethers, { vault, strategies }, signer, { emergencyWithdraw = false, collaterals = [] } = {}) => {
+    const steps = [];
+    const send = async (step, target, call) => {
+        try {
+            const tx = await call();
+            await tx.wait();
+            steps.push({ step, target, status: "sent", tx: tx.hash });
+        } catch (e) {
+            steps.push({ step, target, status: "failed", error: e.shortMessage || e.message });
+        }
+    };
+
+    for (const strategy of strategies) {
+        const tokenized = strategy.tokenized.connect(signer);
+        if (!(await tokenized.isShutdown())) {
+            await send("shutdownStrategy", strategy.address, () => tokenized.shutdownStrategy());
+        }
+
+        if (emergencyWithdraw && strategy.liquidation) {
+            const liquidation = strategy.liquidation.connect(signer);
+            const asset = await ethers.getContractAt("ERC20", await tokenized.asset());
+            const balance = await asset.balanceOf(strategy.address);
+            if (balance > 0n) {
+                await send(`shutdownWithdraw(${balance})`, strategy.address, () => liquidation.shutdownWithdraw(balance));
+            }
+            for (const collateral of collaterals) {
+                const { collateralAmount } = await liquidation.idleCollateral(collateral);
+                if (collateralAmount > 0n) {
+                    await send(`shutdownWithdrawCollateral(${collateral}, ${collateralAmount})`, strategy.address, () =>
+                        liquidation.shutdownWithdrawCollateral(collateral, collateralAmount)
+                    );
+                }
+            }
+        } else if (emergencyWithdraw) {
+            const deployed = await tokenized.totalDebt();
+            if (deployed > 0n) {
+                await send(`emergencyWithdraw(${deployed})`, strategy.address, () => tokenized.emergencyWithdraw(deployed));
+            }
+        }
+
+        if ((await vault.strategies(strategy.address)).currentDebt > 0n) {
+            await send("updateDebt(0)", strategy.address, () => vault.connect(signer).updateDebt(strategy.address, 0));
+        }
+    }
+
+    if (!(await vault.shutdown())) {
+        await send("shutdownVault", vault.target, () => vault.connect(signer).shutdownVault());
+    }
+    return steps;
+};
+
+// What the vault shareholders can get back: the idle of the vault now, plus what the vault can
+// still redeem from the strategies it has debt with. The rest is locked in the strategies.
+const getRecoverableFunds = async (ethers, { vault, strategies }) => {
+    const vaultAddr = vault.target;
+    const rows = [];
+    let recoverableFromStrategies = 0n;
+    for (const strategy of strategies) {
+        const { currentDebt } = await vault.strategies(strategy.address);
+        const withdrawable = await strategy.tokenized.convertToAssets(await strategy.tokenized.maxRedeem(vaultAddr));
+        const recoverable = withdrawable < currentDebt ? withdrawable : currentDebt;
+        recoverableFromStrategies += recoverable;
+        rows.push({
+            strategy: strategy.address,
+            type: strategy.type,
+            isShutdown: await strategy.tokenized.isShutdown(),
+            currentDebt,
+            recoverable,
+            locked: currentDebt - recoverable,
+        });
+    }
+
+    const totalIdle = await vault.totalIdle();
+    const totalDebt = await vault.totalDebt();
+    return {
+        vault: vaultAddr,
+        shutdown: await vault.shutdown(),
+        totalSupply: await vault.totalSupply(),
+        pricePerShare: await vault.pricePerShare(),
+        totalIdle,
+        totalDebt,
+        recoverableNow: totalIdle,
+        recoverableFromStrategies,
+        locked: totalDebt - recoverableFromStrategies,
+        strategies: rows,
+    };
+};
+
+module.exports = { loadShutdownTargets, checkShutdownPermissions, runEmergencyShutdown, getRecoverableFunds };
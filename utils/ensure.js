@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+
+const PROGRESS_DIR = path.join(__dirname, "..", ".ensure");
+
+const isSame = (a, b) => (typeof a === "string" && typeof b === "string" ? a.toLowerCase() === b.toLowerCase() : a == b);
+
+const roleId = (ethers, role) => (role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.keccak256(ethers.toUtf8Bytes(role)));
+
+// Creates an "ensure" layer: every step first checks the on-chain state and only sends
+// a transaction when it differs from the desired one.
+// When `name` is given, the steps are recorded in .ensure/<network>/<name>.json (except on the
+// in-process hardhat network). A step that was sent but not confirmed when the run died is
+// awaited on resume instead of being sent again. `progressFile` overrides the location.
+const createEnsurer = (hre, { name = "", progressFile = null, log = console.log } = {}) => {
+    const { ethers, network } = hre;
+    if (!progressFile && name && network.name !== "hardhat") {
+        progressFile = path.join(PROGRESS_DIR, network.name, `${name}.json`);
+    }
+    const progress = progressFile && fs.existsSync(progressFile) ? JSON.parse(fs.readFileSync(progressFile, "utf8")) : {};
+    const actions = [];
+
+    const record = (step, entry) => {
+        progress[step] = { ...entry, at: new Date().toISOString() };
+        if (!progressFile) return;
+        fs.mkdirSync(path.dirname(progressFile), { recursive: true });
+        fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2) + "\n");
+    };
+
+    const step = async (label, isSet, write) => {
+        const previous = progress[label];
+        if (previous && previous.status === "pending" && previous.tx) {
+            log(`${label} -> Waiting for pending tx ${previous.tx}`);
+            const pendingTx = await ethers.provider.getTransaction(previous.tx);
+            let status = "dropped";
+            if (pendingTx) {
+                status = await pendingTx.wait().then(
+                    () => "done",
+                    () => "failed"
+                );
+            }
+            record(label, { status, tx: previous.tx });
+        }
+
+        if (await isSet()) {
+            log(`${label} -> Skipped`);
+            actions.push({ step: label, status: "skipped" });
+            if (!progress[label] || progress[label].status !== "done") record(label, { status: "done" });
+            return null;
+        }
+
+        log(`${label} ...`);
+        const tx = await write();
+        record(label, { status: "pending", tx: tx.hash });
+        const receipt = await tx.wait();
+        record(label, { status: "done", tx: tx.hash });
+        actions.push({ step: label, status: "sent", tx: tx.hash });
+        return receipt;
+    };
+
+    // The tx of a step a previous run sent but didn't see confirmed, null when there is none.
+    const pendingTx = (label) => (progress[label] && progress[label].status === "pending" ? progress[label].tx || null : null);
+
+    // Whether a step was confirmed by this or a previous run.
+    const isDone = (label) => Boolean(progress[label] && progress[label].status === "done");
+
+    const value = (label, read, desired, write) => step(label, async () => isSame(await read(), desired), write);
+
+    const role = (contract, roleName, account) => {
+        const id = roleId(ethers, roleName);
+        return step(`Grant ${roleName} to ${account} on ${contract.target}`, () => contract.hasRole(id, account), () => contract.grantRole(id, account));
+    };
+
+    const strategyAdded = (vault, strategy) =>
+        step(
+            `Add strategy ${strategy} to ${vault.target}`,
+            async () => (await vault.strategies(strategy)).activation != 0n,
+            () => vault.addStrategy(strategy)
+        );
+
+    const maxDebt = (vault, strategy, newMaxDebt) =>
+        value(
+            `Set max debt of ${strategy} on ${vault.target} to ${newMaxDebt}`,
+            async () => (await vault.strategies(strategy)).maxDebt,
+            newMaxDebt,
+            () => vault.updateMaxDebtForStrategy(strategy, newMaxDebt)
+        );
+
+    const depositLimit = (vault, limit) =>
+        value(`Set deposit limit of ${vault.target} to ${limit}`, () => vault.depositLimit(), limit, () => vault.setDepositLimit(limit));
+
+    // A module can only be set while the deposit limit is max uint256, and the deposit limit
+    // can't be changed while a module is set.
+    const depositLimitModule = async (vault, module) => {
+        if (module !== ethers.ZeroAddress && (await vault.depositLimitModule()) === ethers.ZeroAddress) {
+            await depositLimit(vault, ethers.MaxUint256);
+        }
+        return value(
+            `Set deposit limit module of ${vault.target} to ${module}`,
+            () => vault.depositLimitModule(),
+            module,
+            () => vault.setDepositLimitModule(module)
+        );
+    };
+
+    const minUserDeposit = (vault, amount) =>
+        value(`Set minimum user deposit of ${vault.target} to ${amount}`, () => vault.minUserDeposit(), amount, () => vault.setMinUserDeposit(amount));
+
+    const minimumTotalIdle = (vault, amount) =>
+        value(`Set minimum total idle of ${vault.target} to ${amount}`, () => vault.minimumTotalIdle(), amount, () => vault.setMinimumTotalIdle(amount));
+
+    const accountant = (vault, newAccountant) =>
+        value(`Set accountant of ${vault.target} to ${newAccountant}`, () => vault.accountant(), newAccountant, () => vault.setAccountant(newAccountant));
+
+    // Works for both vaults and TokenizedStrategies.
+    const profitMaxUnlockTime = (contract, time) =>
+        value(
+            `Set profitMaxUnlockTime of ${contract.target} to ${time}`,
+            () => contract.profitMaxUnlockTime(),
+            BigInt(time),
+            () => contract.setProfitMaxUnlockTime(time)
+        );
+
+    const keeper = (strategy, newKeeper) =>
+        value(`Set keeper of ${strategy.target} to ${newKeeper}`, () => strategy.keeper(), newKeeper, () => strategy.setKeeper(newKeeper));
+
+    const emergencyAdmin = (strategy, admin) =>
+        value(`Set emergency admin of ${strategy.target} to ${admin}`, () => strategy.emergencyAdmin(), admin, () => strategy.setEmergencyAdmin(admin));
+
+    const performanceFeeRecipient = (strategy, recipient) =>
+        value(
+            `Set performance fee recipient of ${strategy.target} to ${recipient}`,
+            () => strategy.performanceFeeRecipient(),
+            recipient,
+            () => strategy.setPerformanceFeeRecipient(recipient)
+        );
+
+    return {
+        actions,
+        progressFile,
+        step,
+        pendingTx,
+        isDone,
+        value,
+        role,
+        strategyAdded,
+        maxDebt,
+        depositLimit,
+        depositLimitModule,
+        minUserDeposit,
+        minimumTotalIdle,
+        accountant,
+        profitMaxUnlockTime,
+        keeper,
+        emergencyAdmin,
+        performanceFeeRecipient,
+    };
+};
+
+module.exports = { roleId, createEnsurer };
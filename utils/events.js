@@ -0,0 +1,16 @@
+// Runs `contract.queryFilter` over [fromBlock, toBlock] in chunks of `chunkSize` blocks,
+// since public RPCs limit the block range of eth_getLogs.
+const queryFilterChunked = async (contract, filter, { fromBlock = 0, toBlock = "latest", chunkSize = 100000 } = {}) => {
+    const lastBlock = toBlock === "latest" ? await contract.runner.provider.getBlockNumber() : toBlock;
+    const events = [];
+    for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+        const end = Math.min(start + chunkSize - 1, lastBlock);
+        events.push(...(await contract.queryFilter(filter, start, end)));
+    }
+    return events;
+};
+
+// Sorts events in chain order.
+const byChainOrder = (a, b) => a.blockNumber - b.blockNumber || a.index - b.index;
+
+module.exports = { queryFilterChunked, byChainOrder };
@@ -0,0 +1,129 @@
+const { roleId } = require("./ensure");
+const { queryFilterChunked, byChainOrder } = require("./events");
+
+const PERIODS = ["all", "day", "week", "month"];
+
+// Label of the period `timestamp` falls in: the date for a day, the date of its Monday for a week,
+// the year and month for a month.
+const periodOf = (timestamp, period) => {
+    const date = new Date(timestamp * 1000);
+    switch (period) {
+        case "all":
+            return "all";
+        case "day":
+            return date.toISOString().slice(0, 10);
+        case "week":
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            return date.toISOString().slice(0, 10);
+        default:
+            return date.toISOString().slice(0, 7);
+    }
+};
+
+// Sums the StrategyReported events of a vault per strategy and period. The totalFees of a report go to
+// the accountant, minus the protocolFees the factory's protocolFeeConfig() takes out of them.
+const getFeeTotals = async (ethers, vaultAddr, { fromBlock = 0, toBlock = "latest", chunkSize = 100000, period = "month" } = {}) => {
+    if (!PERIODS.includes(period)) {
+        throw new Error(`Invalid period ${period}: expected one of ${PERIODS.join(", ")}`);
+    }
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+    const events = (await queryFilterChunked(vault, vault.filters.StrategyReported(), { fromBlock, toBlock, chunkSize })).sort(byChainOrder);
+
+    const rows = new Map();
+    for (const event of events) {
+        const [strategy, gain, loss, , protocolFees, totalFees, totalRefunds] = event.args;
+        const label = periodOf((await ethers.provider.getBlock(event.blockNumber)).timestamp, period);
+        const key = `${strategy}-${label}`;
+        if (!rows.has(key)) {
+            rows.set(key, {
+                vault: vaultAddr,
+                strategy,
+                period: label,
+                reports: 0,
+                gain: 0n,
+                loss: 0n,
+                totalFees: 0n,
+                protocolFees: 0n,
+                accountantFees: 0n,
+                totalRefunds: 0n,
+            });
+        }
+        const row = rows.get(key);
+        row.reports++;
+        row.gain += gain;
+        row.loss += loss;
+        row.totalFees += totalFees;
+        row.protocolFees += protocolFees;
+        row.accountantFees += totalFees - protocolFees;
+        row.totalRefunds += totalRefunds;
+    }
+    return [...rows.values()];
+};
+
+// Balances of the accountant in `tokens` (the vault shares it got as fees and the assets of the vaults).
+const getAccountantBalances = async (ethers, accountantAddr, tokens) => {
+    const accountant = await ethers.getContractAt("GenericAccountant", accountantAddr);
+    const balances = [];
+    for (const tokenAddr of tokens) {
+        const token = await ethers.getContractAt("ERC20", tokenAddr);
+        balances.push({ token: tokenAddr, symbol: await token.symbol(), balance: await token.balanceOf(accountantAddr) });
+    }
+    return {
+        accountant: accountantAddr,
+        performanceFee: await accountant.performanceFee(),
+        feeRecipient: await accountant.feeRecipient(),
+        balances,
+    };
+};
+
+// Vault shares held by the fee recipients, and what they are worth.
+const getFeeRecipientHoldings = async (ethers, vaultAddr, recipients) => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+    const rows = [];
+    for (const [holder, account] of Object.entries(recipients)) {
+        const shares = await vault.balanceOf(account);
+        rows.push({ vault: vaultAddr, holder, account, shares, assets: await vault.convertToAssets(shares) });
+    }
+    return rows;
+};
+
+// Throws unless `account` holds DEFAULT_ADMIN_ROLE, which distribute() needs, on every accountant, so
+// that nothing is sent when one of them would fail.
+const checkDistributeRole = async (ethers, accountants, account) => {
+    const missing = [];
+    for (const accountantAddr of accountants) {
+        const accountant = await ethers.getContractAt("GenericAccountant", accountantAddr);
+        if (!(await accountant.hasRole(roleId(ethers, "DEFAULT_ADMIN_ROLE"), account))) missing.push(accountantAddr);
+    }
+    if (missing.length > 0) {
+        throw new Error(`${account} is missing DEFAULT_ADMIN_ROLE on accountant ${missing.join(", ")}`);
+    }
+};
+
+// Calls distribute(token) on the accountant for the tokens it holds at least `minBalance` of, in token
+// units. A token below it is skipped, a failing call is recorded and the next token goes on. The role of
+// the signer is checked first with checkDistributeRole.
+const distributeFees = async (ethers, accountantAddr, tokens, signer, { minBalance = "0" } = {}) => {
+    const accountant = await ethers.getContractAt("GenericAccountant", accountantAddr, signer);
+
+    const results = [];
+    for (const tokenAddr of tokens) {
+        const token = await ethers.getContractAt("ERC20", tokenAddr);
+        const balance = await token.balanceOf(accountantAddr);
+        if (balance === 0n || balance < ethers.parseUnits(minBalance, await token.decimals())) {
+            const reason = balance === 0n ? "nothing to distribute" : `balance below ${minBalance}`;
+            results.push({ accountant: accountantAddr, token: tokenAddr, balance, status: "skipped", reason });
+            continue;
+        }
+        try {
+            const tx = await accountant.distribute(tokenAddr);
+            await tx.wait();
+            results.push({ accountant: accountantAddr, token: tokenAddr, balance, status: "sent", tx: tx.hash });
+        } catch (e) {
+            results.push({ accountant: accountantAddr, token: tokenAddr, balance, status: "failed", error: e.shortMessage || e.message });
+        }
+    }
+    return results;
+};
+
+module.exports = { PERIODS, periodOf, getFeeTotals, getAccountantBalances, getFeeRecipientHoldings, checkDistributeRole, distributeFees };
@@ -0,0 +1,19 @@
+const { parseAddressList } = require("./cli");
+
+// Returns the vaults deployed by `factoryAddr`, narrowed down to the comma-separated `vaultsFilter` if given.
+const getFactoryVaults = async (ethers, factoryAddr, vaultsFilter = "") => {
+    const factory = await ethers.getContractAt("IFactory", ethers.getAddress(factoryAddr));
+    const factoryVaults = await factory.getVaults();
+
+    const requestedVaults = parseAddressList(ethers, vaultsFilter);
+    if (requestedVaults.length === 0) return [...factoryVaults];
+
+    for (const vaultAddr of requestedVaults) {
+        if (!factoryVaults.includes(vaultAddr)) {
+            throw new Error(`Vault ${vaultAddr} is not deployed by factory ${factory.target}`);
+        }
+    }
+    return requestedVaults;
+};
+
+module.exports = { getFactoryVaults };
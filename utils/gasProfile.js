@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const execFile = util.promisify(require("child_process").execFile);
+
+const OPERATIONS = [
+    "deposit",
+    "mint",
+    "withdraw",
+    "redeem",
+    "processReport (accountant fees)",
+    "processReport (no accountant)",
+    "updateDebt (up)",
+    "updateDebt (down)",
+    "buyDebt",
+];
+
+const role = (ethers, name) => ethers.keccak256(ethers.toUtf8Bytes(name));
+
+const gasOf = async (txPromise) => (await (await txPromise).wait()).gasUsed;
+
+// A factory vault with `strategyCount` mock strategies in its default queue, each with `debt` of the
+// deposits of the owner, and 4 times `debt` idle.
+const deployBenchmarkVault = async (ethers, owner, strategyCount, debt) => {
+    const asset = await (await ethers.getContractFactory("Token", owner)).deploy("FXD", 18);
+    const accountant = await (await ethers.getContractFactory("GenericAccountant", owner)).deploy(100, owner.address, owner.address);
+    const vaultLogic = await (await ethers.getContractFactory("VaultLogic", owner)).deploy();
+    const VaultPackage = await ethers.getContractFactory("VaultPackage", { signer: owner, libraries: { VaultLogic: vaultLogic.target } });
+    const vaultPackage = await VaultPackage.deploy();
+    const factoryPackage = await (await ethers.getContractFactory("FactoryPackage", owner)).deploy();
+    const factoryProxy = await (await ethers.getContractFactory("Factory", owner)).deploy(factoryPackage.target, owner.address, "0x");
+
+    const factory = await ethers.getContractAt("FactoryPackage", factoryProxy.target, owner);
+    await (await factory.initialize(vaultPackage.target, owner.address, 2000)).wait();
+    await (await factory.addVaultPackage(vaultPackage.target)).wait();
+    await (await factory.deployVault(vaultPackage.target, 604800, 1, asset.target, "Vault Shares FXD", "vFXD", accountant.target, owner.address)).wait();
+    const vaults = await factory.getVaults();
+    const vault = await ethers.getContractAt("VaultPackage", vaults[vaults.length - 1], owner);
+    for (const name of ["STRATEGY_MANAGER", "REPORTING_MANAGER", "DEBT_PURCHASER"]) {
+        await (await vault.grantRole(role(ethers, name), owner.address)).wait();
+    }
+    await (await vault.setDepositLimit(ethers.MaxUint256)).wait();
+
+    await (await asset.mint(owner.address, debt * BigInt(strategyCount) * 10n)).wait();
+    await (await asset.approve(vault.target, ethers.MaxUint256)).wait();
+    await (await vault.deposit(debt * BigInt(strategyCount + 4), owner.address)).wait();
+
+    const Strategy = await ethers.getContractFactory("MockTokenizedStrategy", owner);
+    const strategies = [];
+    for (let i = 0; i < strategyCount; i++) {
+        const strategy = await Strategy.deploy(asset.target, `Mock Tokenized Strategy ${i}`, owner.address, owner.address, 0, factory.target);
+        await (await vault.addStrategy(strategy.target)).wait();
+        await (await vault.updateMaxDebtForStrategy(strategy.target, ethers.MaxUint256)).wait();
+        await (await vault.updateDebt(strategy.target, debt)).wait();
+        strategies.push(strategy);
+    }
+    return { vault, asset, accountant, strategies };
+};
+
+// Gas used by each operation of OPERATIONS on a vault with `strategyCount` strategies. The deposit and
+// the mint are the first ones of their accounts. The withdraw and redeem take the debt of all the
+// strategies but the last one and half of the last one's, with nothing idle, so they go through every
+// strategy of the queue. The chain is reverted afterwards.
+const measureOperations = async (hre, strategyCount, { debt } = {}) => {
+    const { ethers, network } = hre;
+    const [owner, depositor, minter] = await ethers.getSigners();
+    debt = debt || ethers.parseEther("1000");
+    const snapshot = await network.provider.request({ method: "evm_snapshot", params: [] });
+    const gas = {};
+    try {
+        const { vault, asset, strategies } = await deployBenchmarkVault(ethers, owner, strategyCount, debt);
+        const [first] = strategies;
+        const last = strategies[strategies.length - 1];
+
+        // Both from an account without shares, so that each pays for its first balance.
+        for (const account of [depositor, minter]) {
+            await (await asset.mint(account.address, debt * 2n)).wait();
+            await (await asset.connect(account).approve(vault.target, ethers.MaxUint256)).wait();
+        }
+        gas["deposit"] = await gasOf(vault.connect(depositor).deposit(debt, depositor.address));
+        gas["mint"] = await gasOf(vault.connect(minter).mint(await vault.previewDeposit(debt), minter.address));
+
+        gas["updateDebt (up)"] = await gasOf(vault.updateDebt(first.target, debt * 2n));
+        gas["updateDebt (down)"] = await gasOf(vault.updateDebt(first.target, debt));
+
+        await (await asset.mint(first.target, debt / 100n)).wait();
+        await (await first.report()).wait();
+        gas["processReport (accountant fees)"] = await gasOf(vault.processReport(first.target));
+        await (await vault.setAccountant(ethers.ZeroAddress)).wait();
+        await (await asset.mint(first.target, debt / 100n)).wait();
+        await (await first.report()).wait();
+        gas["processReport (no accountant)"] = await gasOf(vault.processReport(first.target));
+
+        gas["buyDebt"] = await gasOf(vault.buyDebt(last.target, debt / 10n));
+
+        const lastDebt = (await vault.strategies(last.target)).currentDebt;
+        await (await vault.updateDebt(last.target, lastDebt + (await vault.totalIdle()))).wait();
+        let assets = 0n;
+        for (const strategy of strategies.slice(0, -1)) {
+            assets += (await vault.strategies(strategy.target)).currentDebt;
+        }
+        assets += (await vault.strategies(last.target)).currentDebt / 2n;
+        const exit = await network.provider.request({ method: "evm_snapshot", params: [] });
+        gas["withdraw"] = await gasOf(vault.withdraw(assets, owner.address, owner.address, 0, []));
+        await network.provider.request({ method: "evm_revert", params: [exit] });
+        gas["redeem"] = await gasOf(vault.redeem(await vault.previewWithdraw(assets), owner.address, owner.address, 10000, []));
+    } finally {
+        await network.provider.request({ method: "evm_revert", params: [snapshot] });
+    }
+    return OPERATIONS.map((operation) => ({ operation, strategies: strategyCount, gasUsed: gas[operation] }));
+};
+
+// Measures an optimizer setting other than the configured one: gas:profile runs in another hardhat
+// process on gasProfileConfig.js, which compiles with `runs` into cache/gas-profile/runs-<runs>.
+const profileWithRuns = async (hre, runs, maxStrategies) => {
+    const { paths } = hre.config;
+    const dir = path.join(paths.cache, "gas-profile", `runs-${runs}`);
+    const output = path.join(dir, "report.json");
+    const args = ["hardhat", "--config", path.join(__dirname, "gasProfileConfig.js"), "--network", "hardhat", "gas:profile"];
+    args.push("--strategies", String(maxStrategies), "--baseline", path.join(dir, "no-baseline.json"), "--format", "json", "--output", output);
+    const env = { ...process.env, GAS_PROFILE_CONFIG: paths.configFile, GAS_PROFILE_RUNS: String(runs), GAS_PROFILE_DIR: dir };
+    try {
+        await execFile("npx", args, { cwd: paths.root, env, maxBuffer: 64 * 1024 * 1024 });
+    } catch (e) {
+        const message = `${e.stderr || ""}${e.stdout || ""}`;
+        const failed = message.match(/Gas profile failed with the configured optimizer runs: (.*)/);
+        throw new Error(failed ? failed[1] : message.trim().split("\n").pop() || e.message);
+    }
+    const [setting] = JSON.parse(fs.readFileSync(output, "utf8")).settings;
+    return setting.results.map((row) => ({ ...row, gasUsed: BigInt(row.gasUsed) }));
+};
+
+// Gas of every operation for 1..`maxStrategies` strategies with each of the optimizer `runs`. The
+// configured setting is measured in this process, the others in their own. A setting the contracts can't
+// be deployed with, e.g. over the contract size limit, gets its error instead.
+const profileGas = async (hre, { maxStrategies = 3, runs = [] } = {}) => {
+    const configuredRuns = hre.config.solidity.compilers[0].settings.optimizer.runs;
+    const settings = [];
+    for (const optimizerRuns of runs.length > 0 ? runs : [configuredRuns]) {
+        console.log("Optimizer runs = ", optimizerRuns);
+        const setting = { optimizerRuns, results: [], error: null };
+        try {
+            if (optimizerRuns === configuredRuns) {
+                await hre.run("compile", { quiet: true });
+                for (let count = 1; count <= maxStrategies; count++) {
+                    setting.results.push(...(await measureOperations(hre, count)));
+                }
+            } else {
+                setting.results = await profileWithRuns(hre, optimizerRuns, maxStrategies);
+            }
+        } catch (e) {
+            setting.error = e.shortMessage || e.message;
+        }
+        settings.push(setting);
+    }
+    return settings;
+};
+
+const resultKey = (row) => `${row.operation} / ${row.strategies}`;
+
+// The gas of a setting, by operation and strategy count, as stored in a baseline file.
+const toBaseline = (setting) => ({
+    optimizerRuns: setting.optimizerRuns,
+    gas: Object.fromEntries(setting.results.map((row) => [resultKey(row), Number(row.gasUsed)])),
+});
+
+const readBaseline = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null);
+
+// The results of `setting` against `baseline`, with the change in percent. Above `threshold` percent
+// an operation is a regression.
+const compareToBaseline = (setting, baseline, threshold) =>
+    setting.results.map((row) => {
+        const base = baseline.gas[resultKey(row)];
+        const change = base ? ((Number(row.gasUsed) - base) / base) * 100 : null;
+        return { ...row, baseline: base === undefined ? null : base, change, regression: change !== null && change > threshold };
+    });
+
+const formatChange = (change) => (change === null ? "new" : `${change > 0 ? "+" : ""}${change.toFixed(2)}%`);
+
+// Markdown table of the gas per operation and strategy count, one column per optimizer setting, with
+// the baseline and the change of the compared setting when there is one.
+const toMarkdown = (settings, comparison) => {
+    const header = ["Operation", "Strategies", ...settings.map((setting) => `runs: ${setting.optimizerRuns}`)];
+    if (comparison) header.push("Baseline", "Change");
+    const lines = [`| ${header.join(" | ")} |`, `|${header.map(() => " --- ").join("|")}|`];
+
+    const rows = settings.find((setting) => !setting.error);
+    for (const { operation, strategies } of rows ? rows.results : []) {
+        const key = resultKey({ operation, strategies });
+        const cells = [operation, strategies];
+        for (const setting of settings) {
+            const row = setting.results.find((result) => resultKey(result) === key);
+            cells.push(row ? row.gasUsed.toString() : "n/a");
+        }
+        if (comparison) {
+            const compared = comparison.find((row) => resultKey(row) === key);
+            cells.push(compared && compared.baseline !== null ? compared.baseline : "", compared ? formatChange(compared.change) : "");
+        }
+        lines.push(`| ${cells.join(" | ")} |`);
+    }
+    for (const setting of settings.filter((setting) => setting.error)) {
+        lines.push("", `runs: ${setting.optimizerRuns} failed: ${setting.error}`);
+    }
+    return lines.join("\n") + "\n";
+};
+
+module.exports = {
+    OPERATIONS,
+    deployBenchmarkVault,
+    measureOperations,
+    profileGas,
+    toBaseline,
+    readBaseline,
+    compareToBaseline,
+    toMarkdown,
+};
@@ -0,0 +1,25 @@
+// Hardhat config gas:profile runs another process on to measure an optimizer setting other than the
+// configured one: the project config of GAS_PROFILE_CONFIG with GAS_PROFILE_RUNS optimizer runs, compiling
+// into the artifacts and cache directories under GAS_PROFILE_DIR so that the configured ones are untouched.
+const path = require("path");
+
+const { GAS_PROFILE_CONFIG, GAS_PROFILE_RUNS, GAS_PROFILE_DIR } = process.env;
+const config = require(GAS_PROFILE_CONFIG);
+const runs = parseInt(GAS_PROFILE_RUNS, 10);
+
+const withRuns = (value) => {
+    if (Array.isArray(value)) return value.map(withRuns);
+    if (value === null || typeof value !== "object") return value;
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, key === "optimizer" ? { ...v, runs } : withRuns(v)]));
+};
+
+module.exports = {
+    ...config,
+    solidity: withRuns(config.solidity),
+    paths: {
+        ...config.paths,
+        root: path.resolve(path.dirname(GAS_PROFILE_CONFIG), (config.paths && config.paths.root) || "."),
+        artifacts: path.join(GAS_PROFILE_DIR, "artifacts"),
+        cache: path.join(GAS_PROFILE_DIR, "cache"),
+    },
+};
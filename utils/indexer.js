@@ -0,0 +1,224 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { toPlain } = require("./cli");
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS checkpoints (
+        contract TEXT PRIMARY KEY,
+        contract_type TEXT NOT NULL,
+        block_number INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        contract TEXT NOT NULL,
+        contract_type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        args TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_contract ON events (contract, name, block_number);
+`;
+
+// Events indexed per contract type, by the artifacts declaring them. Amounts are stored as
+// decimal strings in the JSON `args` of an event, since they don't fit SQLite integers.
+const INDEXED_EVENTS = {
+    vault: {
+        IVaultEvents: null,
+        VaultPackage: ["Deposit", "Withdraw", "Transfer"],
+    },
+    strategy: {
+        ITokenizedStrategy: ["Reported", "StrategyShutdown"],
+        ITradeFintechStrategyEvents: ["GainReported", "LossReported", "FundsLocked", "FundsReturned"],
+    },
+};
+
+// Opens (and creates) the database of `chainId`, refusing one filled from another chain.
+const openIndexerDb = (file, chainId) => {
+    if (file !== ":memory:") {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    }
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+
+    const row = db.prepare("SELECT value FROM meta WHERE key = 'chainId'").get();
+    if (row && row.value !== String(chainId)) {
+        db.close();
+        throw new Error(`Database ${file} indexes chain ${row.value}, not ${chainId}`);
+    }
+    db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('chainId', ?)").run(String(chainId));
+    return db;
+};
+
+const buildEventInterface = async (ethers, contractType) => {
+    const fragments = new Map();
+    for (const [name, events] of Object.entries(INDEXED_EVENTS[contractType])) {
+        const { interface: iface } = await ethers.getContractAt(name, ethers.ZeroAddress);
+        iface.forEachEvent((fragment) => {
+            if (!events || events.includes(fragment.name)) {
+                fragments.set(fragment.topicHash, fragment);
+            }
+        });
+    }
+    return new ethers.Interface([...fragments.values()]);
+};
+
+// Decoded event args keyed by name.
+const toNamedArgs = (parsed) => {
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = parsed.args[i];
+    });
+    return toPlain(args);
+};
+
+// Walks the recorded blocks down from the newest until one is still on the chain and drops
+// everything indexed above it. Returns the number of the dropped blocks.
+const rollbackReorg = async (provider, db) => {
+    const recorded = db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    let safeBlock = -1;
+    let dropped = 0;
+    for (const { number, hash } of recorded) {
+        const block = await provider.getBlock(number);
+        if (block && block.hash === hash) {
+            safeBlock = number;
+            break;
+        }
+        dropped++;
+    }
+    if (dropped === 0) return 0;
+
+    db.transaction(() => {
+        db.prepare("DELETE FROM events WHERE block_number > ?").run(safeBlock);
+        db.prepare("DELETE FROM blocks WHERE number > ?").run(safeBlock);
+        if (safeBlock < 0) {
+            db.prepare("DELETE FROM checkpoints").run();
+        } else {
+            db.prepare("UPDATE checkpoints SET block_number = ? WHERE block_number > ?").run(safeBlock, safeBlock);
+        }
+    })();
+    return dropped;
+};
+
+// Indexes the events of `contracts` of one type from their checkpoint (or `startBlock`) up to `toBlock`,
+// in chunks of `chunkSize` blocks. Each chunk is written with its checkpoint in one transaction, together
+// with the hash of its last block, so that a later run can detect a reorg and resume from there.
+const indexContracts = async (ethers, db, contractType, contracts, { startBlock = 0, toBlock, chunkSize = 10000 }) => {
+    const provider = ethers.provider;
+    const iface = await buildEventInterface(ethers, contractType);
+    const topics = [];
+    iface.forEachEvent((fragment) => topics.push(fragment.topicHash));
+
+    const getCheckpoint = db.prepare("SELECT block_number FROM checkpoints WHERE contract = ?");
+    const insertEvent = db.prepare(`INSERT OR REPLACE INTO events (block_number, log_index, tx_hash, contract, contract_type, name, args)
+        VALUES (@blockNumber, @logIndex, @txHash, @contract, @contractType, @name, @args)`);
+    const insertBlock = db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)");
+    const saveCheckpoint = db.prepare(`INSERT INTO checkpoints (contract, contract_type, block_number) VALUES (?, ?, ?)
+        ON CONFLICT (contract) DO UPDATE SET block_number = excluded.block_number`);
+
+    // Contracts at the same checkpoint are scanned together.
+    const groups = new Map();
+    for (const contract of contracts) {
+        const checkpoint = getCheckpoint.get(contract);
+        const fromBlock = checkpoint ? checkpoint.block_number + 1 : startBlock;
+        if (fromBlock > toBlock) continue;
+        groups.set(fromBlock, [...(groups.get(fromBlock) || []), contract]);
+    }
+
+    const summary = [];
+    for (const [fromBlock, addresses] of groups) {
+        let count = 0;
+        for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, toBlock);
+            const logs = await provider.getLogs({ address: addresses, topics: [topics], fromBlock: start, toBlock: end });
+
+            const blocks = new Map();
+            for (const blockNumber of [...new Set(logs.map((log) => log.blockNumber)), end]) {
+                blocks.set(blockNumber, await provider.getBlock(blockNumber));
+            }
+            const reorged = logs.find((log) => log.blockHash !== blocks.get(log.blockNumber).hash);
+            if (reorged) {
+                throw new Error(`Block ${reorged.blockNumber} reorganized while indexing, run the indexer again`);
+            }
+            db.transaction(() => {
+                for (const log of logs) {
+                    const parsed = iface.parseLog(log);
+                    insertEvent.run({
+                        blockNumber: log.blockNumber,
+                        logIndex: log.index,
+                        txHash: log.transactionHash,
+                        contract: ethers.getAddress(log.address),
+                        contractType,
+                        name: parsed.name,
+                        args: JSON.stringify(toNamedArgs(parsed)),
+                    });
+                }
+                for (const [number, block] of blocks) {
+                    insertBlock.run(number, block.hash, block.timestamp);
+                }
+                for (const contract of addresses) {
+                    saveCheckpoint.run(contract, contractType, end);
+                }
+            })();
+            count += logs.length;
+        }
+        summary.push({ contractType, contracts: addresses, fromBlock, toBlock, events: count });
+    }
+    return summary;
+};
+
+// Strategies a vault ever had, from its indexed StrategyChanged events, and the ones of its default queue.
+const getIndexedStrategies = async (ethers, db, vaults) => {
+    const strategies = new Set();
+    const rows = db.prepare("SELECT args FROM events WHERE contract = ? AND name = 'StrategyChanged'");
+    for (const vaultAddr of vaults) {
+        for (const { args } of rows.all(vaultAddr)) {
+            strategies.add(ethers.getAddress(JSON.parse(args).strategy));
+        }
+        const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+        for (const strategyAddr of await vault.getDefaultQueue()) {
+            strategies.add(strategyAddr);
+        }
+    }
+    return [...strategies];
+};
+
+// Indexes the vaults, then every strategy they ever had, up to `confirmations` blocks below the head.
+const runIndexer = async (ethers, db, vaults, { startBlock = 0, confirmations = 12, chunkSize = 10000 } = {}) => {
+    const reorged = await rollbackReorg(ethers.provider, db);
+    if (reorged > 0) {
+        console.log("Reorg detected, dropped blocks = ", reorged);
+    }
+
+    const toBlock = (await ethers.provider.getBlockNumber()) - confirmations;
+    const options = { startBlock, toBlock, chunkSize };
+    const summary = await indexContracts(ethers, db, "vault", vaults, options);
+    summary.push(...(await indexContracts(ethers, db, "strategy", await getIndexedStrategies(ethers, db, vaults), options)));
+    return { toBlock, reorged, summary };
+};
+
+// Indexed events in chain order, with their args parsed and the timestamp of their block.
+const queryEvents = (db, { contract, name } = {}) => {
+    const filters = [];
+    const params = [];
+    if (contract) {
+        filters.push("e.contract = ?");
+        params.push(contract);
+    }
+    if (name) {
+        filters.push("e.name = ?");
+        params.push(name);
+    }
+    const where = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
+    return db
+        .prepare(`SELECT e.*, b.timestamp FROM events e JOIN blocks b ON b.number = e.block_number ${where} ORDER BY e.block_number, e.log_index`)
+        .all(...params)
+        .map((row) => ({ ...row, args: JSON.parse(row.args) }));
+};
+
+module.exports = { INDEXED_EVENTS, openIndexerDb, rollbackReorg, indexContracts, runIndexer, queryEvents };
@@ -0,0 +1,146 @@
+const { readConfigFile } = require("./cli");
+
+const DAY = 86400n;
+
+// Loads an investor distribution schedule (YAML or JSON):
+//   investor: <address>         # optional, can be given on the command line
+//   periods:
+//     - amount: "1000"          # asset units, the contract rounds it down to a whole reward rate
+//       start: 2026-11-01T00:00:00Z   # ISO date or unix seconds
+//       end: 2026-12-01T00:00:00Z
+const loadSchedule = (file) => readConfigFile(file, "investor schedule");
+
+const toTimestamp = (value) => {
+    if (value instanceof Date) return BigInt(Math.floor(value.getTime() / 1000));
+    if (typeof value === "number" || /^\d+$/.test(String(value))) return BigInt(value);
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : BigInt(Math.floor(ms / 1000));
+};
+
+const toDate = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+
+// Returns the periods of `schedule` with their reward rate and the amount setupDistribution() would
+// really distribute, and the problems found in them. Periods must come in order, and as a period can only
+// be set up after the previous one is over and reported, each must start at least `minGap` seconds after
+// the previous one ends.
+const validateSchedule = (ethers, schedule, { decimals, maxDistributionPeriod, minGap = 0n }) => {
+    const entries = schedule && schedule.periods;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return { periods: [], errors: ["periods must be a non-empty list"] };
+    }
+
+    const errors = [];
+    const periods = [];
+    entries.forEach((entry, i) => {
+        let amount = null;
+        try {
+            amount = ethers.parseUnits(String(entry.amount), decimals);
+        } catch (e) {
+            errors.push(`periods[${i}].amount must be an amount in asset units`);
+        }
+        const start = toTimestamp(entry.start);
+        const end = toTimestamp(entry.end);
+        if (start === null) errors.push(`periods[${i}].start must be a date or a timestamp`);
+        if (end === null) errors.push(`periods[${i}].end must be a date or a timestamp`);
+        if (amount === null || start === null || end === null) return;
+
+        if (amount === 0n) errors.push(`periods[${i}].amount is zero`);
+        if (end <= start) errors.push(`periods[${i}] ends before it starts`);
+        if (end - start > maxDistributionPeriod) errors.push(`periods[${i}] is longer than the ${maxDistributionPeriod}s maximum distribution period`);
+        const rate = end > start ? amount / (end - start) : 0n;
+        if (end > start && amount > 0n && rate === 0n) errors.push(`periods[${i}].amount is less than one unit per second`);
+
+        const previous = periods[periods.length - 1];
+        if (previous && start < previous.end) {
+            errors.push(`periods[${i}] overlaps periods[${previous.index}]`);
+        } else if (previous && start < previous.end + minGap) {
+            errors.push(`periods[${i}] starts less than ${minGap}s after periods[${previous.index}] ends, too early to be set up`);
+        }
+        periods.push({ index: i, amount, start, end, rate, realAmount: rate * (end - start) });
+    });
+    return { periods, errors };
+};
+
+const getInvestorState = async (ethers, investor) => {
+    const asset = await ethers.getContractAt("ERC20", await investor.asset());
+    return {
+        now: BigInt((await ethers.provider.getBlock("latest")).timestamp),
+        asset,
+        decimals: await asset.decimals(),
+        strategy: await investor.strategy(),
+        distributionStart: await investor.distributionStart(),
+        distributionEnd: await investor.distributionEnd(),
+        lastReport: await investor.lastReport(),
+        maxDistributionPeriod: await investor.maxDistributionPeriod(),
+        rewardRate: await investor.rewardRate(),
+        totalRewards: await investor.totalRewards(),
+        distributedRewards: await investor.distributedRewards(),
+        rewardsAccrued: await investor.rewardsAccrued(),
+        rewardsLeft: await investor.rewardsLeft(),
+        balance: await asset.balanceOf(investor.target),
+    };
+};
+
+// Places the schedule against the on-chain distribution. The period matching it is "current", the ones
+// ending before it "past", and the first one after it is "next": setupDistribution() accepts it once the
+// strategy has reported the whole current distribution (lastReport reaches distributionEnd) and while its
+// start is still in the future. What the investor holds beyond rewardsLeft() is reused, the rest is
+// funded by the caller.
+const planSchedule = (state, periods, { minGap = 0n } = {}) => {
+    const { now, distributionStart, distributionEnd, lastReport, rewardsLeft, balance } = state;
+    const errors = [];
+    const rows = [];
+    let next = null;
+    for (const period of periods) {
+        let status;
+        if (period.start === distributionStart && period.end === distributionEnd) {
+            status = "current";
+        } else if (period.end <= distributionEnd) {
+            status = "past";
+        } else if (period.start < distributionEnd) {
+            status = "overlapping";
+            errors.push(`periods[${period.index}] overlaps the current distribution, which ends at ${toDate(distributionEnd)}`);
+        } else if (period.start <= now) {
+            status = "missed";
+            errors.push(`periods[${period.index}] starts in the past (${toDate(period.start)}), setupDistribution() would revert`);
+        } else {
+            status = next ? "scheduled" : "next";
+            if (!next) next = period;
+        }
+        rows.push({ ...period, status });
+    }
+
+    const leftover = balance > rewardsLeft ? balance - rewardsLeft : 0n;
+    let funding = null;
+    if (next) funding = next.realAmount > leftover ? next.realAmount - leftover : 0n;
+
+    let ready = false;
+    let waiting = "";
+    if (next) {
+        if (lastReport >= distributionEnd) ready = true;
+        else if (now >= distributionEnd) waiting = "the strategy has to report the end of the current distribution";
+        else waiting = `the current distribution ends at ${toDate(distributionEnd)}`;
+        if (!ready && next.start < distributionEnd + minGap) {
+            errors.push(`periods[${next.index}] starts less than ${minGap}s after the current distribution ends, too early to be set up`);
+        }
+    }
+
+    // Rewards accrue from now on until the first gap, longer than the `minGap` a setup needs, between the
+    // current and the upcoming periods.
+    const upcoming = rows.filter((row) => row.status === "next" || row.status === "scheduled");
+    let runwayEnds = distributionEnd > now ? distributionEnd : now;
+    for (const row of upcoming) {
+        if (row.start > runwayEnds + minGap) break;
+        runwayEnds = row.end;
+    }
+    const gaps = [];
+    let previousEnd = distributionEnd > now ? distributionEnd : now;
+    for (const row of upcoming) {
+        if (row.start > previousEnd + minGap) gaps.push({ from: toDate(previousEnd), to: toDate(row.start), seconds: row.start - previousEnd });
+        previousEnd = row.end;
+    }
+
+    return { rows, next, funding, ready, waiting, runway: { ends: toDate(runwayEnds), seconds: runwayEnds - now, days: Number(runwayEnds - now) / Number(DAY) }, gaps, errors };
+};
+
+module.exports = { DAY, loadSchedule, toTimestamp, toDate, validateSchedule, getInvestorState, planSchedule };
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const { toPlain } = require("./cli");
+const { reportAndProcess } = require("./strategies");
+
+// Signer of the keeper: KEEPER_PRIVATE_KEY, else the encrypted JSON keystore at KEEPER_KEYSTORE
+// (unlocked with KEEPER_KEYSTORE_PASSWORD), else the first account of the network.
+const getKeeperSigner = async (ethers, env = process.env) => {
+    if (env.KEEPER_PRIVATE_KEY) {
+        return new ethers.Wallet(env.KEEPER_PRIVATE_KEY, ethers.provider);
+    }
+    if (env.KEEPER_KEYSTORE) {
+        const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(env.KEEPER_KEYSTORE, "utf8"), env.KEEPER_KEYSTORE_PASSWORD || "");
+        return wallet.connect(ethers.provider);
+    }
+    const [signer] = await ethers.getSigners();
+    return signer;
+};
+
+// Creates a keeper that reports the default queue strategies of vaults: a strategy is reported
+// when `lastReport + interval` has passed or when the profit of a report would reach `minProfit`
+// (in asset units), then the vault processes the report.
+// `maxGasPrice` (wei) skips the whole round when the network gas price is above it, `gasLimit`
+// caps every transaction. Each StrategyReported result is appended as a JSON line to `logFile`.
+const createKeeper = (ethers, { signer, interval, minProfit = null, maxGasPrice = null, gasLimit = null, logFile = "", log = console.log }) => {
+    const overrides = gasLimit ? { gasLimit } : {};
+
+    const writeLog = (entry) => {
+        const line = JSON.stringify(toPlain({ time: new Date().toISOString(), ...entry }));
+        log(line);
+        if (logFile) fs.appendFileSync(logFile, line + "\n");
+    };
+
+    const shouldReport = async (strategy, now) => {
+        if (now >= (await strategy.lastReport()) + BigInt(interval)) {
+            return { due: true, reason: "interval" };
+        }
+        if (minProfit !== null) {
+            const [profit] = await strategy.connect(signer).report.staticCall();
+            if (profit >= ethers.parseUnits(String(minProfit), await strategy.decimals())) {
+                return { due: true, reason: "profit" };
+            }
+        }
+        return { due: false };
+    };
+
+    const reportStrategy = async (vault, strategy, reason) => {
+        const reported = await reportAndProcess(strategy.connect(signer), vault.connect(signer), overrides);
+        const entry = { event: "StrategyReported", vault: vault.target, strategy: strategy.target, reason, ...reported };
+        writeLog(entry);
+        return entry;
+    };
+
+    // Runs a single pass over `vaults` and returns the StrategyReported results.
+    // A failing strategy is logged and does not stop the pass.
+    const runOnce = async (vaults) => {
+        const results = [];
+        if (maxGasPrice !== null) {
+            const { gasPrice } = await ethers.provider.getFeeData();
+            if (gasPrice > maxGasPrice) {
+                writeLog({ event: "Skipped", reason: `gas price ${gasPrice} above cap ${maxGasPrice}` });
+                return results;
+            }
+        }
+
+        const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+        for (const vaultAddr of vaults) {
+            const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+            for (const strategyAddr of await vault.getDefaultQueue()) {
+                const strategy = await ethers.getContractAt("TokenizedStrategy", strategyAddr);
+                try {
+                    const { due, reason } = await shouldReport(strategy, now);
+                    if (due) {
+                        results.push(await reportStrategy(vault, strategy, reason));
+                    }
+                } catch (e) {
+                    writeLog({ event: "Error", vault: vaultAddr, strategy: strategyAddr, error: e.shortMessage || e.message });
+                }
+            }
+        }
+        return results;
+    };
+
+    // Runs a pass over the vaults returned by `listVaults`. A round that fails as a whole (listing the
+    // vaults, reading the gas price or a default queue) is logged and returns null, the next poll retries it.
+    const runRound = async (listVaults) => {
+        try {
+            return await runOnce(await listVaults());
+        } catch (e) {
+            writeLog({ event: "Error", error: e.shortMessage || e.message });
+            return null;
+        }
+    };
+
+    return { runOnce, runRound };
+};
+
+module.exports = { getKeeperSigner, createKeeper };
@@ -0,0 +1,208 @@
+const fs = require("fs");
+const path = require("path");
+const { toPlain } = require("./cli");
+
+const AUDIT_DIR = path.join(__dirname, "..", ".kyc");
+
+const PASSED_VALUES = { true: true, 1: true, yes: true, approved: true, passed: true, false: false, 0: false, no: false, revoked: false };
+
+const splitCsvLine = (line) => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted && char === '"' && line[i + 1] === '"') {
+            cell += '"';
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (char === "," && !quoted) {
+            cells.push(cell.trim());
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+// Rows of a CSV with an `address` column and an optional `passed` (or `status`) column, or of a bare
+// list of addresses, one per line.
+const readCsvRows = (content) => {
+    const lines = content
+        .split(/\r?\n/)
+        .map((line, i) => ({ cells: splitCsvLine(line), line: i + 1 }))
+        .filter(({ cells }) => cells.some((cell) => cell.length > 0));
+    if (lines.length === 0) return [];
+
+    const header = lines[0].cells.map((cell) => cell.toLowerCase());
+    const addressColumn = header.indexOf("address");
+    if (addressColumn === -1) {
+        return lines.map(({ cells, line }) => ({ address: cells[0], line }));
+    }
+    const passedColumn = header.findIndex((cell) => cell === "passed" || cell === "status");
+    return lines.slice(1).map(({ cells, line }) => ({
+        address: cells[addressColumn],
+        passed: passedColumn === -1 ? undefined : cells[passedColumn],
+        line,
+    }));
+};
+
+// A JSON list holds addresses, or objects with an `address` and an optional `passed`.
+const readJsonRows = (content) => {
+    const list = JSON.parse(content);
+    if (!Array.isArray(list)) {
+        throw new Error("expected an array of addresses or { address, passed } objects");
+    }
+    return list.map((item, i) => (typeof item === "string" ? { address: item, line: i + 1 } : { ...item, line: i + 1 }));
+};
+
+// Reads the KYC list of the compliance team: every address is approved unless its `passed` value says
+// otherwise. All invalid addresses, bad checksums (mixed-case addresses that aren't EIP-55) and
+// conflicting duplicates are reported together before anything is sent.
+const readKycList = (ethers, file) => {
+    const content = fs.readFileSync(file, "utf8");
+    let rows;
+    try {
+        rows = path.extname(file).toLowerCase() === ".json" ? readJsonRows(content) : readCsvRows(content);
+    } catch (e) {
+        throw new Error(`Invalid KYC list ${file}: ${e.message}`);
+    }
+
+    const errors = [];
+    const entries = new Map();
+    for (const row of rows) {
+        const raw = String(row.address || "").trim();
+        const passedValue = row.passed === undefined || row.passed === "" ? true : PASSED_VALUES[String(row.passed).trim().toLowerCase()];
+        if (!/^0x[0-9a-fA-F]{40}$/.test(raw)) {
+            errors.push(`#${row.line}: invalid address "${raw}"`);
+            continue;
+        }
+        // ethers rejects a mixed-case address that isn't EIP-55, all lower or upper case has no checksum.
+        const address = ethers.getAddress(raw.toLowerCase());
+        if (!ethers.isAddress(raw)) {
+            errors.push(`#${row.line}: bad checksum ${raw} (expected ${address})`);
+            continue;
+        }
+        if (passedValue === undefined) {
+            errors.push(`#${row.line}: invalid passed value "${row.passed}" for ${address}`);
+            continue;
+        }
+        if (entries.has(address) && entries.get(address).passed !== passedValue) {
+            errors.push(`#${row.line}: ${address} is both approved and revoked`);
+            continue;
+        }
+        entries.set(address, { address, passed: passedValue });
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid KYC list ${file}:\n  ${errors.join("\n  ")}`);
+    }
+    return [...entries.values()];
+};
+
+const defaultAuditLog = (networkName, module) => path.join(AUDIT_DIR, networkName, `${module}.jsonl`);
+
+// The module emits no events and can't be enumerated, so the audit log of the previous syncs is what
+// tells which accounts were approved. Returns the last `passed` state of every account it lists.
+const readAuditLog = (file, module) => {
+    const states = new Map();
+    if (!file || !fs.existsSync(file)) return states;
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line);
+        if (entry.module.toLowerCase() !== module.toLowerCase()) continue;
+        states.set(entry.account, entry.action === "approved");
+    }
+    return states;
+};
+
+const appendAuditLog = (file, entries) => {
+    if (!file || entries.length === 0) return;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.appendFileSync(file, entries.map((entry) => JSON.stringify(toPlain(entry)) + "\n").join(""));
+};
+
+// Compares the list against kycPassed() of the module. Accounts approved by a previous sync (from the
+// audit log) that are missing from the list are revoked, unless `keepMissing` is set.
+const planKycSync = async (module, entries, previous, { keepMissing = false } = {}) => {
+    const desired = new Map(entries.map(({ address, passed }) => [address, { passed, source: "list" }]));
+    if (!keepMissing) {
+        for (const [account, passed] of previous) {
+            if (passed && !desired.has(account)) desired.set(account, { passed: false, source: "audit log" });
+        }
+    }
+
+    const plan = [];
+    for (const [account, { passed, source }] of desired) {
+        const current = await module.kycPassed(account);
+        let action = "unchanged";
+        if (passed && !current) action = "approve";
+        if (!passed && current) action = "revoke";
+        plan.push({ account, source, current, desired: passed, action });
+    }
+    return plan;
+};
+
+// Splits `accounts` into setKYCPassedBatch() calls of at most `batchSize` accounts whose estimated gas
+// stays under `maxGas`, shrinking a chunk in proportion when its estimate is over.
+const chunkByGas = async (module, accounts, passed, { maxGas, batchSize }) => {
+    const chunks = [];
+    let start = 0;
+    while (start < accounts.length) {
+        let size = Math.min(batchSize, accounts.length - start);
+        for (;;) {
+            const chunk = accounts.slice(start, start + size);
+            const gas = await module.setKYCPassedBatch.estimateGas(chunk, passed);
+            if (gas <= BigInt(maxGas)) {
+                chunks.push({ accounts: chunk, gas });
+                break;
+            }
+            if (size === 1) {
+                throw new Error(`setKYCPassedBatch of a single account needs ${gas} gas, over --max-gas ${maxGas}`);
+            }
+            size = Math.max(1, Math.min(size - 1, Math.floor((size * maxGas) / Number(gas))));
+        }
+        start += size;
+    }
+    return chunks;
+};
+
+// Sends the approvals, then the revocations, in gas-sized batches and appends one audit entry per
+// account once its batch is mined.
+const syncKyc = async (ethers, module, plan, { signer, maxGas, batchSize, auditLog = "", log = console.log }) => {
+    const batches = [];
+    for (const [action, passed] of [
+        ["approve", true],
+        ["revoke", false],
+    ]) {
+        const accounts = plan.filter((row) => row.action === action).map((row) => row.account);
+        if (accounts.length === 0) continue;
+
+        for (const { accounts: chunk, gas } of await chunkByGas(module, accounts, passed, { maxGas, batchSize })) {
+            log(`${action === "approve" ? "Approving" : "Revoking"} ${chunk.length} account(s) ...`);
+            const tx = await module.setKYCPassedBatch(chunk, passed);
+            const receipt = await tx.wait();
+            log("Batch Sent = ", tx.hash);
+            batches.push({ action, accounts: chunk.length, tx: tx.hash, estimatedGas: gas, gasUsed: receipt.gasUsed });
+
+            const time = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+            appendAuditLog(
+                auditLog,
+                chunk.map((account) => ({
+                    time: new Date(time * 1000).toISOString(),
+                    module: module.target,
+                    account,
+                    action: passed ? "approved" : "revoked",
+                    operator: signer.address,
+                    tx: tx.hash,
+                    block: receipt.blockNumber,
+                }))
+            );
+        }
+    }
+    return batches;
+};
+
+module.exports = { readKycList, defaultAuditLog, readAuditLog, appendAuditLog, planKycSync, chunkByGas, syncKyc };
@@ -0,0 +1,44 @@
+const { queryFilterChunked, byChainOrder } = require("./events");
+
+const ROLE_NAMES = ["DEFAULT_ADMIN_ROLE", "STRATEGY_MANAGER", "REPORTING_MANAGER", "DEBT_PURCHASER"];
+
+// Roles that give full control over a contract
+const ADMIN_ROLES = ["DEFAULT_ADMIN_ROLE", "management", "owner"];
+
+const roleName = (ethers, id) =>
+    ROLE_NAMES.find((name) => (name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.keccak256(ethers.toUtf8Bytes(name))) === id) || id;
+
+// Replays the RoleGranted/RoleRevoked history of an AccessControl contract and returns the current
+// holders of every role that was ever granted, double-checked with hasRole().
+const getRoleHolders = async (ethers, address, blockRange = {}) => {
+    const contract = await ethers.getContractAt("IAccessControl", address);
+    const granted = await queryFilterChunked(contract, contract.filters.RoleGranted(), blockRange);
+    const revoked = await queryFilterChunked(contract, contract.filters.RoleRevoked(), blockRange);
+
+    const holders = new Map();
+    for (const event of [...granted, ...revoked].sort(byChainOrder)) {
+        const key = `${event.args.role}:${event.args.account}`;
+        if (event.fragment.name === "RoleGranted") {
+            holders.set(key, { role: event.args.role, account: event.args.account });
+        } else {
+            holders.delete(key);
+        }
+    }
+
+    const result = [];
+    for (const { role, account } of holders.values()) {
+        if (await contract.hasRole(role, account)) {
+            result.push({ role: roleName(ethers, role), account });
+        }
+    }
+    return result;
+};
+
+// KYCDepositLimitModule keeps its provider in a private variable: slot 3, after Ownable._owner,
+// _strategy and _vault.
+const getKYCProvider = async (ethers, module) => {
+    const value = await ethers.provider.getStorage(module, 3);
+    return ethers.getAddress(ethers.dataSlice(value, 12));
+};
+
+module.exports = { ROLE_NAMES, ADMIN_ROLES, roleName, getRoleHolders, getKYCProvider };
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+const { toPlain } = require("./cli");
+const { getStrategyType, checkReportPermissions } = require("./strategies");
+
+const RECONCILIATION_DIR = path.join(__dirname, "..", ".rwa");
+
+// The NAV statement is signed as EIP-712 typed data, bound to the chain and the strategy it values.
+const NAV_TYPES = {
+    NetAssetValue: [
+        { name: "nav", type: "uint256" },
+        { name: "asOf", type: "uint256" },
+    ],
+};
+
+const navDomain = (chainId, strategyAddr) => ({ name: "Fathom RWA NAV", version: "1", chainId, verifyingContract: strategyAddr });
+
+// Reads a NAV file: { strategy, chainId, nav (in the smallest asset unit), asOf (unix seconds), signature },
+// and returns it with the address that signed it.
+const readSignedNav = (ethers, file) => {
+    let statement;
+    try {
+        statement = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new Error(`Invalid NAV file ${file}: ${e.message}`);
+    }
+    for (const field of ["strategy", "chainId", "nav", "asOf", "signature"]) {
+        if (statement[field] === undefined || statement[field] === "") {
+            throw new Error(`Invalid NAV file ${file}: missing ${field}`);
+        }
+    }
+
+    const nav = {
+        strategy: ethers.getAddress(statement.strategy),
+        chainId: BigInt(statement.chainId),
+        nav: BigInt(statement.nav),
+        asOf: BigInt(statement.asOf),
+        signature: statement.signature,
+    };
+    nav.signer = ethers.verifyTypedData(navDomain(nav.chainId, nav.strategy), NAV_TYPES, { nav: nav.nav, asOf: nav.asOf }, nav.signature);
+    return nav;
+};
+
+const defaultReconciliationLog = (networkName, strategyAddr) => path.join(RECONCILIATION_DIR, networkName, `${strategyAddr}.jsonl`);
+
+const readLastReconciliation = (file) => {
+    if (!file || !fs.existsSync(file)) return null;
+    const lines = fs.readFileSync(file, "utf8").split("\n").filter((line) => line.trim());
+    return lines.length > 0 ? JSON.parse(lines[lines.length - 1]) : null;
+};
+
+const appendReconciliation = (file, entry) => {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(toPlain(entry)) + "\n");
+};
+
+const loadRWAStrategy = async (ethers, strategyAddr, signer) => {
+    const { type } = await getStrategyType(ethers, strategyAddr);
+    if (type !== "rwa") {
+        throw new Error(`Strategy ${strategyAddr} is not an RWAStrategy (${type})`);
+    }
+    const rwa = await ethers.getContractAt("RWAStrategy", strategyAddr, signer);
+    const tokenized = await ethers.getContractAt("TokenizedStrategy", strategyAddr, signer);
+    const asset = await ethers.getContractAt("ERC20", await tokenized.asset(), signer);
+    return { address: strategyAddr, rwa, tokenized, asset };
+};
+
+// Compares the signed NAV with the assets of the strategy, totalInvested() plus what is idle in it, and
+// checks everything reportGain/reportLoss, report() and processReport() need. The idle is counted because a
+// gain reportGain() paid in stays idle when report() can't deploy it (under minDeployAmount or over the
+// deposit limit): compared with totalInvested() alone the next NAV would report it again. The difference,
+// in basis points of the strategy assets, must stay within `maxDeltaBps`. Returns the plan and the reasons
+// not to run it.
+const planNavReport = async (ethers, { rwa, tokenized, asset }, vault, nav, account, { chainId, navSigner, maxDeltaBps, maxAge, now, lastAsOf }) => {
+    const errors = [];
+    if (nav.strategy !== rwa.target) errors.push(`the NAV values ${nav.strategy}`);
+    if (nav.chainId !== chainId) errors.push(`the NAV was signed for chain ${nav.chainId}`);
+    if (nav.signer !== navSigner) errors.push(`the NAV was signed by ${nav.signer}, not by ${navSigner}`);
+    if (nav.asOf > now) errors.push(`the NAV is dated in the future (${nav.asOf})`);
+    if (maxAge && nav.asOf + BigInt(maxAge) < now) errors.push(`the NAV is older than ${maxAge}s (${nav.asOf})`);
+    if (lastAsOf !== null && nav.asOf <= lastAsOf) errors.push(`the NAV isn't newer than the last reconciled one (${lastAsOf})`);
+    if ((await vault.strategies(rwa.target)).activation === 0n) errors.push(`the strategy isn't added to vault ${vault.target}`);
+
+    const totalInvested = await rwa.totalInvested();
+    const idle = await asset.balanceOf(rwa.target);
+    const assets = totalInvested + idle;
+    const delta = nav.nav - assets;
+    const absDelta = delta < 0n ? -delta : delta;
+    const deltaBps = assets === 0n ? 0n : (absDelta * 10000n) / assets;
+    if (assets === 0n && absDelta > 0n) {
+        errors.push(`the strategy holds nothing, a NAV of ${nav.nav} can't be checked against the bound`);
+    } else if (deltaBps > BigInt(maxDeltaBps)) {
+        errors.push(`the NAV moves the strategy assets by ${deltaBps} bps, over the ${maxDeltaBps} bps bound`);
+    }
+
+    const manager = await rwa.managerAddress();
+    const action = delta > 0n ? "gain" : delta < 0n ? "loss" : "none";
+    if (action !== "none" && manager !== account) errors.push(`${account} is not the RWA manager ${manager}`);
+    if (action === "gain" && (await asset.balanceOf(manager)) < delta) errors.push(`the RWA manager holds less than the gain ${delta}`);
+    if (action === "loss" && absDelta > totalInvested) errors.push(`the loss ${absDelta} is over totalInvested ${totalInvested}`);
+    errors.push(...(await checkReportPermissions(ethers, tokenized, vault, account)));
+
+    return { plan: { totalInvested, idle, nav: nav.nav, delta, deltaBps, action }, errors };
+};
+
+module.exports = {
+    NAV_TYPES,
+    navDomain,
+    readSignedNav,
+    defaultReconciliationLog,
+    readLastReconciliation,
+    appendReconciliation,
+    loadRWAStrategy,
+    planNavReport,
+};
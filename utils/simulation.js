@@ -0,0 +1,292 @@
+const fs = require("fs");
+const path = require("path");
+const { getRoleHolders } = require("./roles");
+
+// The account a network is operated with: the one of its configured private key.
+const getNetworkAccount = (hre, networkName) => {
+    const networkConfig = hre.config.networks[networkName];
+    if (!networkConfig || !Array.isArray(networkConfig.accounts) || networkConfig.accounts.length === 0) {
+        return null;
+    }
+    return new hre.ethers.Wallet(networkConfig.accounts[0]).address;
+};
+
+// Resets the in-process hardhat network to a fork of `forkUrl`, or of the RPC of `forkNetwork`,
+// at `blockNumber` (the latest block by default). `forkNetwork` is recorded as `hre.forkedNetwork` for the
+// address book to resolve the addresses of the forked network.
+const startFork = async (hre, { forkNetwork = "", forkUrl = "", blockNumber } = {}) => {
+    const { network, config } = hre;
+    if (network.name !== "hardhat") {
+        throw new Error(`Simulation runs on the in-process hardhat network: use --network hardhat instead of --network ${network.name}`);
+    }
+
+    let jsonRpcUrl = forkUrl;
+    if (!jsonRpcUrl) {
+        const forkConfig = config.networks[forkNetwork];
+        if (!forkConfig || !forkConfig.url) {
+            throw new Error(`Unknown network to fork: ${forkNetwork}`);
+        }
+        jsonRpcUrl = forkConfig.url;
+    }
+    console.log("Forking = ", jsonRpcUrl, blockNumber === undefined ? "" : `at block ${blockNumber}`);
+    const forking = blockNumber === undefined ? { jsonRpcUrl } : { jsonRpcUrl, blockNumber };
+    await network.provider.request({ method: "hardhat_reset", params: [{ forking }] });
+    hre.forkedNetwork = forkNetwork;
+    return { url: jsonRpcUrl, blockNumber: await hre.ethers.provider.getBlockNumber() };
+};
+
+// Lets the in-process hardhat network send transactions from `accounts`, funded for gas.
+const impersonateAccounts = async (hre, accounts) => {
+    const { ethers, network } = hre;
+    for (const account of accounts) {
+        await network.provider.request({ method: "hardhat_impersonateAccount", params: [account] });
+        await network.provider.request({ method: "hardhat_setBalance", params: [account, ethers.toQuantity(ethers.parseEther("1000"))] });
+    }
+};
+
+const stopImpersonatingAccounts = async (hre, accounts) => {
+    for (const account of accounts) {
+        await hre.network.provider.request({ method: "hardhat_stopImpersonatingAccount", params: [account] });
+    }
+};
+
+// The real admins of `contracts`, to run a simulation as: the DEFAULT_ADMIN_ROLE holders of a vault
+// followed by the management of its default queue strategies, and the management of a strategy.
+const getAdminAccounts = async (ethers, contracts, blockRange = {}) => {
+    const accounts = [];
+    const add = (account) => {
+        if (!accounts.includes(account)) accounts.push(account);
+    };
+    for (const address of contracts) {
+        const vault = await ethers.getContractAt("VaultPackage", address);
+        let defaultQueue = null;
+        try {
+            defaultQueue = await vault.getDefaultQueue();
+        } catch (e) {
+            // Not a vault, a strategy.
+        }
+        if (defaultQueue === null) {
+            add(await (await ethers.getContractAt("TokenizedStrategy", address)).management());
+            continue;
+        }
+        for (const { role, account } of await getRoleHolders(ethers, address, blockRange)) {
+            if (role === "DEFAULT_ADMIN_ROLE") add(account);
+        }
+        for (const strategy of defaultQueue) {
+            add(await (await ethers.getContractAt("TokenizedStrategy", strategy)).management());
+        }
+    }
+    return accounts;
+};
+
+// Signer of a simulation on the in-process hardhat network, forked from `fork` when given: the impersonated
+// `impersonate` account, else the one `findOperator` finds on the fork (the real admin of what the
+// simulation operates), else the account of the forked network or the first signer.
+const getSimulationSigner = async (hre, { fork, impersonate }, { findOperator = null } = {}) => {
+    const { ethers, network } = hre;
+    if (network.name !== "hardhat") {
+        throw new Error(`Simulation runs on the in-process hardhat network: use --network hardhat --fork ${network.name}`);
+    }
+
+    let operator = impersonate;
+    if (fork) {
+        await startFork(hre, { forkNetwork: fork });
+    }
+    if (!operator && findOperator) {
+        operator = await findOperator();
+    }
+    if (fork) {
+        operator = operator || getNetworkAccount(hre, fork);
+    }
+    operator = operator || (await ethers.getSigners())[0].address;
+
+    await impersonateAccounts(hre, [operator]);
+    return ethers.getSigner(operator);
+};
+
+// Function signatures of every compiled contract by selector, to label the recorded transactions.
+const getSelectorNames = async (hre) => {
+    const names = new Map();
+    for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+        const { abi } = await hre.artifacts.readArtifact(name);
+        new hre.ethers.Interface(abi).forEachFunction((fragment) => {
+            names.set(fragment.selector, fragment.format("sighash"));
+        });
+    }
+    return names;
+};
+
+// Makes the hardhat provider list `accounts` first in eth_accounts, so that scripts taking
+// getSigners()[0] or the `deployer` named account run as them, and records every transaction sent
+// through it with its receipt or its revert reason. Returns the recorded transactions and a function
+// restoring the provider.
+const recordTransactions = (hre, accounts, selectorNames) => {
+    const provider = hre.network.provider;
+    const originalRequest = provider.request;
+    const originalSend = provider.send;
+    const transactions = [];
+
+    const record = async (tx, hash, error) => {
+        const receipt = hash ? await originalRequest.call(provider, { method: "eth_getTransactionReceipt", params: [hash] }) : null;
+        const data = tx.data || tx.input || "0x";
+        transactions.push({
+            from: tx.from ? hre.ethers.getAddress(tx.from) : null,
+            to: tx.to ? hre.ethers.getAddress(tx.to) : null,
+            method: tx.to ? selectorNames.get(data.slice(0, 10)) || data.slice(0, 10) : "create",
+            contractAddress: receipt && receipt.contractAddress ? hre.ethers.getAddress(receipt.contractAddress) : null,
+            status: receipt && receipt.status === "0x1" ? "success" : "reverted",
+            gasUsed: receipt ? BigInt(receipt.gasUsed) : 0n,
+            hash: hash || null,
+            error: error ? error.message : undefined,
+        });
+    };
+
+    provider.request = async function (args) {
+        if (args.method === "eth_accounts") {
+            const local = await originalRequest.call(provider, args);
+            return [...accounts.map((account) => account.toLowerCase()), ...local.filter((account) => !accounts.some((a) => a.toLowerCase() === account))];
+        }
+        if (args.method === "eth_estimateGas") {
+            // ethers estimates the gas of a transaction before sending it: a revert there is the failed transaction.
+            try {
+                return await originalRequest.call(provider, args);
+            } catch (e) {
+                await record(args.params[0], null, e);
+                throw e;
+            }
+        }
+        if (args.method !== "eth_sendTransaction" && args.method !== "eth_sendRawTransaction") {
+            return originalRequest.call(provider, args);
+        }
+
+        const tx = args.method === "eth_sendTransaction" ? args.params[0] : hre.ethers.Transaction.from(args.params[0]);
+        let hash;
+        try {
+            hash = await originalRequest.call(provider, args);
+        } catch (e) {
+            // A reverted transaction is still mined in automine mode.
+            const block = await originalRequest.call(provider, { method: "eth_getBlockByNumber", params: ["latest", false] });
+            const mined = e.transactionHash || (block.transactions.length > 0 ? block.transactions[block.transactions.length - 1] : null);
+            await record(tx, mined, e);
+            throw e;
+        }
+        await record(tx, hash);
+        return hash;
+    };
+    provider.send = function (method, params) {
+        return provider.request({ method, params });
+    };
+
+    return {
+        transactions,
+        restore: () => {
+            provider.request = originalRequest;
+            provider.send = originalSend;
+        },
+    };
+};
+
+// Runs a task, or a script exporting a function of the hardhat runtime environment like the deploy
+// scripts, or every such script of a directory in name order.
+const runScript = async (hre, script, scriptArgs = {}) => {
+    if (hre.tasks[script]) {
+        return hre.run(script, scriptArgs);
+    }
+
+    const resolved = path.resolve(script);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Unknown task or script: ${script}`);
+    }
+    const files = fs.statSync(resolved).isDirectory()
+        ? fs.readdirSync(resolved).filter((file) => file.endsWith(".js")).sort().map((file) => path.join(resolved, file))
+        : [resolved];
+    for (const file of files) {
+        delete require.cache[require.resolve(file)];
+        const fn = require(file);
+        if (typeof fn !== "function") {
+            throw new Error(`${file} doesn't export a function of the hardhat runtime environment`);
+        }
+        console.log("Running = ", path.relative(process.cwd(), file));
+        await fn(hre);
+    }
+};
+
+// Reads the state of a vault or a strategy at `blockTag`, with its type, or null when it is neither
+// (or doesn't exist yet at that block).
+const readContractState = async (ethers, address, blockTag) => {
+    const overrides = { blockTag };
+    try {
+        const vault = await ethers.getContractAt("VaultPackage", address);
+        const defaultQueue = await vault.getDefaultQueue(overrides);
+        const state = {
+            totalAssets: await vault.totalAssets(overrides),
+            totalIdle: await vault.totalIdle(overrides),
+            totalDebt: await vault.totalDebt(overrides),
+            totalSupply: await vault.totalSupply(overrides),
+            pricePerShare: await vault.pricePerShare(overrides),
+            depositLimit: await vault.depositLimit(overrides),
+            minimumTotalIdle: await vault.minimumTotalIdle(overrides),
+            accountant: await vault.accountant(overrides),
+            shutdown: await vault.shutdown(overrides),
+            defaultQueue: defaultQueue.join(","),
+        };
+        for (const strategy of defaultQueue) {
+            const { currentDebt, maxDebt } = await vault.strategies(strategy, overrides);
+            state[`strategies(${strategy}).currentDebt`] = currentDebt;
+            state[`strategies(${strategy}).maxDebt`] = maxDebt;
+        }
+        return { type: "vault", state };
+    } catch (e) {
+        // Not a vault, maybe a strategy.
+    }
+    try {
+        const strategy = await ethers.getContractAt("TokenizedStrategy", address);
+        return {
+            type: "strategy",
+            state: {
+                totalAssets: await strategy.totalAssets(overrides),
+                totalSupply: await strategy.totalSupply(overrides),
+                pricePerShare: await strategy.pricePerShare(overrides),
+                management: await strategy.management(overrides),
+                keeper: await strategy.keeper(overrides),
+                emergencyAdmin: await strategy.emergencyAdmin(overrides),
+                performanceFee: await strategy.performanceFee(overrides),
+                isShutdown: await strategy.isShutdown(overrides),
+            },
+        };
+    } catch (e) {
+        return null;
+    }
+};
+
+// The fields of the vaults and strategies among `addresses` that changed between `beforeBlock` and now.
+const getStateDiffs = async (ethers, addresses, beforeBlock) => {
+    const rows = [];
+    for (const address of addresses) {
+        const after = await readContractState(ethers, address, "latest");
+        if (!after) continue;
+        const before = await readContractState(ethers, address, beforeBlock);
+        const beforeState = before ? before.state : {};
+        for (const field of new Set([...Object.keys(beforeState), ...Object.keys(after.state)])) {
+            const [from, to] = [beforeState[field], after.state[field]];
+            if (String(from) !== String(to)) {
+                rows.push({ contract: address, type: after.type, field, before: from === undefined ? null : from, after: to === undefined ? null : to });
+            }
+        }
+    }
+    return rows;
+};
+
+module.exports = {
+    getNetworkAccount,
+    startFork,
+    impersonateAccounts,
+    stopImpersonatingAccounts,
+    getAdminAccounts,
+    getSimulationSigner,
+    getSelectorNames,
+    recordTransactions,
+    runScript,
+    readContractState,
+    getStateDiffs,
+};
@@ -0,0 +1,167 @@
+const { queryFilterChunked, byChainOrder } = require("./events");
+const { findBlockByTimestamp } = require("./apy");
+
+// Seconds since epoch of an ISO date or date-time; a date alone is its start, or its end with `endOfDay`.
+const parseStatementDate = (value, { endOfDay = false } = {}) => {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return Math.floor(time / 1000) + (dateOnly && endOfDay ? 24 * 3600 - 1 : 0);
+};
+
+// The share movements of `user` in chain order: deposits and withdrawals of their shares, and transfers
+// to and from other accounts. The Transfer events of mints and burns come with a Deposit or Withdraw.
+const getShareMovements = async (ethers, vault, user, range) => {
+    const events = [
+        ...(await queryFilterChunked(vault, vault.filters.Deposit(null, user), range)),
+        ...(await queryFilterChunked(vault, vault.filters.Withdraw(null, null, user), range)),
+        ...(await queryFilterChunked(vault, vault.filters.Transfer(user), range)),
+        ...(await queryFilterChunked(vault, vault.filters.Transfer(null, user), range)),
+    ];
+
+    const seen = new Set();
+    const movements = [];
+    for (const event of events.sort(byChainOrder)) {
+        const key = `${event.blockNumber}-${event.index}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        if (event.fragment.name === "Deposit") {
+            movements.push({ event, type: "deposit", counterparty: event.args.sender, shares: event.args.shares, assets: event.args.assets });
+        } else if (event.fragment.name === "Withdraw") {
+            movements.push({ event, type: "withdraw", counterparty: event.args.receiver, shares: event.args.shares, assets: event.args.assets });
+        } else {
+            const { from, to, value } = event.args;
+            if (from === to || from === ethers.ZeroAddress || to === ethers.ZeroAddress) continue;
+            const incoming = to === user;
+            movements.push({ event, type: incoming ? "transferIn" : "transferOut", counterparty: incoming ? from : to, shares: value, assets: null });
+        }
+    }
+    return movements;
+};
+
+// Replays the movements of `user` with average cost accounting: deposits add their assets to the cost
+// basis and transfers in their value at the time, withdrawals and transfers out realize their assets
+// (transfers at their value at the time) against the average cost of the shares they take out.
+const replayPosition = async (ethers, vault, movements) => {
+    let shares = 0n;
+    let costBasis = 0n;
+    const entries = [];
+    for (const movement of movements) {
+        const { event } = movement;
+        const assets = movement.assets === null ? await vault.convertToAssets(movement.shares, { blockTag: event.blockNumber }) : movement.assets;
+        let realizedPnl = 0n;
+        if (movement.type === "deposit" || movement.type === "transferIn") {
+            shares += movement.shares;
+            costBasis += assets;
+        } else {
+            const cost = shares > 0n ? (costBasis * movement.shares) / shares : 0n;
+            realizedPnl = assets - cost;
+            shares -= movement.shares;
+            costBasis -= cost;
+        }
+        entries.push({
+            block: event.blockNumber,
+            timestamp: (await ethers.provider.getBlock(event.blockNumber)).timestamp,
+            tx: event.transactionHash,
+            type: movement.type,
+            counterparty: movement.counterparty,
+            shares: movement.shares,
+            assets,
+            realizedPnl,
+            sharesAfter: shares,
+            costBasisAfter: costBasis,
+        });
+    }
+    return entries;
+};
+
+const positionAt = async (vault, entries, blockNumber) => {
+    const last = entries.filter((entry) => entry.block <= blockNumber).pop();
+    const shares = last ? last.sharesAfter : 0n;
+    const costBasis = last ? last.costBasisAfter : 0n;
+    // No historical call without shares: the vault may not be deployed yet.
+    const value = shares > 0n ? await vault.convertToAssets(shares, { blockTag: blockNumber }) : 0n;
+    return { block: blockNumber, shares, value, costBasis, unrealizedPnl: value - costBasis };
+};
+
+// Statement of the position of `user` in a vault between the timestamps `from` and `to`: the opening and
+// closing positions, the movements in between and their realized PnL. The whole history before `from` is
+// replayed for the cost basis. Amounts are formatted in the asset/share decimals.
+const buildStatement = async (ethers, vaultAddr, user, { from = 0, to, fromBlock = 0, chunkSize = 100000 } = {}) => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+    const asset = await ethers.getContractAt("ERC20", await vault.asset());
+    const decimals = await vault.decimals();
+    const latestBlock = await ethers.provider.getBlock("latest");
+    const toTimestamp = to === undefined ? latestBlock.timestamp : Math.min(to, latestBlock.timestamp);
+    if (from > toTimestamp) {
+        throw new Error(`Statement period starts after it ends: ${from} > ${toTimestamp}`);
+    }
+
+    // The opening position is the one of the last block before `from`, if the chain has one.
+    const closingBlock = await findBlockByTimestamp(ethers.provider, toTimestamp, 0, latestBlock.number);
+    let openingBlock = -1;
+    if (from > 0) {
+        const block = await findBlockByTimestamp(ethers.provider, from - 1, 0, closingBlock);
+        if ((await ethers.provider.getBlock(block)).timestamp < from) openingBlock = block;
+    }
+
+    const movements = await getShareMovements(ethers, vault, user, { fromBlock, toBlock: closingBlock, chunkSize });
+    const entries = await replayPosition(ethers, vault, movements);
+    const opening = await positionAt(vault, entries, openingBlock);
+    const closing = await positionAt(vault, entries, closingBlock);
+    const onChainShares = entries.length > 0 ? await vault.balanceOf(user, { blockTag: closingBlock }) : 0n;
+    const transactions = entries.filter((entry) => entry.block > opening.block);
+
+    const sum = (key, type) => transactions.filter((entry) => !type || type.includes(entry.type)).reduce((total, entry) => total + entry[key], 0n);
+    const format = (amount) => ethers.formatUnits(amount, decimals);
+    const formatPosition = (position) => ({
+        block: position.block,
+        shares: format(position.shares),
+        value: format(position.value),
+        costBasis: format(position.costBasis),
+        unrealizedPnl: format(position.unrealizedPnl),
+    });
+
+    return {
+        vault: vaultAddr,
+        vaultName: await vault.name(),
+        vaultSymbol: await vault.symbol(),
+        asset: asset.target,
+        assetSymbol: await asset.symbol(),
+        user,
+        period: {
+            from: from > 0 ? new Date(from * 1000).toISOString() : null,
+            to: new Date(toTimestamp * 1000).toISOString(),
+        },
+        opening: formatPosition(opening),
+        closing: formatPosition(closing),
+        // The replayed balance matches balanceOf() unless the user got shares some other way, e.g. as fees.
+        reconciled: closing.shares === onChainShares,
+        summary: {
+            deposited: format(sum("assets", ["deposit"])),
+            withdrawn: format(sum("assets", ["withdraw"])),
+            transferredIn: format(sum("assets", ["transferIn"])),
+            transferredOut: format(sum("assets", ["transferOut"])),
+            realizedPnl: format(sum("realizedPnl")),
+            unrealizedPnl: format(closing.unrealizedPnl),
+            totalPnl: format(sum("realizedPnl") + closing.unrealizedPnl - opening.unrealizedPnl),
+        },
+        transactions: transactions.map((entry) => ({
+            date: new Date(entry.timestamp * 1000).toISOString(),
+            block: entry.block,
+            tx: entry.tx,
+            type: entry.type,
+            counterparty: entry.counterparty,
+            shares: format(entry.shares),
+            assets: format(entry.assets),
+            realizedPnl: format(entry.realizedPnl),
+            sharesAfter: format(entry.sharesAfter),
+            costBasisAfter: format(entry.costBasisAfter),
+        })),
+    };
+};
+
+module.exports = { parseStatementDate, getShareMovements, replayPosition, buildStatement };
@@ -0,0 +1,67 @@
+const { roleId } = require("./ensure");
+
+// Strategy types, by the interface a strategy returns from getMetadata().
+const STRATEGY_INTERFACES = {
+    IBaseStrategy: "base",
+    IInvestorStrategy: "investor",
+    ILender: "aaveLender",
+    ILiquidationStrategy: "liquidation",
+    ITradeFintechStrategy: "tradeFintech",
+    IRWAStrategy: "rwa",
+};
+
+// Solidity's type(I).interfaceId: the XOR of the selectors of the functions of I.
+const interfaceId = (ethers, iface) => {
+    let id = 0n;
+    iface.forEachFunction((fragment) => {
+        id ^= BigInt(fragment.selector);
+    });
+    return ethers.toBeHex(id, 4);
+};
+
+// Returns the type of a strategy and the raw metadata of getMetadata(), "unknown" for
+// strategies that don't implement it.
+const getStrategyType = async (ethers, strategyAddr) => {
+    const strategy = await ethers.getContractAt("IBaseStrategy", strategyAddr);
+    let metadata;
+    try {
+        metadata = await strategy.getMetadata();
+    } catch (e) {
+        return { type: "unknown", data: "0x" };
+    }
+
+    for (const [name, type] of Object.entries(STRATEGY_INTERFACES)) {
+        const { interface: iface } = await ethers.getContractAt(name, strategyAddr);
+        if (interfaceId(ethers, iface) === metadata.interfaceId) {
+            return { type, data: metadata.data };
+        }
+    }
+    return { type: "unknown", data: metadata.data };
+};
+
+// Reasons report() on the strategy and processReport() on its vault by `account` would revert.
+const checkReportPermissions = async (ethers, tokenized, vault, account) => {
+    const errors = [];
+    if ((await tokenized.management()) !== account && (await tokenized.keeper()) !== account) {
+        errors.push(`${account} is neither the keeper nor the management of the strategy`);
+    }
+    if (!(await vault.hasRole(roleId(ethers, "REPORTING_MANAGER"), account))) {
+        errors.push(`${account} is missing REPORTING_MANAGER on vault ${vault.target}`);
+    }
+    return errors;
+};
+
+// Reports the strategy and processes the report on its vault, with the signers the contracts are connected to,
+// and returns the StrategyReported result. The keeper, tf:* and rwa:report-nav tasks all report through it.
+const reportAndProcess = async (tokenized, vault, overrides = {}) => {
+    const reportTx = await tokenized.report(overrides);
+    await reportTx.wait();
+    const processReportTx = await vault.processReport(tokenized.target, overrides);
+    const receipt = await processReportTx.wait();
+    const { gain, loss, currentDebt, protocolFees, totalFees, totalRefunds } = receipt.logs
+        .map((eventLog) => vault.interface.parseLog(eventLog))
+        .find((event) => event && event.name === "StrategyReported").args;
+    return { gain, loss, currentDebt, protocolFees, totalFees, totalRefunds, reportTx: reportTx.hash, processReportTx: processReportTx.hash };
+};
+
+module.exports = { STRATEGY_INTERFACES, interfaceId, getStrategyType, checkReportPermissions, reportAndProcess };
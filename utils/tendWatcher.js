@@ -0,0 +1,165 @@
+const http = require("http");
+const fs = require("fs");
+const { toPlain } = require("./cli");
+
+// Counters and gauges of the watcher, by name and label set, rendered in the Prometheus text format.
+const createMetrics = () => {
+    const metrics = new Map();
+
+    const define = (name, type, help) => {
+        metrics.set(name, { type, help, values: new Map() });
+    };
+    const labelsOf = (labels) =>
+        Object.entries(labels)
+            .map(([key, value]) => `${key}="${value}"`)
+            .join(",");
+    const inc = (name, labels = {}, value = 1) => {
+        const { values } = metrics.get(name);
+        const key = labelsOf(labels);
+        values.set(key, (values.get(key) || 0) + value);
+    };
+    const set = (name, labels = {}, value) => {
+        metrics.get(name).values.set(labelsOf(labels), value);
+    };
+    const get = (name, labels = {}) => metrics.get(name).values.get(labelsOf(labels));
+
+    const render = () => {
+        const lines = [];
+        for (const [name, { type, help, values }] of metrics) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value] of values) {
+                lines.push(`${name}${labels ? `{${labels}}` : ""} ${value}`);
+            }
+        }
+        return lines.join("\n") + "\n";
+    };
+
+    return { define, inc, set, get, render };
+};
+
+// Creates a watcher that calls tend() on the default queue strategies of vaults whose tendTrigger()
+// returns true. A strategy tended less than `cooldown` seconds ago (in chain time) is left alone, and
+// no tend is sent while the network gas price is above `maxGasPrice` (wei). `gasLimit` caps every
+// transaction. Each tend, skip and failure is appended as a JSON line to `logFile`.
+const createTendWatcher = (ethers, { signer, cooldown = 0, maxGasPrice = null, gasLimit = null, logFile = "", log = console.log }) => {
+    const overrides = gasLimit ? { gasLimit } : {};
+    const lastTended = new Map();
+    const metrics = createMetrics();
+    metrics.define("tend_watcher_rounds_total", "counter", "Rounds of tendTrigger() checks");
+    metrics.define("tend_watcher_last_round_timestamp_seconds", "gauge", "Block timestamp of the last round");
+    metrics.define("tend_watcher_gas_price_wei", "gauge", "Network gas price in the last round");
+    metrics.define("tend_watcher_checks_total", "counter", "tendTrigger() calls per strategy");
+    metrics.define("tend_watcher_triggered_total", "counter", "tendTrigger() calls that returned true per strategy");
+    metrics.define("tend_watcher_tends_total", "counter", "tend() transactions sent per strategy");
+    metrics.define("tend_watcher_skipped_total", "counter", "Triggered tends not sent per strategy and reason");
+    metrics.define("tend_watcher_errors_total", "counter", "Failed checks or tends per strategy");
+    metrics.define("tend_watcher_round_errors_total", "counter", "Rounds that failed as a whole");
+    metrics.define("tend_watcher_last_tend_timestamp_seconds", "gauge", "Block timestamp of the last tend per strategy");
+    metrics.define("tend_watcher_tend_gas_used", "gauge", "Gas used by the last tend per strategy");
+
+    const writeLog = (entry) => {
+        const line = JSON.stringify(toPlain({ time: new Date().toISOString(), ...entry }));
+        log(line);
+        if (logFile) fs.appendFileSync(logFile, line + "\n");
+    };
+
+    const tendStrategy = async (vaultAddr, strategyAddr, { now, gasPrice }) => {
+        const labels = { vault: vaultAddr, strategy: strategyAddr };
+        const strategy = await ethers.getContractAt("ITokenizedStrategy", strategyAddr, signer);
+        const trigger = await ethers.getContractAt("IBaseStrategy", strategyAddr);
+
+        metrics.inc("tend_watcher_checks_total", labels);
+        const [triggered] = await trigger.tendTrigger();
+        if (!triggered) {
+            return null;
+        }
+        metrics.inc("tend_watcher_triggered_total", labels);
+
+        let reason = null;
+        if (lastTended.has(strategyAddr) && now < lastTended.get(strategyAddr) + cooldown) {
+            reason = "cooldown";
+        } else if (maxGasPrice !== null && (gasPrice === null || gasPrice > maxGasPrice)) {
+            reason = "gas_price";
+        } else if (await strategy.isShutdown()) {
+            reason = "shutdown";
+        }
+        if (reason) {
+            metrics.inc("tend_watcher_skipped_total", { ...labels, reason });
+            const entry = { event: "Skipped", vault: vaultAddr, strategy: strategyAddr, reason };
+            writeLog(entry);
+            return entry;
+        }
+
+        const tx = await strategy.tend(overrides);
+        const receipt = await tx.wait();
+        const tendedAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+        lastTended.set(strategyAddr, tendedAt);
+        metrics.inc("tend_watcher_tends_total", labels);
+        metrics.set("tend_watcher_last_tend_timestamp_seconds", labels, tendedAt);
+        metrics.set("tend_watcher_tend_gas_used", labels, receipt.gasUsed);
+        const entry = { event: "Tended", vault: vaultAddr, strategy: strategyAddr, tx: tx.hash, gasUsed: receipt.gasUsed };
+        writeLog(entry);
+        return entry;
+    };
+
+    // Runs a single pass over `vaults` and returns the Tended and Skipped entries.
+    // A failing strategy is logged and does not stop the pass.
+    const runOnce = async (vaults) => {
+        const results = [];
+        // Networks without a legacy gas price report maxFeePerGas instead; with neither, the ceiling
+        // can't be checked and the triggered tends are skipped.
+        const feeData = await ethers.provider.getFeeData();
+        const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? null;
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        metrics.inc("tend_watcher_rounds_total");
+        metrics.set("tend_watcher_last_round_timestamp_seconds", {}, now);
+        if (gasPrice !== null) metrics.set("tend_watcher_gas_price_wei", {}, gasPrice);
+
+        for (const vaultAddr of vaults) {
+            const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+            for (const strategyAddr of await vault.getDefaultQueue()) {
+                try {
+                    const entry = await tendStrategy(vaultAddr, strategyAddr, { now, gasPrice });
+                    if (entry) results.push(entry);
+                } catch (e) {
+                    metrics.inc("tend_watcher_errors_total", { vault: vaultAddr, strategy: strategyAddr });
+                    writeLog({ event: "Error", vault: vaultAddr, strategy: strategyAddr, error: e.shortMessage || e.message });
+                }
+            }
+        }
+        return results;
+    };
+
+    // Runs a round over the vaults returned by `listVaults`. A round that fails as a whole (listing the
+    // vaults, reading the gas price or a default queue) is counted and logged and returns null, the next
+    // poll retries it.
+    const runRound = async (listVaults) => {
+        try {
+            return await runOnce(await listVaults());
+        } catch (e) {
+            metrics.inc("tend_watcher_round_errors_total");
+            writeLog({ event: "Error", error: e.shortMessage || e.message });
+            return null;
+        }
+    };
+
+    return { runOnce, runRound, metrics };
+};
+
+// Serves `render()` on GET /metrics. Resolves with the listening server once it is bound.
+const startMetricsServer = (port, render, host = "0.0.0.0") =>
+    new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+            if (req.method !== "GET" || req.url !== "/metrics") {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+            res.end(render());
+        });
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(server));
+    });
+
+module.exports = { createMetrics, createTendWatcher, startMetricsServer };
@@ -0,0 +1,86 @@
+const { getStrategyType, checkReportPermissions } = require("./strategies");
+
+// Phases of a TradeFintechStrategy: deposits are open, then the funds are locked with the
+// management until `lockPeriodEnds`, then they are due ("repayment") until repay() returns them.
+const phaseOf = (now, { depositPeriodEnds, lockPeriodEnds, totalInvested }) => {
+    if (now <= depositPeriodEnds) return "deposit";
+    if (now < lockPeriodEnds) return "lock";
+    return totalInvested > 0n ? "repayment" : "repaid";
+};
+
+const loadTradeFintech = async (ethers, strategyAddr, signer) => {
+    const { type } = await getStrategyType(ethers, strategyAddr);
+    if (type !== "tradeFintech") {
+        throw new Error(`Strategy ${strategyAddr} is not a TradeFintechStrategy (${type})`);
+    }
+    const tf = await ethers.getContractAt("TradeFintechStrategy", strategyAddr, signer);
+    const tokenized = await ethers.getContractAt("TokenizedStrategy", strategyAddr, signer);
+    const asset = await ethers.getContractAt("ERC20", await tokenized.asset(), signer);
+    const vault = await ethers.getContractAt("VaultPackage", await tf.vault(), signer);
+    return { address: strategyAddr, tf, tokenized, asset, vault };
+};
+
+// Where a strategy stands: its phase, what is locked with the management (totalInvested) vs idle in the
+// strategy, and the gain or loss the next report() would record.
+const getTradeFintechStatus = async (ethers, { address, tf, tokenized, asset, vault }) => {
+    const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    const depositPeriodEnds = await tf.depositPeriodEnds();
+    const lockPeriodEnds = await tf.lockPeriodEnds();
+    const totalInvested = await tf.totalInvested();
+    const idle = await asset.balanceOf(address);
+    const reportedAssets = await tokenized.totalAssets();
+    const management = await tokenized.management();
+
+    return {
+        strategy: address,
+        phase: phaseOf(now, { depositPeriodEnds, lockPeriodEnds, totalInvested }),
+        now,
+        depositPeriodEnds,
+        lockPeriodEnds,
+        decimals: await asset.decimals(),
+        depositLimit: await tf.depositLimit(),
+        locked: totalInvested,
+        idle,
+        reportedAssets,
+        unreported: totalInvested + idle - reportedAssets,
+        vault: vault.target,
+        vaultDebt: (await vault.strategies(address)).currentDebt,
+        management,
+        managementBalance: await asset.balanceOf(management),
+    };
+};
+
+// Reasons report() + processReport() by `account` would revert, or would come before the repayment.
+const checkSettle = async (ethers, { tokenized, vault }, status, account) => {
+    const errors = [];
+    if (status.locked > 0n) errors.push(`${status.locked} is still locked with the management, repay first`);
+    return [...errors, ...(await checkReportPermissions(ethers, tokenized, vault, account))];
+};
+
+// Reasons lockFunds(amount) by `account` would revert in the current state.
+const checkLock = (status, account, amount) => {
+    const errors = [];
+    if (status.management !== account) errors.push(`${account} is not the management ${status.management}`);
+    if (amount === 0n) errors.push("amount is zero");
+    if (status.now >= status.lockPeriodEnds) errors.push(`the lock period ended at ${status.lockPeriodEnds}`);
+    if (amount > status.idle) errors.push(`only ${status.idle} idle in the strategy, ${amount} to lock`);
+    return errors;
+};
+
+// Reasons repay(amount) by `account` would revert.
+const checkRepay = (status, account, amount) => {
+    const errors = [];
+    if (status.management !== account) errors.push(`${account} is not the management ${status.management}`);
+    if (status.locked === 0n) errors.push("the funds were already returned");
+    if (amount === 0n) errors.push("amount is zero");
+    if (amount > status.managementBalance) errors.push(`the management holds ${status.managementBalance}, ${amount} to repay`);
+    return errors;
+};
+
+const assertAllowed = (action, strategyAddr, errors) => {
+    if (errors.length > 0) {
+        throw new Error(`Can't ${action} strategy ${strategyAddr}: ${errors.join(", ")}`);
+    }
+};
+
+module.exports = { phaseOf, loadTradeFintech, getTradeFintechStatus, checkSettle, checkLock, checkRepay, assertAllowed };
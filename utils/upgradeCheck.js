@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const upgradesCore = require("@openzeppelin/upgrades-core");
+const { readDeployment } = require("./addressBook");
+
+const { getContractVersion, getStorageUpgradeReport, solcInputOutputDecoder, validate, withValidationDefaults } = upgradesCore;
+
+const LAYOUTS_DIR = path.join(__dirname, "..", "storage-layouts");
+
+// EIP-170 limit of the deployed code, EIP-3860 allows twice that for the init code.
+const MAX_CODE_SIZE = 24576;
+
+// The proxy each package is the implementation of: a package has to keep the storage of its proxy.
+const PROXIES = {
+    VaultPackage: "FathomVault",
+    FactoryPackage: "Factory",
+};
+
+// The storageLayout solc puts in a hardhat-deploy artifact has the slots and sizes of this layout version.
+const SOLC_LAYOUT_VERSION = "1.2";
+
+const defaultReferenceFile = (networkName) => path.join(LAYOUTS_DIR, `${networkName}.json`);
+
+const readReference = (file) => {
+    if (!fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        throw new Error(`Invalid storage layout reference ${file}: ${e.message}`);
+    }
+};
+
+// Validation of each build, by build info id: it covers every contract of the build.
+const validations = new Map();
+
+// Storage layout of a compiled contract, as @openzeppelin/upgrades-core extracts it from the build info.
+const getStorageLayout = async (artifacts, name) => {
+    const { sourceName, contractName } = await artifacts.readArtifact(name);
+    const fullName = `${sourceName}:${contractName}`;
+    const buildInfo = await artifacts.getBuildInfo(fullName);
+    if (!buildInfo) {
+        throw new Error(`No build info for ${fullName}: compile first`);
+    }
+    if (!validations.has(buildInfo.id)) {
+        const decodeSrc = solcInputOutputDecoder(buildInfo.input, buildInfo.output);
+        validations.set(buildInfo.id, validate(buildInfo.output, decodeSrc, buildInfo.solcVersion, buildInfo.input));
+    }
+    const runData = validations.get(buildInfo.id);
+    return upgradesCore.getStorageLayout(runData, getContractVersion(runData, fullName));
+};
+
+// Storage layout of a compiled contract as solc outputs it, the one hardhat-deploy saves in its artifacts.
+const getSolcStorageLayout = async (artifacts, name) => {
+    const { sourceName, contractName } = await artifacts.readArtifact(name);
+    const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+    return buildInfo ? buildInfo.output.contracts[sourceName][contractName].storageLayout : undefined;
+};
+
+// Deployed and init code sizes, in bytes, of a compiled contract against the limits.
+const getCodeSizes = async (artifacts, name, { sizeLimit = MAX_CODE_SIZE } = {}) => {
+    const { bytecode, deployedBytecode } = await artifacts.readArtifact(name);
+    const size = (code) => (code.length - 2) / 2;
+    return {
+        contract: name,
+        size: size(deployedBytecode),
+        initcodeSize: size(bytecode),
+        sizeLimit,
+        ok: size(deployedBytecode) <= sizeLimit && size(bytecode) <= 2 * sizeLimit,
+    };
+};
+
+// The layouts of the versions of `contracts` deployed on `networkName`: the storageLayout of their
+// hardhat-deploy artifact, else the one recorded in `reference` (see recordDeployedLayouts).
+const readDeployedLayouts = async (hre, networkName, contracts, reference) => {
+    const layouts = {};
+    for (const name of contracts) {
+        const deployment = await readDeployment(hre, networkName, name);
+        if (deployment && deployment.storageLayout) {
+            layouts[name] = { address: deployment.address, layout: { ...deployment.storageLayout, layoutVersion: SOLC_LAYOUT_VERSION } };
+        } else if (reference[name]) {
+            layouts[name] = reference[name];
+        }
+    }
+    return layouts;
+};
+
+// Whether the runtime `code` of an account is the `deployedBytecode` of an artifact, whatever the
+// libraries it is linked to.
+const matchesBuild = (code, deployedBytecode) => {
+    const pattern = deployedBytecode.toLowerCase().replace(/__\$[0-9a-f]{34}\$__/g, "[0-9a-f]{40}");
+    return new RegExp(`^${pattern}$`).test(code.toLowerCase());
+};
+
+const explainLayoutReport = (report) => report.explain(false).trim().replace(/\s*\n\s*/g, "; ");
+
+// Checks each contract of `contracts`: its code sizes, that its storage layout extends the layout of its
+// proxy, and that it is an upgrade-safe change of the layout of its deployed version in `deployedLayouts`
+// (see readDeployedLayouts). A check without a proxy is skipped, and so is one without a deployed layout
+// unless `requireDeployed` is set, as on live networks.
+const checkUpgrades = async (artifacts, contracts, deployedLayouts, { sizeLimit = MAX_CODE_SIZE, requireDeployed = false } = {}) => {
+    const opts = withValidationDefaults({});
+    const rows = [];
+    for (const name of contracts) {
+        const sizes = await getCodeSizes(artifacts, name, { sizeLimit });
+        rows.push({
+            contract: name,
+            check: "size",
+            status: sizes.ok ? "ok" : "failed",
+            detail: `${sizes.size} bytes (initcode ${sizes.initcodeSize}), limit ${sizeLimit} (initcode ${2 * sizeLimit})`,
+        });
+
+        const layout = await getStorageLayout(artifacts, name);
+        if (PROXIES[name]) {
+            const report = getStorageUpgradeReport(await getStorageLayout(artifacts, PROXIES[name]), layout, opts);
+            rows.push({ contract: name, check: `layout vs ${PROXIES[name]} proxy`, status: report.ok ? "ok" : "failed", detail: report.ok ? "" : explainLayoutReport(report) });
+        }
+
+        const deployed = deployedLayouts[name];
+        if (!deployed) {
+            rows.push({
+                contract: name,
+                check: "layout vs deployed",
+                status: requireDeployed ? "failed" : "skipped",
+                detail: requireDeployed ? "no deployed layout, record it with upgrade:check --save" : "no recorded layout",
+            });
+            continue;
+        }
+        const report = getStorageUpgradeReport(deployed.layout, layout, opts);
+        rows.push({
+            contract: name,
+            check: "layout vs deployed",
+            status: report.ok ? "ok" : "failed",
+            detail: report.ok ? `${deployed.address || "recorded layout"}` : explainLayoutReport(report),
+        });
+    }
+    return rows;
+};
+
+// Records the storage layouts of `contracts` in `file` as the deployed versions, with their addresses when known.
+// The layouts are the ones of this build: see recordDeployedLayouts to record what is on chain.
+const saveReference = async (artifacts, contracts, file, addresses = {}) => {
+    const reference = readReference(file);
+    for (const name of contracts) {
+        reference[name] = {
+            address: addresses[name] || null,
+            savedAt: new Date().toISOString(),
+            layout: await getStorageLayout(artifacts, name),
+        };
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(reference, null, 2) + "\n");
+    return reference;
+};
+
+// Records the layouts of the deployments of `contracts` on the network hardhat runs on, refusing a deployment
+// whose code on chain isn't this build: its layout would be the one of another version.
+const recordDeployedLayouts = async (hre, contracts, file) => {
+    const { artifacts, deployments, ethers, network } = hre;
+    const addresses = {};
+    for (const name of contracts) {
+        const deployment = await deployments.getOrNull(name);
+        if (!deployment) {
+            throw new Error(`No deployment of ${name} on ${network.name}: nothing to record`);
+        }
+        const code = await ethers.provider.getCode(deployment.address);
+        if (!matchesBuild(code, (await artifacts.readArtifact(name)).deployedBytecode)) {
+            throw new Error(`The code of ${name} at ${deployment.address} isn't this build: check out the commit it was deployed from`);
+        }
+        addresses[name] = deployment.address;
+    }
+    return saveReference(artifacts, contracts, file, addresses);
+};
+
+module.exports = {
+    MAX_CODE_SIZE,
+    PROXIES,
+    defaultReferenceFile,
+    readReference,
+    readDeployedLayouts,
+    matchesBuild,
+    getStorageLayout,
+    getSolcStorageLayout,
+    getCodeSizes,
+    checkUpgrades,
+    saveReference,
+    recordDeployedLayouts,
+};
@@ -0,0 +1,233 @@
+const { readConfigFile } = require("./cli");
+const { getAddressBook } = require("./addressBook");
+const { createEnsurer } = require("./ensure");
+
+const ONE_YEAR = 31_556_952;
+const ASSET_TYPES = [1, 2, 3]; // 1 for Normal / 2 for Deflationary / 3 for Rebasing
+const VAULT_ROLES = ["DEFAULT_ADMIN_ROLE", "STRATEGY_MANAGER", "REPORTING_MANAGER", "DEBT_PURCHASER"];
+
+const loadVaultSpec = (file) => readConfigFile(file, "vault spec");
+
+const isAmount = (value) => value === "max" || /^\d+(\.\d+)?$/.test(String(value));
+const isAccount = (value) => typeof value === "string" && value.length > 0;
+
+// Accounts that can be left out, `null` unsets the ones in NULLABLE_ACCOUNTS.
+const ACCOUNT_FIELDS = ["factory", "vaultPackage", "asset", "accountant", "admin", "vault", "depositLimitModule"];
+const NULLABLE_ACCOUNTS = ["accountant", "depositLimitModule"];
+
+// Returns the list of problems found in `spec`, empty when the spec is valid.
+const validateVaultSpec = (spec) => {
+    const errors = [];
+    if (!spec || typeof spec !== "object") {
+        return ["spec must be an object"];
+    }
+
+    for (const field of ["name", "symbol"]) {
+        if (typeof spec[field] !== "string" || spec[field].length === 0) {
+            errors.push(`${field} must be a non-empty string`);
+        }
+    }
+    if (!ASSET_TYPES.includes(spec.assetType)) {
+        errors.push(`assetType must be one of ${ASSET_TYPES.join(", ")}`);
+    }
+    if (!Number.isInteger(spec.profitMaxUnlockTime) || spec.profitMaxUnlockTime < 0 || spec.profitMaxUnlockTime > ONE_YEAR) {
+        errors.push(`profitMaxUnlockTime must be an integer between 0 and ${ONE_YEAR}`);
+    }
+
+    for (const field of ["depositLimit", "minUserDeposit", "minimumTotalIdle"]) {
+        if (spec[field] !== undefined && !isAmount(spec[field])) {
+            errors.push(`${field} must be an amount in asset units or "max"`);
+        }
+    }
+    if (spec.depositLimit !== undefined && isAmount(spec.depositLimit) && spec.depositLimit !== "max" && Number(spec.depositLimit) === 0) {
+        errors.push("depositLimit must be above zero, setDepositLimit(0) reverts");
+    }
+    if (spec.depositLimitModule && spec.depositLimit !== undefined && spec.depositLimit !== "max") {
+        errors.push(`depositLimit must be "max" when a depositLimitModule is set`);
+    }
+
+    // An unquoted 0x... address is a number in YAML and JSON, accounts must be strings.
+    for (const field of ACCOUNT_FIELDS) {
+        if (spec[field] === undefined || (spec[field] === null && NULLABLE_ACCOUNTS.includes(field))) continue;
+        if (!isAccount(spec[field])) {
+            errors.push(`${field} must be an address or a name, quoted`);
+        }
+    }
+
+    const roles = spec.roles || {};
+    for (const [role, holders] of Object.entries(roles)) {
+        if (!VAULT_ROLES.includes(role)) {
+            errors.push(`roles.${role} is not a vault role (expected one of ${VAULT_ROLES.join(", ")})`);
+        }
+        if (!Array.isArray(holders)) {
+            errors.push(`roles.${role} must be a list of accounts`);
+        } else if (!holders.every(isAccount)) {
+            errors.push(`roles.${role} must list addresses or names, quoted`);
+        }
+    }
+
+    const strategies = spec.strategies || [];
+    if (!Array.isArray(strategies)) {
+        errors.push("strategies must be a list");
+    } else {
+        strategies.forEach((strategy, i) => {
+            if (!strategy || !strategy.address) {
+                errors.push(`strategies[${i}].address is required`);
+            } else if (!isAccount(strategy.address)) {
+                errors.push(`strategies[${i}].address must be an address or a name, quoted`);
+            }
+            if (!strategy || strategy.maxDebt === undefined || !isAmount(strategy.maxDebt)) {
+                errors.push(`strategies[${i}].maxDebt must be an amount in asset units or "max"`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+// Resolves every account of the spec to an address: literal addresses are kept,
+// "deployer" is the signer and any other name is looked up in the address book.
+const resolveVaultSpec = async (hre, spec, signer) => {
+    const { ethers } = hre;
+    const addressBook = getAddressBook(hre);
+
+    const resolveAccount = async (value, name) => {
+        if (!value) return addressBook.get(name);
+        if (value === "deployer") return signer.address;
+        const address = ethers.isAddress(value) ? ethers.getAddress(value) : await addressBook.get(value);
+        if (address === ethers.ZeroAddress) {
+            throw new Error(`Vault spec "${name}" resolves to the zero address`);
+        }
+        return address;
+    };
+
+    const asset = await resolveAccount(spec.asset, "asset");
+    const assetContract = await ethers.getContractAt("ERC20", asset);
+    const decimals = await assetContract.decimals();
+    const toAmount = (value) => (value === "max" ? ethers.MaxUint256 : ethers.parseUnits(String(value), decimals));
+
+    const roles = {};
+    for (const [role, holders] of Object.entries(spec.roles || {})) {
+        roles[role] = [];
+        for (const holder of holders) {
+            roles[role].push(await resolveAccount(holder, holder));
+        }
+    }
+
+    const strategies = [];
+    for (const strategy of spec.strategies || []) {
+        strategies.push({ address: await resolveAccount(strategy.address, strategy.address), maxDebt: toAmount(strategy.maxDebt) });
+    }
+
+    return {
+        factory: await resolveAccount(spec.factory, "factory"),
+        vaultPackage: await resolveAccount(spec.vaultPackage, "VaultPackage"),
+        vault: spec.vault ? await resolveAccount(spec.vault, spec.vault) : null,
+        asset,
+        accountant: spec.accountant === null ? ethers.ZeroAddress : await resolveAccount(spec.accountant, "accountant"),
+        admin: spec.admin ? await resolveAccount(spec.admin, spec.admin) : signer.address,
+        name: spec.name,
+        symbol: spec.symbol,
+        assetType: spec.assetType,
+        profitMaxUnlockTime: spec.profitMaxUnlockTime,
+        depositLimit: spec.depositLimit !== undefined ? toAmount(spec.depositLimit) : spec.depositLimitModule ? ethers.MaxUint256 : null,
+        depositLimitModule:
+            spec.depositLimitModule === undefined ? null : spec.depositLimitModule ? await resolveAccount(spec.depositLimitModule, spec.depositLimitModule) : ethers.ZeroAddress,
+        minUserDeposit: spec.minUserDeposit !== undefined ? toAmount(spec.minUserDeposit) : null,
+        minimumTotalIdle: spec.minimumTotalIdle !== undefined ? toAmount(spec.minimumTotalIdle) : null,
+        roles,
+        strategies,
+    };
+};
+
+// Finds the vault described by the spec: the explicit `vault` address, else a factory vault
+// with the same asset and symbol, else deploys a new one through the factory.
+// The vault a deployVault() transaction deployed, read from its VaultDeployed event rather than from the
+// end of getVaults(), which another deployment in the meantime would change. The factories deployed before
+// FactoryPackage emit the same event.
+const getDeployedVault = (factoryInterface, receipt) => {
+    const vaultDeployed = receipt.logs
+        .map((log) => factoryInterface.parseLog(log))
+        .find((event) => event && event.name === "VaultDeployed");
+    if (!vaultDeployed) {
+        throw new Error(`No VaultDeployed event in transaction ${receipt.hash}`);
+    }
+    return vaultDeployed.args.vault;
+};
+
+const findOrDeployVault = async (ethers, spec) => {
+    const factory = await ethers.getContractAt("FactoryPackage", spec.factory);
+    if (spec.vault) return { vault: spec.vault, deployed: false };
+
+    for (const vaultAddr of await factory.getVaults()) {
+        const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+        if ((await vault.asset()) === spec.asset && (await vault.symbol()) === spec.symbol) {
+            return { vault: vaultAddr, deployed: false };
+        }
+    }
+
+    console.log("Deploying Vault ...");
+    const deployVaultTx = await factory.deployVault(
+        spec.vaultPackage,
+        spec.profitMaxUnlockTime,
+        spec.assetType,
+        spec.asset,
+        spec.name,
+        spec.symbol,
+        spec.accountant,
+        spec.admin
+    );
+    return { vault: getDeployedVault(factory.interface, await deployVaultTx.wait()), deployed: true };
+};
+
+// Deploys the vault if needed and converges its configuration to `spec` (as returned by resolveVaultSpec).
+// Only values that differ from the on-chain state are written, so applying a spec twice is a no-op.
+// Roles are only granted: holders that are not in the spec are left in place.
+const applyVaultSpec = async (hre, spec, ensureOptions = {}) => {
+    const { ethers } = hre;
+    const ensure = createEnsurer(hre, ensureOptions);
+
+    const { vault: vaultAddress, deployed } = await findOrDeployVault(ethers, spec);
+    console.log(deployed ? "Deployed Vault = " : "Existing Vault = ", vaultAddress);
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddress);
+
+    if ((await vault.asset()) !== spec.asset) {
+        throw new Error(`Vault ${vaultAddress} asset is ${await vault.asset()}, spec asset is ${spec.asset}`);
+    }
+
+    for (const [role, holders] of Object.entries(spec.roles)) {
+        for (const holder of holders) {
+            await ensure.role(vault, role, holder);
+        }
+    }
+
+    await ensure.accountant(vault, spec.accountant);
+    await ensure.profitMaxUnlockTime(vault, spec.profitMaxUnlockTime);
+
+    if (spec.depositLimitModule !== null && spec.depositLimitModule !== ethers.ZeroAddress) {
+        await ensure.depositLimitModule(vault, spec.depositLimitModule);
+    } else {
+        if (spec.depositLimitModule !== null) {
+            await ensure.depositLimitModule(vault, ethers.ZeroAddress);
+        }
+        if (spec.depositLimit !== null) {
+            await ensure.depositLimit(vault, spec.depositLimit);
+        }
+    }
+
+    if (spec.minUserDeposit !== null) {
+        await ensure.minUserDeposit(vault, spec.minUserDeposit);
+    }
+    if (spec.minimumTotalIdle !== null) {
+        await ensure.minimumTotalIdle(vault, spec.minimumTotalIdle);
+    }
+
+    for (const strategy of spec.strategies) {
+        await ensure.strategyAdded(vault, strategy.address);
+        await ensure.maxDebt(vault, strategy.address, strategy.maxDebt);
+    }
+
+    return { vault: vaultAddress, deployed, actions: ensure.actions };
+};
+
+module.exports = { VAULT_ROLES, loadVaultSpec, validateVaultSpec, resolveVaultSpec, getDeployedVault, findOrDeployVault, applyVaultSpec };
@@ -0,0 +1,79 @@
+// Reads the state of a VaultPackage and of every strategy in its default queue.
+const getVaultStatus = async (ethers, vaultAddr) => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+
+    const [
+        name,
+        asset,
+        totalAssets,
+        totalIdle,
+        totalDebt,
+        pricePerShare,
+        depositLimit,
+        minimumTotalIdle,
+        profitMaxUnlockTime,
+        shutdown,
+        accountant,
+        defaultQueue,
+    ] = await Promise.all([
+        vault.name(),
+        vault.asset(),
+        vault.totalAssets(),
+        vault.totalIdle(),
+        vault.totalDebt(),
+        vault.pricePerShare(),
+        vault.depositLimit(),
+        vault.minimumTotalIdle(),
+        vault.profitMaxUnlockTime(),
+        vault.shutdown(),
+        vault.accountant(),
+        vault.getDefaultQueue(),
+    ]);
+
+    const strategies = [];
+    for (const strategyAddr of defaultQueue) {
+        const params = await vault.strategies(strategyAddr);
+        strategies.push({
+            address: strategyAddr,
+            activation: params.activation,
+            lastReport: params.lastReport,
+            currentDebt: params.currentDebt,
+            maxDebt: params.maxDebt,
+        });
+    }
+
+    return {
+        address: vaultAddr,
+        name,
+        asset,
+        totalAssets,
+        totalIdle,
+        totalDebt,
+        pricePerShare,
+        depositLimit,
+        minimumTotalIdle,
+        profitMaxUnlockTime,
+        shutdown,
+        accountant,
+        strategies,
+    };
+};
+
+// One row per vault strategy, vault columns repeated. Vaults without strategies get a single row.
+const flattenVaultStatus = (status) => {
+    const { strategies, ...vaultColumns } = status;
+    const vaultRow = Object.fromEntries(Object.entries(vaultColumns).map(([key, value]) => [key === "address" ? "vault" : key, value]));
+
+    if (strategies.length === 0) {
+        return [{ ...vaultRow, strategy: "", currentDebt: "", maxDebt: "", lastReport: "" }];
+    }
+    return strategies.map((strategy) => ({
+        ...vaultRow,
+        strategy: strategy.address,
+        currentDebt: strategy.currentDebt,
+        maxDebt: strategy.maxDebt,
+        lastReport: strategy.lastReport,
+    }));
+};
+
+module.exports = { getVaultStatus, flattenVaultStatus };
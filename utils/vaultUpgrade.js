@@ -0,0 +1,167 @@
+const { getRoleHolders } = require("./roles");
+const { roleId } = require("./ensure");
+const { getSolcStorageLayout } = require("./upgradeCheck");
+
+// keccak256("eip1967.proxy.implementation") - 1, where FathomVault keeps its VaultPackage.
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const VAULT_FIELDS = [
+    "asset",
+    "name",
+    "symbol",
+    "decimals",
+    "factory",
+    "accountant",
+    "totalAssets",
+    "totalIdle",
+    "totalDebt",
+    "totalSupplyAmount",
+    "depositLimit",
+    "depositLimitModule",
+    "withdrawLimitModule",
+    "minimumTotalIdle",
+    "minUserDeposit",
+    "profitMaxUnlockTime",
+    "fullProfitUnlockDate",
+    "profitUnlockingRate",
+    "lastProfitUpdate",
+    "useDefaultQueue",
+    "shutdown",
+];
+
+// Fields that deposits, withdrawals and reports move, along with the debt and last report of each strategy.
+const FLOW_FIELDS = ["totalAssets", "totalIdle", "totalDebt", "totalSupplyAmount", "fullProfitUnlockDate", "profitUnlockingRate", "lastProfitUpdate"];
+const isFlowField = (field) => FLOW_FIELDS.includes(field) || /^strategies\(.*\)\.(currentDebt|lastReport)$/.test(field);
+
+const getImplementation = async (ethers, proxy, blockTag = "latest") =>
+    ethers.getAddress(ethers.dataSlice(await ethers.provider.getStorage(proxy, IMPLEMENTATION_SLOT, blockTag), 12));
+
+// Deploys VaultLogic and the VaultPackage linked to it, and saves them as deployments.
+const deployVaultPackage = async (hre, signer) => {
+    const { ethers, deployments } = hre;
+    const vaultLogic = await (await ethers.getContractFactory("VaultLogic", signer)).deploy();
+    await vaultLogic.waitForDeployment();
+    console.log("VaultLogic = ", vaultLogic.target);
+    const VaultPackage = await ethers.getContractFactory("VaultPackage", { signer, libraries: { VaultLogic: vaultLogic.target } });
+    const vaultPackage = await VaultPackage.deploy();
+    await vaultPackage.waitForDeployment();
+    console.log("VaultPackage = ", vaultPackage.target);
+
+    await deployments.save("VaultLogic", { address: vaultLogic.target, abi: (await deployments.getArtifact("VaultLogic")).abi });
+    await deployments.save("VaultPackage", {
+        address: vaultPackage.target,
+        abi: (await deployments.getArtifact("VaultPackage")).abi,
+        storageLayout: await getSolcStorageLayout(hre.artifacts, "VaultPackage"),
+    });
+    return vaultPackage.target;
+};
+
+// Factories deployed before FactoryPackage (IFactoryOld, e.g. the one of addresses/xdc.json) have no
+// isVaultPackage(): they take a single vault package through updateVaultPackage().
+const isOldFactory = async (ethers, factoryAddr) => {
+    const factory = await ethers.getContractAt("IFactory", factoryAddr);
+    try {
+        await factory.isVaultPackage(ethers.ZeroAddress);
+        return false;
+    } catch (e) {
+        return true;
+    }
+};
+
+// The state an upgrade must keep: the storage-backed getters of the vault (the computed totalSupply()
+// and pricePerShare() move with the profit unlocking in time), its queue and strategies, and whether
+// the `roleHolders` still have their roles, at `blockTag`. A getter that fails gets its error as value.
+const snapshotVault = async (ethers, vaultAddr, roleHolders, blockTag = "latest") => {
+    const vault = await ethers.getContractAt("VaultPackage", vaultAddr);
+    const read = async (fn) => {
+        try {
+            const value = await fn();
+            return Array.isArray(value) ? value.join(",") : String(value);
+        } catch (e) {
+            return `error: ${e.shortMessage || e.message}`;
+        }
+    };
+
+    const state = {};
+    for (const field of VAULT_FIELDS) {
+        state[field] = await read(() => vault[field]({ blockTag }));
+    }
+    state.defaultQueue = await read(() => vault.getDefaultQueue({ blockTag }));
+    const queue = state.defaultQueue.startsWith("error") || state.defaultQueue === "" ? [] : state.defaultQueue.split(",");
+    for (const strategy of queue) {
+        for (const param of ["activation", "lastReport", "currentDebt", "maxDebt"]) {
+            state[`strategies(${strategy}).${param}`] = await read(async () => (await vault.strategies(strategy, { blockTag }))[param]);
+        }
+    }
+    for (const { role, account } of roleHolders) {
+        // Roles without a known name come as their id.
+        const id = ethers.isHexString(role, 32) ? role : roleId(ethers, role);
+        state[`hasRole(${role}, ${account})`] = await read(() => vault.hasRole(id, account, { blockTag }));
+    }
+    return state;
+};
+
+const diffSnapshots = (before, after) =>
+    [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter((field) => before[field] !== after[field])
+        .map((field) => ({ field, before: before[field] === undefined ? null : before[field], after: after[field] === undefined ? null : after[field] }));
+
+// Whether other transactions of the block of `receipt` emitted events of the vault: deposits, withdrawals
+// or reports next to the upgrade.
+const hasOtherActivity = async (ethers, vaultAddr, receipt) => {
+    const logs = await ethers.provider.getLogs({ address: vaultAddr, fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber });
+    return logs.some((eventLog) => eventLog.transactionHash !== receipt.hash);
+};
+
+// Points each vault proxy at `packageAddr` and checks that its snapshot didn't drift. Both snapshots are
+// read around the upgrade transaction, in the block before it and in its block, so that a setImplementation
+// a previous run sent, awaited by the ensurer on resume, is checked too. When other transactions of that
+// block used the vault, the fields they move are left out of the check. A vault already on the package is
+// skipped. On the first drift the vault is set back to its previous implementation when `rollback` is set
+// (on the in-process network the caller reverts the whole run instead) and the remaining vaults are left
+// alone.
+const upgradeVaults = async (ethers, vaults, packageAddr, signer, { ensure, rollback = true, blockRange = {} } = {}) => {
+    const results = [];
+    for (const vaultAddr of vaults) {
+        const proxy = await ethers.getContractAt("FathomVault", vaultAddr, signer);
+        const label = `Set implementation of ${vaultAddr} to ${packageAddr}`;
+        const pendingTx = ensure.pendingTx(label);
+        let receipt = await ensure.step(
+            label,
+            async () => (await getImplementation(ethers, vaultAddr)) === packageAddr,
+            () => proxy.setImplementation(packageAddr, "0x")
+        );
+        if (!receipt && pendingTx) {
+            const pendingReceipt = await ethers.provider.getTransactionReceipt(pendingTx);
+            if (pendingReceipt && pendingReceipt.status === 1) receipt = pendingReceipt;
+        }
+        if (!receipt) {
+            results.push({ vault: vaultAddr, previous: await getImplementation(ethers, vaultAddr), status: "skipped", drift: [] });
+            continue;
+        }
+
+        const previous = await getImplementation(ethers, vaultAddr, receipt.blockNumber - 1);
+        const roleHolders = await getRoleHolders(ethers, vaultAddr, blockRange);
+        const before = await snapshotVault(ethers, vaultAddr, roleHolders, receipt.blockNumber - 1);
+        const after = await snapshotVault(ethers, vaultAddr, roleHolders, receipt.blockNumber);
+        let drift = diffSnapshots(before, after);
+        if (drift.some((row) => isFlowField(row.field)) && (await hasOtherActivity(ethers, vaultAddr, receipt))) {
+            drift = drift.filter((row) => !isFlowField(row.field));
+        }
+        if (drift.length === 0) {
+            results.push({ vault: vaultAddr, previous, status: "upgraded", drift });
+            continue;
+        }
+
+        let status = "drifted";
+        if (rollback) {
+            await (await proxy.setImplementation(previous, "0x")).wait();
+            status = "rolled back";
+        }
+        results.push({ vault: vaultAddr, previous, status, drift });
+        break;
+    }
+    return results;
+};
+
+module.exports = { IMPLEMENTATION_SLOT, VAULT_FIELDS, FLOW_FIELDS, getImplementation, deployVaultPackage, isOldFactory, snapshotVault, diffSnapshots, upgradeVaults };